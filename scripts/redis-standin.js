@@ -0,0 +1,129 @@
+import net from 'net';
+
+/**
+ * In-memory Redis stand-in for local development
+ * Speaks just enough RESP for the cache's redis backend (PING, AUTH, SELECT,
+ * GET, SET [EX|PX], DEL, PTTL, SCAN, KEYS, DBSIZE, FLUSHDB, QUIT):
+ *
+ *   npm run redis:standin            # listens on 6379, or REDIS_STANDIN_PORT
+ *   CACHE_BACKEND=redis npm start
+ */
+
+const port = parseInt(process.env.REDIS_STANDIN_PORT) || 6379;
+const store = new Map();
+
+const simple = (text) => `+${text}\r\n`;
+const error = (text) => `-ERR ${text}\r\n`;
+const integer = (value) => `:${value}\r\n`;
+const bulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+const array = (items) => `*${items.length}\r\n${items.join('')}`;
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`);
+
+const liveEntry = (key) => {
+  const entry = store.get(key);
+  if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    store.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+const liveKeys = (pattern = '*') => {
+  const matcher = globToRegExp(pattern);
+  return [...store.keys()].filter(key => liveEntry(key) && matcher.test(key));
+};
+
+const commands = {
+  PING: () => simple('PONG'),
+  AUTH: () => simple('OK'),
+  SELECT: () => simple('OK'),
+  QUIT: () => simple('OK'),
+  GET: ([key]) => bulk(liveEntry(key)?.value ?? null),
+  SET: ([key, value, unit, amount]) => {
+    let expiresAt = null;
+    if (unit?.toUpperCase() === 'EX') {
+      expiresAt = Date.now() + parseInt(amount) * 1000;
+    } else if (unit?.toUpperCase() === 'PX') {
+      expiresAt = Date.now() + parseInt(amount);
+    }
+    store.set(key, { value, expiresAt });
+    return simple('OK');
+  },
+  DEL: (keys) => integer(keys.filter(key => liveEntry(key) && store.delete(key)).length),
+  PTTL: ([key]) => {
+    const entry = liveEntry(key);
+    if (!entry) {
+      return integer(-2);
+    }
+    return integer(entry.expiresAt === null ? -1 : entry.expiresAt - Date.now());
+  },
+  // Single pass: the whole keyspace comes back with cursor 0
+  SCAN: ([, ...options]) => {
+    const matchIndex = options.findIndex(option => option.toUpperCase() === 'MATCH');
+    const pattern = matchIndex === -1 ? '*' : options[matchIndex + 1];
+    return array([bulk('0'), array(liveKeys(pattern).map(bulk))]);
+  },
+  KEYS: ([pattern]) => array(liveKeys(pattern).map(bulk)),
+  DBSIZE: () => integer(liveKeys().length),
+  FLUSHDB: () => {
+    store.clear();
+    return simple('OK');
+  }
+};
+
+// Returns [args, nextOffset] or null while the command is incomplete
+const parseCommand = (buffer, offset) => {
+  const headerEnd = buffer.indexOf('\r\n', offset);
+  if (headerEnd === -1) {
+    return null;
+  }
+  const count = parseInt(buffer.toString('utf8', offset + 1, headerEnd));
+  const args = [];
+  let position = headerEnd + 2;
+
+  for (let i = 0; i < count; i++) {
+    const lengthEnd = buffer.indexOf('\r\n', position);
+    if (lengthEnd === -1) {
+      return null;
+    }
+    const length = parseInt(buffer.toString('utf8', position + 1, lengthEnd));
+    const start = lengthEnd + 2;
+    if (buffer.length < start + length + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf8', start, start + length));
+    position = start + length + 2;
+  }
+  return [args, position];
+};
+
+const server = net.createServer(socket => {
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let parsed;
+    while (buffer.length > 0 && (parsed = parseCommand(buffer, 0))) {
+      const [[name, ...args], offset] = parsed;
+      buffer = buffer.subarray(offset);
+
+      const handler = commands[name.toUpperCase()];
+      socket.write(handler ? handler(args) : error(`unknown command '${name}'`));
+      if (name.toUpperCase() === 'QUIT') {
+        socket.end();
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+server.listen(port, () => {
+  console.log(`Redis stand-in listening on ${port}`);
+});
+
+process.on('SIGTERM', () => process.exit(0));
+process.on('SIGINT', () => process.exit(0));
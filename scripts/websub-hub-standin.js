@@ -0,0 +1,154 @@
+import http from 'http';
+import crypto from 'crypto';
+
+/**
+ * WebSub hub stand-in for local development
+ * Accepts (un)subscribe requests, verifies them against the subscriber's
+ * callback like a real hub, and pushes signed YouTube-style Atom feeds on
+ * demand:
+ *
+ *   npm run websub:standin           # listens on 8090, or WEBSUB_STANDIN_PORT
+ *   WEBSUB_HUB_URL=http://localhost:8090/ WEBSUB_CALLBACK_URL=http://localhost:3000 \
+ *     WEBSUB_SECRET=dev npm start
+ *
+ *   GET  /                                          subscriptions
+ *   POST /publish?channel_id=UC...&video_id=...     push a new or updated video (&title=...)
+ *   POST /publish?channel_id=UC...&video_id=...&deleted=1   push a deleted video
+ */
+
+const port = parseInt(process.env.WEBSUB_STANDIN_PORT) || 8090;
+// topic -> { topic, callback, secret, leaseSeconds, expiresAt }
+const subscriptions = new Map();
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+const buildFeed = ({ channelId, videoId, title, deleted }) => {
+  const now = new Date().toISOString();
+  const body = deleted
+    ? `<at:deleted-entry ref="yt:video:${escapeXml(videoId)}" when="${now}"><link href="https://www.youtube.com/watch?v=${escapeXml(videoId)}"/></at:deleted-entry>`
+    : `<entry>
+    <id>yt:video:${escapeXml(videoId)}</id>
+    <yt:videoId>${escapeXml(videoId)}</yt:videoId>
+    <yt:channelId>${escapeXml(channelId)}</yt:channelId>
+    <title>${escapeXml(title || `Video ${videoId}`)}</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=${escapeXml(videoId)}"/>
+    <author><name>Stand-in channel</name><uri>https://www.youtube.com/channel/${escapeXml(channelId)}</uri></author>
+    <published>${now}</published>
+    <updated>${now}</updated>
+  </entry>`;
+  return `<?xml version='1.0' encoding='UTF-8'?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns:at="http://purl.org/atompub/tombstones/1.0" xmlns="http://www.w3.org/2005/Atom">
+  <link rel="hub" href="http://localhost:${port}/"/>
+  <title>YouTube video feed</title>
+  <updated>${now}</updated>
+  ${body}
+</feed>
+`;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+};
+
+// Verification of intent: the subscriber has to echo the challenge back
+const verifyIntent = async ({ mode, topic, callback, secret, leaseSeconds }) => {
+  const challenge = crypto.randomBytes(16).toString('hex');
+  const url = new URL(callback);
+  url.searchParams.set('hub.mode', mode);
+  url.searchParams.set('hub.topic', topic);
+  url.searchParams.set('hub.challenge', challenge);
+  url.searchParams.set('hub.lease_seconds', String(leaseSeconds));
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    const text = await response.text();
+    if (!response.ok || text !== challenge) {
+      console.log(`${mode} ${topic}: subscriber did not confirm (${response.status})`);
+      return;
+    }
+  } catch (error) {
+    console.log(`${mode} ${topic}: callback failed: ${error.message}`);
+    return;
+  }
+
+  if (mode === 'subscribe') {
+    subscriptions.set(topic, { topic, callback, secret, leaseSeconds, expiresAt: new Date(Date.now() + leaseSeconds * 1000).toISOString() });
+  } else {
+    subscriptions.delete(topic);
+  }
+  console.log(`${mode} ${topic}: verified`);
+};
+
+const publish = async (params) => {
+  const channelId = params.get('channel_id');
+  const videoId = params.get('video_id');
+  const feed = buildFeed({ channelId, videoId, title: params.get('title'), deleted: params.get('deleted') === '1' });
+
+  const targets = [...subscriptions.values()].filter(subscription =>
+    new URL(subscription.topic).searchParams.get('channel_id') === channelId);
+  return Promise.all(targets.map(async ({ callback, secret }) => {
+    const headers = { 'Content-Type': 'application/atom+xml' };
+    if (secret) {
+      headers['X-Hub-Signature'] = `sha1=${crypto.createHmac('sha1', secret).update(feed).digest('hex')}`;
+    }
+    try {
+      const response = await fetch(callback, { method: 'POST', headers, body: feed, signal: AbortSignal.timeout(5000) });
+      return { callback, status: response.status };
+    } catch (error) {
+      return { callback, error: error.message };
+    }
+  }));
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  try {
+    if (req.method === 'GET' && url.pathname === '/') {
+      return sendJson(res, 200, { subscriptions: [...subscriptions.values()].map(({ secret, ...subscription }) => subscription) });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/publish') {
+      if (!url.searchParams.get('channel_id') || !url.searchParams.get('video_id')) {
+        return sendJson(res, 400, { error: 'channel_id and video_id are required' });
+      }
+      return sendJson(res, 200, { deliveries: await publish(url.searchParams) });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/') {
+      const form = new URLSearchParams(await readBody(req));
+      const intent = {
+        mode: form.get('hub.mode'),
+        topic: form.get('hub.topic'),
+        callback: form.get('hub.callback'),
+        secret: form.get('hub.secret'),
+        leaseSeconds: parseInt(form.get('hub.lease_seconds')) || 86400
+      };
+      if (!['subscribe', 'unsubscribe'].includes(intent.mode) || !intent.topic || !intent.callback) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        return res.end('hub.mode, hub.topic and hub.callback are required');
+      }
+      res.writeHead(202);
+      res.end();
+      // Verified after answering, like the real hub does
+      setTimeout(() => verifyIntent(intent), 10);
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  } catch (error) {
+    sendJson(res, 500, { error: error.message });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`WebSub hub stand-in listening on ${port}`);
+});
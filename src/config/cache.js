@@ -0,0 +1,73 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Cache backend configuration
+ *   CACHE_BACKEND=memory  in-process LRU bounded by CACHE_MAX_ENTRIES (default)
+ *   CACHE_BACKEND=file    one JSON file per key under CACHE_DIR
+ *   CACHE_BACKEND=redis   any Redis-protocol server at CACHE_REDIS_URL
+ *
+ * Routes cache with a soft and a hard TTL (seconds). Past the soft TTL the
+ * cached value is still served, marked stale, while it is refreshed in the
+ * background; past the hard TTL callers wait for a fresh value. Override per
+ * route as route:soft/hard pairs:
+ *   CACHE_ROUTE_TTLS=viewers:15/60,video:600/1800
+ */
+
+export const CACHE_BACKENDS = ['memory', 'file', 'redis'];
+
+const DEFAULT_ROUTE_TTLS = {
+  video: { softTtl: 300, hardTtl: 900 },
+  channel: { softTtl: 180, hardTtl: 600 },
+  handle: { softTtl: 180, hardTtl: 600 },
+  uploads: { softTtl: 300, hardTtl: 900 },
+  status: { softTtl: 60, hardTtl: 180 },
+  viewers: { softTtl: 30, hardTtl: 90 },
+  'live-status-video': { softTtl: 30, hardTtl: 90 },
+  'live-status-channel': { softTtl: 20, hardTtl: 60 }
+};
+
+const parseRouteTtls = (value) => {
+  const routes = { ...DEFAULT_ROUTE_TTLS };
+  for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [route, windows] = entry.split(':');
+    const [soft, hard] = (windows || '').split('/').map(part => parseInt(part));
+    if (route && soft) {
+      // The hard TTL can't be shorter than the soft one
+      routes[route] = { softTtl: soft, hardTtl: Math.max(hard || soft, soft) };
+    }
+  }
+  return routes;
+};
+
+const backend = (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+
+export const cacheConfig = {
+  backend: CACHE_BACKENDS.includes(backend) ? backend : 'memory',
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  // TTL of the service-level lookup cache shared by every route
+  lookupTtl: parseInt(process.env.CACHE_LOOKUP_TTL) || 300,
+  routes: parseRouteTtls(process.env.CACHE_ROUTE_TTLS),
+  // Not-found and offline answers; offline is kept short since it can change any minute
+  negativeTtl: {
+    notFound: parseInt(process.env.CACHE_NOT_FOUND_TTL) || 600,
+    offline: parseInt(process.env.CACHE_OFFLINE_TTL) || 30
+  },
+  // Written on shutdown and every interval seconds, restored at startup; off without a path
+  snapshot: {
+    path: process.env.CACHE_SNAPSHOT_PATH || null,
+    interval: parseInt(process.env.CACHE_SNAPSHOT_INTERVAL) || 300
+  },
+  file: {
+    dir: process.env.CACHE_DIR || '/tmp/youtube-metadata-cache'
+  },
+  redis: {
+    url: process.env.CACHE_REDIS_URL || 'redis://127.0.0.1:6379',
+    timeout: parseInt(process.env.CACHE_REDIS_TIMEOUT) || 2000
+  }
+};
+
+if (backend !== cacheConfig.backend) {
+  console.warn(`Unknown CACHE_BACKEND "${backend}", using memory`);
+}
@@ -9,7 +9,8 @@ export const config = {
   CACHE_TTL: parseInt(process.env.CACHE_TTL) || 300,
   RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000,
   RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX) || 100,
-  LOG_LEVEL: process.env.LOG_LEVEL || 'info'
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || null
 };
 
 export const isDevelopment = config.NODE_ENV === 'development';
@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Extractor chain configuration
+ * Each lookup type (video, channel, handle, uploads) has its own ordered chain. Chains are
+ * configured as comma-separated lists where every entry can carry a timeout in ms:
+ *   EXTRACTORS_CHANNEL=ytdl-core:3000,innertube:8000,webscraping
+ * Entries without a timeout use the extractor's default from EXTRACTOR_TIMEOUTS.
+ */
+
+const DEFAULT_TIMEOUTS = {
+  'ytdl-core': 3000,
+  innertube: 8000,
+  'yt-dlp': 20000,
+  webscraping: 5000,
+  feed: 4000
+};
+
+const DEFAULT_CHAINS = {
+  video: 'innertube,yt-dlp,webscraping',
+  channel: 'ytdl-core,innertube,webscraping',
+  handle: 'innertube',
+  uploads: 'feed'
+};
+
+// A configured 0 is kept; only missing or unparsable values fall back
+const parseNumber = (value, fallback, parse = parseInt) => {
+  const number = parse(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const parseTimeouts = (value) => {
+  const timeouts = { ...DEFAULT_TIMEOUTS };
+  for (const entry of parseList(value)) {
+    const [name, ms] = entry.split(':');
+    if (Number.isFinite(parseInt(ms))) {
+      timeouts[name] = parseInt(ms);
+    }
+  }
+  return timeouts;
+};
+
+const parseChain = (value, timeouts) => parseList(value).map(entry => {
+  const [name, ms] = entry.split(':');
+  return {
+    name,
+    timeout: parseNumber(ms, timeouts[name] ?? 5000)
+  };
+});
+
+export const EXTRACTION_STRATEGIES = ['serial', 'race', 'hedge', 'merge'];
+
+// Unknown strategies are dropped, so their routes keep the serial default
+const parseRouteStrategies = (value) => Object.fromEntries(
+  parseList(value)
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([route, strategy]) => {
+      if (EXTRACTION_STRATEGIES.includes(strategy)) {
+        return true;
+      }
+      console.warn(`Unknown strategy "${strategy}" for route "${route}" in ROUTE_STRATEGIES, using serial`);
+      return false;
+    })
+);
+
+const timeouts = parseTimeouts(process.env.EXTRACTOR_TIMEOUTS);
+
+export const extractorConfig = {
+  globalTimeout: parseNumber(process.env.EXTRACTOR_GLOBAL_TIMEOUT, 12000),
+  hedgeDelay: parseNumber(process.env.EXTRACTOR_HEDGE_DELAY, 750),
+  // Default strategy per route, e.g. ROUTE_STRATEGIES=status:race,viewers:hedge
+  routeStrategies: parseRouteStrategies(process.env.ROUTE_STRATEGIES),
+  disabled: parseList(process.env.EXTRACTORS_DISABLED),
+  timeouts,
+  breaker: {
+    windowSize: parseNumber(process.env.BREAKER_WINDOW_SIZE, 20),
+    failureThreshold: parseNumber(process.env.BREAKER_FAILURE_THRESHOLD, 5),
+    minSuccessRate: parseNumber(process.env.BREAKER_MIN_SUCCESS_RATE, 0.5, parseFloat),
+    minSamples: parseNumber(process.env.BREAKER_MIN_SAMPLES, 10),
+    cooldown: parseNumber(process.env.BREAKER_COOLDOWN, 30000)
+  },
+  chains: {
+    video: parseChain(process.env.EXTRACTORS_VIDEO || DEFAULT_CHAINS.video, timeouts),
+    channel: parseChain(process.env.EXTRACTORS_CHANNEL || DEFAULT_CHAINS.channel, timeouts),
+    handle: parseChain(process.env.EXTRACTORS_HANDLE || DEFAULT_CHAINS.handle, timeouts),
+    uploads: parseChain(process.env.EXTRACTORS_UPLOADS || DEFAULT_CHAINS.uploads, timeouts)
+  }
+};
@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Live chat relay (WebSocket and polling) configuration
+ *   LIVE_CHAT_MAX_STREAMS    videos relayed at the same time (one upstream chat each)
+ *   LIVE_CHAT_MAX_CLIENTS    WebSocket clients connected at the same time
+ *   LIVE_CHAT_PING_INTERVAL  seconds between pings; clients that miss one are dropped
+ *   LIVE_CHAT_MAX_BUFFERED   bytes queued for a slow client before its messages are dropped
+ *   LIVE_CHAT_BUFFER_SIZE    recent messages kept per chat for polling clients
+ *   LIVE_CHAT_POLL_DELAY     seconds polling clients are told to wait before the next poll
+ *   LIVE_CHAT_POLL_IDLE      seconds an upstream chat is kept open after its last poll
+ *   LIVE_CHAT_RETRY_DELAY    seconds a chat that could not be opened is answered with its error before it is tried again
+ */
+export const liveChatConfig = {
+  maxStreams: parseInt(process.env.LIVE_CHAT_MAX_STREAMS) || 20,
+  maxClients: parseInt(process.env.LIVE_CHAT_MAX_CLIENTS) || 500,
+  pingInterval: parseInt(process.env.LIVE_CHAT_PING_INTERVAL) || 30,
+  maxBuffered: parseInt(process.env.LIVE_CHAT_MAX_BUFFERED) || 1024 * 1024,
+  bufferSize: parseInt(process.env.LIVE_CHAT_BUFFER_SIZE) || 200,
+  pollDelay: parseInt(process.env.LIVE_CHAT_POLL_DELAY) || 5,
+  pollIdle: parseInt(process.env.LIVE_CHAT_POLL_IDLE) || 60,
+  retryDelay: parseInt(process.env.LIVE_CHAT_RETRY_DELAY) || 30
+};
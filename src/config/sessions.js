@@ -0,0 +1,13 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Stream session history configuration
+ *   SESSION_STORE_PATH      JSON file the sessions are kept in
+ *   SESSION_RETENTION_DAYS  days an ended session is kept
+ */
+export const sessionConfig = {
+  storePath: process.env.SESSION_STORE_PATH || 'data/sessions.json',
+  retentionDays: parseInt(process.env.SESSION_RETENTION_DAYS) || 365
+};
@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Live status event stream (Server-Sent Events) configuration
+ *   SSE_POLL_INTERVAL       seconds between two checks of every subscribed channel/video
+ *   SSE_CONCURRENCY         targets checked at the same time during a poll
+ *   SSE_HEARTBEAT_INTERVAL  seconds between heartbeat events on idle connections
+ *   SSE_RETRY               reconnect delay (ms) suggested to clients
+ *   SSE_BUFFER_SIZE         recent events kept for Last-Event-ID resume
+ *   SSE_MAX_CLIENTS         open streams accepted at the same time
+ */
+export const sseConfig = {
+  pollInterval: parseInt(process.env.SSE_POLL_INTERVAL) || 30,
+  concurrency: parseInt(process.env.SSE_CONCURRENCY) || 3,
+  heartbeatInterval: parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 15,
+  retry: parseInt(process.env.SSE_RETRY) || 5000,
+  bufferSize: parseInt(process.env.SSE_BUFFER_SIZE) || 500,
+  maxClients: parseInt(process.env.SSE_MAX_CLIENTS) || 200
+};
@@ -0,0 +1,17 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Viewer count sampling configuration
+ *   VIEWER_SAMPLE_INTERVAL     seconds between two samples of every live watched stream
+ *   VIEWER_SAMPLE_CONCURRENCY  streams sampled at the same time
+ *   VIEWER_HISTORY_RETENTION   hours of samples kept
+ *   VIEWER_HISTORY_PATH        JSON file keeping the samples across restarts (off when unset)
+ */
+export const viewerHistoryConfig = {
+  sampleInterval: parseInt(process.env.VIEWER_SAMPLE_INTERVAL) || 60,
+  concurrency: parseInt(process.env.VIEWER_SAMPLE_CONCURRENCY) || 3,
+  retention: parseInt(process.env.VIEWER_HISTORY_RETENTION) || 24,
+  storePath: process.env.VIEWER_HISTORY_PATH || null
+};
@@ -0,0 +1,30 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Watchlist poller configuration
+ *   WATCHLIST_INTERVAL         seconds between two checks of a channel without a learned pattern, and of live ones
+ *   WATCHLIST_CONCURRENCY      channels checked at the same time during a poll
+ *   WATCHLIST_STORE_PATH       JSON file keeping the watchlist across restarts (off when unset)
+ *   WATCHLIST_ADAPTIVE         'false' checks every channel every WATCHLIST_INTERVAL
+ *   WATCHLIST_MIN_INTERVAL     seconds between checks around usual and scheduled start times
+ *   WATCHLIST_MAX_INTERVAL     longest wait between two checks of a quiet channel
+ *   WATCHLIST_CHECK_BUDGET     channel checks per minute across all channels (WATCHLIST_BUDGET is still read);
+ *                              a check answered from the cache makes no upstream request, one whose
+ *                              first extractors fail makes several
+ *   WATCHLIST_PATTERN_WINDOW   minutes around a past start's weekday and time that count as a usual start
+ *   WATCHLIST_PATTERN_WEEKS    weeks of stream sessions the pattern is learned from
+ */
+export const watchlistConfig = {
+  interval: parseInt(process.env.WATCHLIST_INTERVAL) || 60,
+  concurrency: parseInt(process.env.WATCHLIST_CONCURRENCY) || 3,
+  maxEntries: parseInt(process.env.WATCHLIST_MAX_ENTRIES) || 100,
+  storePath: process.env.WATCHLIST_STORE_PATH || null,
+  adaptive: process.env.WATCHLIST_ADAPTIVE !== 'false',
+  minInterval: parseInt(process.env.WATCHLIST_MIN_INTERVAL) || 30,
+  maxInterval: parseInt(process.env.WATCHLIST_MAX_INTERVAL) || 900,
+  checkBudget: parseInt(process.env.WATCHLIST_CHECK_BUDGET ?? process.env.WATCHLIST_BUDGET) || 60,
+  patternWindow: parseInt(process.env.WATCHLIST_PATTERN_WINDOW) || 60,
+  patternWeeks: parseInt(process.env.WATCHLIST_PATTERN_WEEKS) || 8
+};
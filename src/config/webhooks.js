@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Webhook delivery configuration
+ * A failed delivery is retried up to WEBHOOK_MAX_ATTEMPTS times in total,
+ * waiting WEBHOOK_RETRY_DELAY ms, then twice as long after every failure
+ * (capped at WEBHOOK_MAX_RETRY_DELAY). Receivers must be on public addresses
+ * unless WEBHOOK_ALLOW_PRIVATE=true (local development).
+ */
+export const webhookConfig = {
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 5000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 1000,
+  maxRetryDelay: parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY) || 5 * 60 * 1000,
+  logSize: parseInt(process.env.WEBHOOK_LOG_SIZE) || 200,
+  storePath: process.env.WEBHOOK_STORE_PATH || null,
+  allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+};
@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * WebSub (PubSubHubbub) subscriber configuration
+ * Off unless both WEBSUB_CALLBACK_URL and WEBSUB_SECRET are set.
+ *   WEBSUB_CALLBACK_URL    public base URL of this server the hub calls back (https://api.example.com)
+ *   WEBSUB_SECRET          key the per-subscription HMAC secrets are derived from
+ *   WEBSUB_HUB_URL         hub to subscribe at (a local stand-in hub for testing)
+ *   WEBSUB_TOPIC_URL       channel feed URL; ?channel_id=<id> is appended
+ *   WEBSUB_LEASE_SECONDS   lease asked for; the hub may grant another
+ *   WEBSUB_RENEW_MARGIN    seconds before a lease expires that it is renewed
+ *   WEBSUB_TIMEOUT         ms to wait for the hub to answer a (un)subscribe request
+ *   WEBSUB_STORE_PATH      JSON file keeping subscriptions across restarts (off when unset)
+ */
+export const websubConfig = {
+  callbackUrl: process.env.WEBSUB_CALLBACK_URL || null,
+  secret: process.env.WEBSUB_SECRET || null,
+  hubUrl: process.env.WEBSUB_HUB_URL || 'https://pubsubhubbub.appspot.com/subscribe',
+  topicUrl: process.env.WEBSUB_TOPIC_URL || 'https://www.youtube.com/xml/feeds/videos.xml',
+  leaseSeconds: parseInt(process.env.WEBSUB_LEASE_SECONDS) || 5 * 24 * 60 * 60,
+  renewMargin: parseInt(process.env.WEBSUB_RENEW_MARGIN) || 60 * 60,
+  timeout: parseInt(process.env.WEBSUB_TIMEOUT) || 10000,
+  storePath: process.env.WEBSUB_STORE_PATH || null
+};
@@ -4,10 +4,28 @@ import cors from 'cors';
 import compression from 'compression';
 import { config } from './config/environment.js';
 import { requestLogger } from './middleware/requestLogger.js';
+import { requestSignal } from './middleware/requestSignal.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { apiRateLimiter } from './middleware/rateLimiter.js';
+import { httpCache } from './middleware/httpCache.js';
 import youtubeRoutes from './routes/youtube.js';
 import statusRoutes from './routes/status.js';
+import cacheRoutes from './routes/cache.js';
+import watchlistRoutes from './routes/watchlist.js';
+import webhookRoutes from './routes/webhooks.js';
+import eventRoutes from './routes/events.js';
+import viewerRoutes from './routes/viewers.js';
+import sessionRoutes from './routes/sessions.js';
+import websubRoutes from './routes/websub.js';
+import { attachLiveChatSocket } from './routes/liveChatSocket.js';
+import cacheService from './services/cacheService.js';
+import watchlistService from './services/watchlistService.js';
+import webhookService from './services/webhookService.js';
+import liveEventsService from './services/liveEventsService.js';
+import liveChatService from './services/liveChatService.js';
+import viewerHistoryService from './services/viewerHistoryService.js';
+import sessionService from './services/sessionService.js';
+import websubService from './services/websubService.js';
 import logger from './config/logger.js';
 
 const app = express();
@@ -23,7 +41,7 @@ app.use(cors({
   origin: config.CORS_ORIGIN,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Admin-Token', 'Last-Event-ID']
 }));
 
 app.use(compression());
@@ -31,6 +49,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 app.use(requestLogger);
+app.use(requestSignal);
 app.use(apiRateLimiter);
 
 app.get('/', (req, res) => {
@@ -45,7 +64,9 @@ app.get('/', (req, res) => {
       channelByHandle: '/api/youtube/handle/:handle (cached)',
       status: '/api/youtube/status/:channelId (cached)',
       viewers: '/api/youtube/viewers/:channelId (cached)',
-      liveChat: '/api/youtube/livechat/:videoId (live chat messages)',
+      uploads: '/api/youtube/uploads/:channelId, /api/youtube/uploads/:channelId/latest (recent uploads from the channel feed, cached)',
+      liveChat: '/api/youtube/livechat/:videoId?continuation= (live chat messages since the last poll)',
+      liveChatRelay: 'ws://<host>/api/youtube/livechat/:videoId/ws (WebSocket chat relay)',
       liveStats: '/api/youtube/livestats/:videoId (live streaming stats)',
       statusVideo: '/api/status/video/:videoId (check if live)',
       statusChannel: '/api/status/channel/:channelId (check if live)',
@@ -54,21 +75,45 @@ app.get('/', (req, res) => {
       batchVideos: '/api/youtube/batch/videos (get multiple video metadata)',
       quickStatus: '/api/youtube/quick-status/:channelId (ultra-fast YTDL status)',
       health: '/api/youtube/health',
-      clearCache: '/api/youtube/cache/clear (POST)'
+      clearCache: '/api/youtube/cache/clear (POST)',
+      cacheAdmin: '/api/cache (keys, entries, usage - admin)',
+      watchlist: '/api/watchlist (GET, POST, DELETE /:id - background-polled channels)',
+      webhooks: '/api/webhooks (stream event subscriptions - admin)',
+      liveEvents: '/api/events/live?channels=...&videos=... (Server-Sent Events)',
+      viewerHistory: '/api/viewers/video/:videoId, /api/viewers/channel/:channelId (viewer time series)',
+      sessions: '/api/sessions/channel/:channelId, /api/sessions/video/:videoId (stream session history)',
+      websub: '/api/websub/subscriptions (WebSub push subscriptions - admin)'
     }
   });
 });
 
-app.use('/api/youtube', youtubeRoutes);
-app.use('/api/status', statusRoutes);
+app.use('/api/youtube', httpCache, youtubeRoutes);
+app.use('/api/status', httpCache, statusRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/viewers', httpCache, viewerRoutes);
+app.use('/api/sessions', httpCache, sessionRoutes);
+app.use('/api/websub', websubRoutes);
 
 app.use(notFoundHandler);
 app.use(errorHandler);
 
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}, shutting down gracefully`);
-  
-  server.close(() => {
+
+  // Event streams and chat sockets never finish on their own
+  liveEventsService.stop();
+  liveChatService.stop();
+  server.close(async () => {
+    await webhookService.stop();
+    await websubService.stop();
+    await viewerHistoryService.stop();
+    await watchlistService.stop();
+    await sessionService.stop();
+    await cacheService.saveSnapshot();
+    await cacheService.close();
     logger.info('Process terminated gracefully');
     process.exit(0);
   });
@@ -92,6 +137,15 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+// Warm the cache from the last snapshot before taking traffic
+await cacheService.restoreSnapshot();
+cacheService.startSnapshots();
+await webhookService.start();
+await sessionService.start();
+await websubService.start();
+await watchlistService.start();
+await viewerHistoryService.start();
+
 const server = app.listen(config.PORT, () => {
   logger.info({
     message: 'Server started successfully',
@@ -101,4 +155,6 @@ const server = app.listen(config.PORT, () => {
   });
 });
 
+attachLiveChatSocket(server);
+
 export default app;
\ No newline at end of file
@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+
+// Hash both sides so timingSafeEqual gets equal-length buffers
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Guard admin routes with ADMIN_TOKEN, sent as "Authorization: Bearer <token>"
+ * or "X-Admin-Token: <token>". Without ADMIN_TOKEN the routes are disabled (503).
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!config.ADMIN_TOKEN) {
+    return res.status(503).json({
+      error: {
+        message: 'Admin endpoints are disabled until ADMIN_TOKEN is set',
+        code: 'ADMIN_DISABLED',
+        status: 503,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const authorization = req.get('authorization') || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice(7)
+    : req.get('x-admin-token') || '';
+
+  if (!crypto.timingSafeEqual(digest(token), digest(config.ADMIN_TOKEN))) {
+    return res.status(401).json({
+      error: {
+        message: 'A valid admin token is required',
+        code: 'UNAUTHORIZED',
+        status: 401,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+};
@@ -2,9 +2,13 @@ import logger from '../config/logger.js';
 import { isProduction } from '../config/environment.js';
 
 export const errorHandler = (err, req, res, next) => {
-  logger.error({
+  const statusCode = err.statusCode || err.status || 500;
+
+  // Typed YouTube errors (utils/errors.js) below 500 are answers, not server faults
+  logger[statusCode >= 500 ? 'error' : 'warn']({
     message: err.message,
-    stack: err.stack,
+    code: err.code,
+    stack: statusCode >= 500 ? err.stack : undefined,
     url: req.url,
     method: req.method,
     ip: req.ip,
@@ -15,16 +19,19 @@ export const errorHandler = (err, req, res, next) => {
     return next(err);
   }
 
-  const statusCode = err.statusCode || err.status || 500;
-  
   const errorResponse = {
     error: {
       message: err.message || 'Internal Server Error',
+      code: err.code || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'REQUEST_ERROR'),
       status: statusCode,
       timestamp: new Date().toISOString()
     }
   };
 
+  if (err.details) {
+    errorResponse.error.details = err.details;
+  }
+
   if (!isProduction) {
     errorResponse.error.stack = err.stack;
   }
@@ -44,6 +51,7 @@ export const notFoundHandler = (req, res) => {
   res.status(404).json({
     error: {
       message,
+      code: 'ROUTE_NOT_FOUND',
       status: 404,
       timestamp: new Date().toISOString()
     }
@@ -0,0 +1,11 @@
+import { extractorConfig } from '../config/extractors.js';
+
+/**
+ * Resolve the extraction strategy for a route: ?strategy= wins over the
+ * route default from ROUTE_STRATEGIES, which falls back to 'serial'.
+ * Run after validateStrategy so the query value is known to be valid.
+ */
+export const extractionStrategy = (route) => (req, res, next) => {
+  req.extractionStrategy = req.query.strategy || extractorConfig.routeStrategies[route] || 'serial';
+  next();
+};
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+// Change on every response without the payload changing
+const VOLATILE_FIELDS = ['timestamp', 'cached', 'stale'];
+
+const etagFor = (body) => {
+  const payload = { ...body };
+  for (const field of VOLATILE_FIELDS) {
+    delete payload[field];
+  }
+  const hash = crypto.createHash('sha1').update(JSON.stringify(payload)).digest('base64url');
+  return `W/"${hash}"`;
+};
+
+/**
+ * Fresh entries may be reused until their soft TTL and served stale while
+ * revalidating until their hard TTL, mirroring cacheService. Without an entry
+ * (uncached or negative results) clients must revalidate, which the ETag makes cheap.
+ */
+const cacheControlFor = (entry) => {
+  if (!entry?.freshUntil) {
+    return 'no-cache';
+  }
+  const now = Date.now();
+  const maxAge = Math.max(0, Math.floor((entry.freshUntil - now) / 1000));
+  const staleWindow = entry.expiresAt
+    ? Math.max(0, Math.floor((entry.expiresAt - Math.max(entry.freshUntil, now)) / 1000))
+    : 0;
+  return `public, max-age=${maxAge}, stale-while-revalidate=${staleWindow}`;
+};
+
+/**
+ * HTTP caching for GET routes
+ * Successful JSON responses get a weak ETag computed from the payload (minus
+ * timestamp/cached/stale) and a Cache-Control header from res.locals.cacheEntry,
+ * the entry returned by cacheService.getOrSetEntry. Express answers a matching
+ * If-None-Match with 304 Not Modified once the ETag is set.
+ */
+export const httpCache = (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300 && body && typeof body === 'object') {
+      res.set('ETag', etagFor(body));
+      res.set('Cache-Control', cacheControlFor(res.locals.cacheEntry));
+    }
+    return json(body);
+  };
+
+  next();
+};
@@ -8,6 +8,7 @@ export const createRateLimiter = (options = {}) => {
     message: {
       error: {
         message: 'Too many requests from this IP, please try again later.',
+        code: 'RATE_LIMITED',
         status: 429,
         timestamp: new Date().toISOString()
       }
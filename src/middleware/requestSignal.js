@@ -0,0 +1,21 @@
+import logger from '../config/logger.js';
+import { CancelledError } from '../utils/errors.js';
+
+/**
+ * Attach an AbortSignal to every request as req.signal
+ * It aborts when the client goes away before the response is sent, so the
+ * extraction work started for it (fetches, Innertube calls, yt-dlp) stops too.
+ */
+export const requestSignal = (req, res, next) => {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logger.debug({ message: 'Client disconnected, cancelling request', url: req.originalUrl });
+      controller.abort(new CancelledError('Client disconnected'));
+    }
+  });
+
+  next();
+};
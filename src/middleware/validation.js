@@ -1,4 +1,10 @@
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
+import { EXTRACTION_STRATEGIES } from '../config/extractors.js';
+import { liveChatConfig } from '../config/liveChat.js';
+import { webhookConfig } from '../config/webhooks.js';
+import { STREAM_EVENTS } from '../utils/liveStatusDiff.js';
+import { parseDuration } from '../utils/timeSeries.js';
+import { assertPublicUrl } from '../utils/publicAddress.js';
 
 export const validateVideoId = [
   param('videoId')
@@ -14,6 +20,185 @@ export const validateChannelId = [
     .withMessage('Channel ID must be exactly 24 characters starting with "UC"')
 ];
 
+export const validateStrategy = [
+  query('strategy')
+    .optional()
+    .isIn(EXTRACTION_STRATEGIES)
+    .withMessage(`Strategy must be one of: ${EXTRACTION_STRATEGIES.join(', ')}`)
+];
+
+export const validateCacheKey = [
+  param('key')
+    .isLength({ max: 200 })
+    .matches(/^youtube:[^:\s]+(:[^:\s]+)*:[^:\s]+$/)
+    .withMessage('Cache key must look like youtube:<type>:<id>')
+];
+
+const cachePattern = (chain) => chain
+  .isLength({ max: 200 })
+  .matches(/^youtube:\S*$/)
+  .withMessage('Pattern must start with "youtube:" (glob wildcards * and ? allowed)');
+
+export const validateCachePattern = [
+  cachePattern(query('pattern').optional()),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+    .toInt()
+];
+
+// Deleting by pattern must name the pattern explicitly
+export const validateRequiredCachePattern = [
+  cachePattern(query('pattern').exists().withMessage('Pattern is required').bail())
+];
+
+const WATCHLIST_CHANNEL_PATTERN = /^(UC[a-zA-Z0-9_-]{22}|@?[a-zA-Z0-9._-]{3,30})$/;
+
+export const validateWatchlistChannels = [
+  body('channels')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('channels must be an array of 1 to 20 channel IDs or handles'),
+  body('channels.*')
+    .isString()
+    .matches(WATCHLIST_CHANNEL_PATTERN)
+    .withMessage('Each channel must be a channel ID ("UC...") or a handle ("@name")')
+];
+
+export const validateWatchlistId = [
+  param('id')
+    .matches(WATCHLIST_CHANNEL_PATTERN)
+    .withMessage('Channel must be a channel ID ("UC...") or a handle ("@name")')
+];
+
+export const validateWebhookSubscription = [
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('url must be an http(s) URL')
+    .bail()
+    // The literal host and every address it resolves to; loopback, private, link-local and metadata ranges are refused
+    .custom(async url => {
+      if (!webhookConfig.allowPrivate) {
+        await assertPublicUrl(url);
+      }
+    }),
+  body('secret')
+    .optional()
+    .isString()
+    .isLength({ min: 16, max: 256 })
+    .withMessage('secret must be 16 to 256 characters'),
+  body('channels')
+    .optional({ values: 'null' })
+    .isArray({ min: 1, max: 20 })
+    .withMessage('channels must be an array of 1 to 20 channel IDs or handles'),
+  body('channels.*')
+    .isString()
+    .matches(WATCHLIST_CHANNEL_PATTERN)
+    .withMessage('Each channel must be a channel ID ("UC...") or a handle ("@name")'),
+  body('events')
+    .optional({ values: 'null' })
+    .isArray({ min: 1 })
+    .withMessage('events must be a non-empty array'),
+  body('events.*')
+    .isIn(STREAM_EVENTS)
+    .withMessage(`Each event must be one of: ${STREAM_EVENTS.join(', ')}`),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 200 })
+];
+
+export const validateWebhookId = [
+  param('id')
+    .isUUID()
+    .withMessage('Subscription ID must be a UUID')
+];
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// ?channels=UC...,@handle&videos=id1,id2 -> arrays; 1 to 20 targets in total
+export const validateLiveEventTargets = [
+  query('channels')
+    .optional()
+    .customSanitizer(splitList)
+    .custom(ids => ids.every(id => WATCHLIST_CHANNEL_PATTERN.test(id)))
+    .withMessage('channels must be comma-separated channel IDs ("UC...") or handles ("@name")'),
+  query('videos')
+    .optional()
+    .customSanitizer(splitList)
+    .custom(ids => ids.every(id => /^[a-zA-Z0-9_-]{11}$/.test(id)))
+    .withMessage('videos must be comma-separated 11-character video IDs'),
+  query('channels')
+    .custom((channels, { req }) => {
+      const total = (channels?.length || 0) + (req.query.videos?.length || 0);
+      return total >= 1 && total <= 20;
+    })
+    .withMessage('Subscribe to 1 to 20 channels and videos in total'),
+  query('lastEventId')
+    .optional()
+    .isLength({ max: 64 })
+];
+
+// ISO 8601 date or Unix milliseconds -> Unix milliseconds (NaN when neither)
+const toTimestamp = (value) => (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+
+const rangeBound = (field) => query(field)
+  .optional()
+  .customSanitizer(toTimestamp)
+  .custom(Number.isFinite)
+  .withMessage(`${field} must be an ISO 8601 date or a Unix timestamp in milliseconds`);
+
+// ?from=&to= -> Unix milliseconds
+const validateTimeRange = [
+  rangeBound('from'),
+  rangeBound('to')
+    .custom((to, { req }) => req.query.from === undefined || to >= req.query.from)
+    .withMessage('to must not be before from')
+];
+
+export const validateViewerHistoryQuery = [
+  ...validateTimeRange,
+  query('resolution')
+    .optional()
+    .customSanitizer(parseDuration)
+    .custom(resolution => resolution !== null && resolution <= parseDuration('1d'))
+    .withMessage('resolution must be a duration up to 1d, e.g. 30s, 1m, 5m, 1h')
+];
+
+export const validateSessionQuery = [
+  ...validateTimeRange,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt()
+];
+
+// The channel feed lists at most 15 videos
+export const validateUploadsQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 15 })
+    .withMessage('Limit must be between 1 and 15')
+    .toInt()
+];
+
+// ?continuation= (from the previous poll) or ?since= (Unix ms) -> messages after it
+export const validateLiveChatQuery = [
+  query('continuation')
+    .optional()
+    .matches(/^[a-zA-Z0-9_-]{1,200}$/)
+    .withMessage('continuation must be a token returned by a previous poll'),
+  rangeBound('since')
+    .custom((since, { req }) => req.query.continuation === undefined)
+    .withMessage('Use either continuation or since, not both'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: liveChatConfig.bufferSize })
+    .withMessage(`Limit must be between 1 and ${liveChatConfig.bufferSize}`)
+    .toInt()
+];
+
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   
@@ -21,6 +206,7 @@ export const handleValidationErrors = (req, res, next) => {
     return res.status(400).json({
       error: {
         message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
         status: 400,
         timestamp: new Date().toISOString(),
         details: errors.array().map(err => ({
@@ -0,0 +1,176 @@
+import express from 'express';
+import { validateCacheKey, validateCachePattern, validateRequiredCachePattern, handleValidationErrors } from '../middleware/validation.js';
+import { strictRateLimiter } from '../middleware/rateLimiter.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import cacheService from '../services/cacheService.js';
+import logger from '../config/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Cache Administration Endpoints
+ * Keys follow cacheService.generateKey: youtube:<type>:<id>, e.g. youtube:video:3ln7wgHJ7eU
+ * Protected by ADMIN_TOKEN, and disabled while it is unset.
+ */
+router.use(strictRateLimiter, requireAdmin);
+
+router.get('/stats', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      stats: await cacheService.getStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approximate memory use per key type
+router.get('/usage',
+  validateCachePattern,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const usage = await cacheService.getUsage(req.query.pattern);
+
+      res.json({
+        success: true,
+        pattern: req.query.pattern || 'youtube:*',
+        ...usage,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List keys matching a glob pattern, e.g. ?pattern=youtube:video:*
+router.get('/keys',
+  validateCachePattern,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const pattern = req.query.pattern || 'youtube:*';
+      const limit = req.query.limit || 100;
+      const keys = (await cacheService.keys(pattern)).sort();
+
+      res.json({
+        success: true,
+        pattern,
+        total: keys.length,
+        keys: keys.slice(0, limit),
+        truncated: keys.length > limit,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/keys',
+  validateRequiredCachePattern,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { pattern } = req.query;
+      const deleted = await cacheService.delPattern(pattern);
+
+      logger.info({ message: 'Cache keys deleted via API', pattern, deleted });
+
+      res.json({
+        success: true,
+        pattern,
+        deleted,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Value with its remaining soft and hard TTL
+router.get('/entries/:key',
+  validateCacheKey,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const entry = await cacheService.inspect(req.params.key);
+      if (!entry) {
+        throw new NotFoundError(`Cache entry ${req.params.key} not found`);
+      }
+
+      res.json({
+        success: true,
+        entry,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/entries/:key',
+  validateCacheKey,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { key } = req.params;
+      if (!(await cacheService.del(key))) {
+        throw new NotFoundError(`Cache entry ${key} not found`);
+      }
+
+      logger.info({ message: 'Cache entry deleted via API', key });
+
+      res.json({
+        success: true,
+        key,
+        deleted: true,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Re-fetch an entry now, whether or not it is cached
+router.post('/entries/:key/refresh',
+  validateCacheKey,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { key } = req.params;
+      const { type } = cacheService.parseKey(key);
+      const refreshed = await cacheService.refresh(key, { signal: req.signal });
+
+      if (!refreshed) {
+        return res.status(400).json({
+          error: {
+            message: `Cache entries of type "${type}" cannot be refreshed`,
+            code: 'NOT_REFRESHABLE',
+            status: 400,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      logger.info({ message: 'Cache entry refreshed via API', key });
+
+      res.json({
+        success: true,
+        entry: await cacheService.inspect(key),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
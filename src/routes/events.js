@@ -0,0 +1,48 @@
+import express from 'express';
+import { validateLiveEventTargets, handleValidationErrors } from '../middleware/validation.js';
+import { strictRateLimiter } from '../middleware/rateLimiter.js';
+import liveEventsService from '../services/liveEventsService.js';
+
+const router = express.Router();
+
+/**
+ * Live Status Event Stream
+ * Server-Sent Events for a set of channels and videos, see liveEventsService
+ */
+router.get('/live',
+  strictRateLimiter,
+  validateLiveEventTargets,
+  handleValidationErrors,
+  (req, res) => {
+    if (!liveEventsService.hasCapacity()) {
+      return res.status(503).json({
+        error: {
+          message: 'Too many open event streams, retry later',
+          code: 'TOO_MANY_STREAMS',
+          status: 503,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    // no-transform keeps compression() from buffering the stream
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // EventSource sends Last-Event-ID on reconnect; the query parameter is for clients that can't set headers
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+    const client = liveEventsService.connect(res, {
+      channels: req.query.channels || [],
+      videos: req.query.videos || []
+    }, lastEventId);
+
+    res.on('close', () => liveEventsService.disconnect(client));
+  }
+);
+
+export default router;
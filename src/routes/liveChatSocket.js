@@ -0,0 +1,65 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { config } from '../config/environment.js';
+import { liveChatConfig } from '../config/liveChat.js';
+import logger from '../config/logger.js';
+import liveChatService from '../services/liveChatService.js';
+
+const PATH_PATTERN = /^\/api\/youtube\/livechat\/([a-zA-Z0-9_-]{11})\/ws$/;
+
+// Upgrades are answered before Express sees them, so refusals are written by hand
+const refuse = (socket, status) => {
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+// Browsers don't apply CORS to WebSockets; non-browser clients send no Origin
+const isAllowedOrigin = (origin) =>
+  !origin || config.CORS_ORIGIN === '*' || origin === config.CORS_ORIGIN;
+
+/**
+ * Live Chat Relay Endpoint
+ *   ws://<host>/api/youtube/livechat/:videoId/ws
+ * Clients only receive (see services/liveChatService.js for the frames). Idle
+ * connections are pinged every LIVE_CHAT_PING_INTERVAL seconds.
+ */
+export const attachLiveChatSocket = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 1024 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const videoId = new URL(req.url, 'http://localhost').pathname.match(PATH_PATTERN)?.[1];
+    if (!videoId) {
+      return refuse(socket, 404);
+    }
+    if (!isAllowedOrigin(req.headers.origin)) {
+      logger.warn({ message: 'Live chat connection from disallowed origin', origin: req.headers.origin });
+      return refuse(socket, 403);
+    }
+    if (!liveChatService.hasCapacity(videoId)) {
+      return refuse(socket, 503);
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.isAlive = true;
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+      ws.on('error', error => logger.debug({ message: 'Live chat socket error', videoId, error: error.message }));
+      liveChatService.subscribe(videoId, ws);
+    });
+  });
+
+  const pingTimer = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, liveChatConfig.pingInterval * 1000);
+  pingTimer.unref();
+  wss.on('close', () => clearInterval(pingTimer));
+
+  return wss;
+};
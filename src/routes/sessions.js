@@ -0,0 +1,64 @@
+import express from 'express';
+import {
+  validateVideoId,
+  validateChannelId,
+  validateSessionQuery,
+  handleValidationErrors
+} from '../middleware/validation.js';
+import sessionService from '../services/sessionService.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Stream Session Endpoints
+ * Past and ongoing live sessions of watched channels with viewer analytics
+ */
+
+// Sessions started within ?from=&to=, newest first, with totals over all of them
+router.get('/channel/:channelId',
+  validateChannelId,
+  validateSessionQuery,
+  handleValidationErrors,
+  (req, res) => {
+    const { channelId } = req.params;
+    const { from = null, to = null, limit = 50 } = req.query;
+    const sessions = sessionService.getChannelSessions(channelId, { from, to });
+
+    res.json({
+      success: true,
+      channelId,
+      range: {
+        from: from === null ? null : new Date(from).toISOString(),
+        to: to === null ? null : new Date(to).toISOString()
+      },
+      stats: sessionService.summarize(sessions),
+      sessions: sessions.slice(0, limit).map(session => sessionService.publicView(session)),
+      timestamp: new Date().toISOString()
+    });
+  }
+);
+
+router.get('/video/:videoId',
+  validateVideoId,
+  handleValidationErrors,
+  (req, res, next) => {
+    try {
+      const { videoId } = req.params;
+      const session = sessionService.getVideoSession(videoId);
+      if (!session) {
+        throw new NotFoundError(`No stream session recorded for video ${videoId}`);
+      }
+
+      res.json({
+        success: true,
+        session: sessionService.publicView(session),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -1,12 +1,24 @@
 import express from 'express';
-import { validateVideoId, validateChannelId, handleValidationErrors } from '../middleware/validation.js';
+import { validateVideoId, validateChannelId, validateStrategy, handleValidationErrors } from '../middleware/validation.js';
 import { strictRateLimiter } from '../middleware/rateLimiter.js';
+import { extractionStrategy } from '../middleware/extractionStrategy.js';
 import cacheService from '../services/cacheService.js';
+import { cacheConfig } from '../config/cache.js';
 import logger from '../config/logger.js';
 import youtubeService from '../services/youtubeService.js';
+import watchlistService from '../services/watchlistService.js';
 
 const router = express.Router();
 
+cacheService.registerRefresher('live-status-video', {
+  ttl: cacheConfig.routes['live-status-video'],
+  fetch: (videoId, signal) => getVideoLiveStatus(videoId, { signal, maxAge: 0 })
+});
+cacheService.registerRefresher('live-status-channel', {
+  ttl: cacheConfig.routes['live-status-channel'],
+  fetch: (channelId, signal) => getChannelLiveStatusDirect(channelId, { signal, maxAge: 0 })
+});
+
 /**
  * Live Status Check Endpoints
  * Check if channels/videos are currently live using Innertube
@@ -16,45 +28,53 @@ const router = express.Router();
 router.get('/video/:videoId',
   strictRateLimiter,
   validateVideoId,
+  validateStrategy,
   handleValidationErrors,
+  extractionStrategy('status'),
   async (req, res, next) => {
     try {
       const { videoId } = req.params;
       const { nocache } = req.query;
 
-      let result;
+      let entry;
 
       if (nocache) {
         // Get fresh status
-        result = await getVideoLiveStatus(videoId);
+        const value = await getVideoLiveStatus(videoId, { strategy: req.extractionStrategy, signal: req.signal });
+        entry = { value, cached: false, stale: false };
       } else {
-        // Use cache (30 seconds for live status)
         const cacheKey = cacheService.generateKey('live-status-video', videoId);
-        result = await cacheService.getOrSet(
+        const ttl = cacheConfig.routes['live-status-video'];
+        entry = await cacheService.getOrSetEntry(
           cacheKey,
-          () => getVideoLiveStatus(videoId),
-          30 // 30 seconds cache for live status
+          (signal) => getVideoLiveStatus(videoId, { strategy: req.extractionStrategy, signal, maxAge: ttl.softTtl }),
+          ttl,
+          { signal: req.signal }
         );
       }
+      const result = entry.value;
 
       logger.info({
         message: 'Video live status checked',
         videoId,
         isLive: result.isLive,
+        liveStatus: result.liveStatus,
         method: result.method
       });
 
+      res.locals.cacheEntry = entry;
       res.json({
         success: true,
         videoId,
         isLive: result.isLive,
+        liveStatus: result.liveStatus,
+        scheduledStartTime: result.scheduledStartTime || null,
         method: result.method,
         title: result.title || null,
         channelName: result.channelName || null,
-        note: result.isLive ?
-          'Video is live' :
-          'Video is not live',
-        cached: !nocache && cacheService.get(cacheService.generateKey('live-status-video', videoId)) !== null,
+        note: describeLiveStatus('Video', result),
+        cached: entry.cached,
+        stale: entry.stale,
         quotaUsed: 0,
         timestamp: new Date().toISOString()
       });
@@ -68,47 +88,62 @@ router.get('/video/:videoId',
 router.get('/channel/:channelId',
   strictRateLimiter,
   validateChannelId,
+  validateStrategy,
   handleValidationErrors,
+  extractionStrategy('status'),
   async (req, res, next) => {
     try {
       const { channelId } = req.params;
       const { nocache } = req.query;
 
-      let result;
+      // Watched channels are answered from the latest poll
+      let entry = nocache ? null : watchlistService.getFreshState(channelId);
 
-      if (nocache) {
+      if (entry) {
+        logger.debug({ message: 'Channel status served from watchlist', channelId });
+      } else if (nocache) {
         // Get fresh status using youtubeService directly
-        result = await getChannelLiveStatusDirect(channelId);
+        const value = await getChannelLiveStatusDirect(channelId, { strategy: req.extractionStrategy, signal: req.signal });
+        entry = { value, cached: false, stale: false };
       } else {
-        // Use shorter cache (20 seconds for channel status since it's now fast)
+        // Channel status has the shortest windows since it's now fast
         const cacheKey = cacheService.generateKey('live-status-channel', channelId);
-        result = await cacheService.getOrSet(
+        const ttl = cacheConfig.routes['live-status-channel'];
+        entry = await cacheService.getOrSetEntry(
           cacheKey,
-          () => getChannelLiveStatusDirect(channelId),
-          20 // 20 seconds cache for channel status (reduced from 60s)
+          (signal) => getChannelLiveStatusDirect(channelId, { strategy: req.extractionStrategy, signal, maxAge: ttl.softTtl }),
+          ttl,
+          { signal: req.signal }
         );
       }
+      const result = entry.value;
 
       logger.info({
         message: 'Channel live status checked',
         channelId,
         isLive: result.isLive,
+        liveStatus: result.liveStatus,
         liveVideoId: result.liveVideoId,
         method: result.method
       });
 
+      res.locals.cacheEntry = entry;
       res.json({
         success: true,
         channelId,
         isLive: result.isLive,
+        liveStatus: result.liveStatus,
+        scheduledStartTime: result.scheduledStartTime || null,
         liveVideoId: result.liveVideoId || null,
         method: result.method,
         title: result.title || null,
         channelName: result.channelName || null,
         note: result.isLive ?
           `Channel is live - use /api/youtube/video/${result.liveVideoId} for details` :
-          'Channel is not currently live',
-        cached: !nocache && cacheService.get(cacheService.generateKey('live-status-channel', channelId)) !== null,
+          describeLiveStatus('Channel', result),
+        cached: entry.cached,
+        stale: entry.stale,
+        watched: Boolean(entry.watched),
         quotaUsed: 0,
         timestamp: new Date().toISOString()
       });
@@ -121,6 +156,9 @@ router.get('/channel/:channelId',
 // Batch status check for multiple videos
 router.post('/batch/videos',
   strictRateLimiter,
+  validateStrategy,
+  handleValidationErrors,
+  extractionStrategy('batch'),
   async (req, res, next) => {
     try {
       const { videoIds } = req.body;
@@ -142,16 +180,20 @@ router.post('/batch/videos',
       const results = {};
       const promises = videoIds.map(async (videoId) => {
         try {
-          const result = await getVideoLiveStatus(videoId);
+          const result = await getVideoLiveStatus(videoId, { strategy: req.extractionStrategy, signal: req.signal });
           results[videoId] = {
             isLive: result.isLive,
+            liveStatus: result.liveStatus,
+            scheduledStartTime: result.scheduledStartTime || null,
             title: result.title,
             method: result.method
           };
         } catch (error) {
           results[videoId] = {
             isLive: false,
+            liveStatus: null,
             error: error.message,
+            code: error.code || 'INTERNAL_ERROR',
             method: 'error'
           };
         }
@@ -171,6 +213,7 @@ router.post('/batch/videos',
         summary: {
           total: videoIds.length,
           live: Object.values(results).filter(r => r.isLive).length,
+          upcoming: Object.values(results).filter(r => r.liveStatus === 'upcoming' || (r.liveStatus === 'premiere' && !r.isLive)).length,
           notLive: Object.values(results).filter(r => !r.isLive && !r.error).length,
           errors: Object.values(results).filter(r => r.error).length
         },
@@ -183,76 +226,55 @@ router.post('/batch/videos',
   }
 );
 
-// Helper function to get video live status
-async function getVideoLiveStatus(videoId) {
-  try {
-    const metadata = await youtubeService.getLiveMetadata(null, videoId);
-
-    if (metadata) {
-      return {
-        isLive: metadata.isLiveNow || false,
-        title: metadata.title,
-        channelName: metadata.channelName,
-        method: metadata.method
-      };
-    }
-
-    return {
-      isLive: false,
-      title: null,
-      channelName: null,
-      method: 'not_found'
-    };
-  } catch (error) {
-    return {
-      isLive: false,
-      title: null,
-      channelName: null,
-      method: 'error',
-      error: error.message
-    };
+// Human readable note for a live status result
+function describeLiveStatus(subject, result) {
+  switch (result.liveStatus) {
+    case 'live':
+      return `${subject} is live`;
+    case 'upcoming':
+      return result.scheduledStartTime ?
+        `${subject} has a stream starting at ${result.scheduledStartTime}` :
+        `${subject} has an upcoming stream`;
+    case 'premiere':
+      return result.isLive ?
+        `${subject} is showing a premiere` :
+        `${subject} has an upcoming premiere`;
+    case 'post_live':
+      return `${subject} stream has just ended`;
+    case 'was_live':
+      return `${subject} stream has ended`;
+    default:
+      return subject === 'Channel' ? 'Channel is not currently live' : `${subject} is not live`;
   }
 }
 
-// Helper function to get channel live status
-async function getChannelLiveStatusDirect(channelId) {
-  try {
-    const metadata = await youtubeService.getLiveMetadata(channelId);
-
-    if (metadata && metadata.isLiveNow) {
-      return {
-        isLive: true,
-        liveVideoId: metadata.videoId || null,
-        title: metadata.title || null,
-        channelName: metadata.channelName || null,
-        method: metadata.method,
-        error: undefined
-      };
-    }
+// Helper function to get video live status
+// Typed errors (not found, private, timeout...) propagate to the caller
+async function getVideoLiveStatus(videoId, options = {}) {
+  const metadata = await youtubeService.getLiveMetadata(null, videoId, null, options);
+
+  return {
+    isLive: metadata.isLiveNow || false,
+    liveStatus: metadata.liveStatus,
+    scheduledStartTime: metadata.scheduledStartTime,
+    title: metadata.title,
+    channelName: metadata.channelName,
+    method: metadata.method
+  };
+}
 
-    return {
-      isLive: false,
-      liveVideoId: null,
-      title: null,
-      channelName: null,
-      method: 'not-live',
-      error: null
-    };
-  } catch (error) {
-    return {
-      isLive: false,
-      liveVideoId: null,
-      title: null,
-      channelName: null,
-      method: 'error',
-      error: error.message
-    };
-  }
+// Helper function to get channel live status
+// Only "offline" becomes a not-live result; not knowing is still an error
+async function getChannelLiveStatusDirect(channelId, options = {}) {
+  return youtubeService.getChannelLiveStatus(channelId, null, options);
 }
 
 // Batch status check for multiple channels with full video information for live channels
 router.post('/batch/channels',
   strictRateLimiter,
+  validateStrategy,
+  handleValidationErrors,
+  extractionStrategy('batch'),
   async (req, res, next) => {
     try {
       const { channelIds } = req.body;
@@ -275,9 +297,12 @@ router.post('/batch/channels',
       const channelResults = {};
       const channelPromises = channelIds.map(async (channelId) => {
         try {
-          const result = await getChannelLiveStatusDirect(channelId);
+          const result = watchlistService.getFreshState(channelId)?.value ||
+            await getChannelLiveStatusDirect(channelId, { strategy: req.extractionStrategy, signal: req.signal });
           channelResults[channelId] = {
             isLive: result.isLive,
+            liveStatus: result.liveStatus,
+            scheduledStartTime: result.scheduledStartTime || null,
             liveVideoId: result.liveVideoId,
             title: result.title,
             channelName: result.channelName,
@@ -286,10 +311,13 @@ router.post('/batch/channels',
         } catch (error) {
           channelResults[channelId] = {
             isLive: false,
+            liveStatus: null,
+            scheduledStartTime: null,
             liveVideoId: null,
             title: null,
             channelName: null,
             error: error.message,
+            code: error.code || 'INTERNAL_ERROR',
             method: 'error'
           };
         }
@@ -308,29 +336,25 @@ router.post('/batch/channels',
         const videoPromises = liveVideoIds.map(async (videoId) => {
           try {
             const cacheKey = cacheService.generateKey('video', videoId);
-            const metadata = await cacheService.getOrSet(
+            const ttl = cacheConfig.routes.video;
+            const entry = await cacheService.getOrSetEntry(
               cacheKey,
-              () => youtubeService.getLiveMetadata(null, videoId),
-              300
+              (signal) => youtubeService.getLiveMetadata(null, videoId, null, { strategy: req.extractionStrategy, signal, maxAge: ttl.softTtl }),
+              ttl,
+              { signal: req.signal }
             );
 
-            if (metadata) {
-              videoResults[videoId] = {
-                success: true,
-                data: metadata,
-                cached: cacheService.get(cacheKey) !== null
-              };
-            } else {
-              videoResults[videoId] = {
-                success: false,
-                error: 'Video not found or unavailable',
-                data: null
-              };
-            }
+            videoResults[videoId] = {
+              success: true,
+              data: entry.value,
+              cached: entry.cached,
+              stale: entry.stale
+            };
           } catch (error) {
             videoResults[videoId] = {
               success: false,
               error: error.message,
+              code: error.code || 'INTERNAL_ERROR',
               data: null
             };
           }
@@ -346,19 +370,26 @@ router.post('/batch/channels',
           const videoData = videoResults[channelResult.liveVideoId];
           finalResults[channelId] = {
             isLive: true,
+            liveStatus: channelResult.liveStatus,
+            scheduledStartTime: null,
             liveVideoId: channelResult.liveVideoId,
             videoData: videoData?.success ? videoData.data : null,
             videoError: videoData?.success ? null : videoData?.error,
+            videoErrorCode: videoData?.success ? null : videoData?.code || null,
             method: channelResult.method
           };
         } else {
+          // Upcoming streams keep their video ID so clients can show "starting soon"
           finalResults[channelId] = {
             isLive: false,
-            liveVideoId: null,
+            liveStatus: channelResult.liveStatus,
+            scheduledStartTime: channelResult.scheduledStartTime,
+            liveVideoId: channelResult.liveVideoId || null,
             videoData: null,
             videoError: null,
             method: channelResult.method,
-            error: channelResult.error || null
+            error: channelResult.error || null,
+            code: channelResult.code || null
           };
         }
       }
@@ -378,6 +409,7 @@ router.post('/batch/channels',
         summary: {
           total: channelIds.length,
           live: liveCount,
+          upcoming: Object.values(finalResults).filter(r => r.liveStatus === 'upcoming' || (r.liveStatus === 'premiere' && !r.isLive)).length,
           notLive: Object.values(finalResults).filter(r => !r.isLive && !r.error).length,
           errors: Object.values(finalResults).filter(r => r.error).length,
           videoDataFetched: liveVideoIds.length
@@ -0,0 +1,75 @@
+import express from 'express';
+import {
+  validateVideoId,
+  validateChannelId,
+  validateViewerHistoryQuery,
+  handleValidationErrors
+} from '../middleware/validation.js';
+import viewerHistoryService from '../services/viewerHistoryService.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Viewer History Endpoints
+ * Concurrent viewer samples of live streams on the watchlist, optionally
+ * filtered with ?from=&to= and downsampled with ?resolution=1m
+ */
+
+const historyOptions = ({ from, to, resolution }) => ({
+  from: from ?? null,
+  to: to ?? null,
+  resolution: resolution ?? null
+});
+
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    streams: viewerHistoryService.list(),
+    stats: viewerHistoryService.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/video/:videoId',
+  validateVideoId,
+  validateViewerHistoryQuery,
+  handleValidationErrors,
+  (req, res, next) => {
+    try {
+      const { videoId } = req.params;
+      const history = viewerHistoryService.getVideoHistory(videoId, historyOptions(req.query));
+      if (!history) {
+        throw new NotFoundError(`No viewer samples recorded for video ${videoId}`);
+      }
+
+      res.json({
+        success: true,
+        ...history,
+        resolutionMs: req.query.resolution ?? null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/channel/:channelId',
+  validateChannelId,
+  validateViewerHistoryQuery,
+  handleValidationErrors,
+  (req, res) => {
+    const { channelId } = req.params;
+
+    res.json({
+      success: true,
+      channelId,
+      streams: viewerHistoryService.getChannelHistory(channelId, historyOptions(req.query)),
+      resolutionMs: req.query.resolution ?? null,
+      timestamp: new Date().toISOString()
+    });
+  }
+);
+
+export default router;
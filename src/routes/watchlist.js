@@ -0,0 +1,105 @@
+import express from 'express';
+import { validateWatchlistChannels, validateWatchlistId, handleValidationErrors } from '../middleware/validation.js';
+import { strictRateLimiter } from '../middleware/rateLimiter.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import watchlistService from '../services/watchlistService.js';
+import logger from '../config/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Watchlist Endpoints
+ * Channels registered here are polled in the background; /api/status/channel,
+ * /api/status/batch/channels and /api/youtube/status answer watched channels
+ * from the latest poll. Every watched channel costs background checks, so
+ * adding and removing channels is for admins.
+ */
+
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    channels: watchlistService.list(),
+    stats: watchlistService.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.post('/',
+  strictRateLimiter,
+  requireAdmin,
+  validateWatchlistChannels,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { channels } = req.body;
+      const newChannels = watchlistService.countNew(channels);
+
+      if (newChannels > watchlistService.remaining()) {
+        return res.status(409).json({
+          error: {
+            message: `Watchlist is full: ${watchlistService.remaining()} of ${newChannels} new channels fit`,
+            code: 'WATCHLIST_FULL',
+            status: 409,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const { added, existing } = await watchlistService.add(channels);
+
+      res.status(added.length > 0 ? 201 : 200).json({
+        success: true,
+        added,
+        existing,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/:id',
+  validateWatchlistId,
+  handleValidationErrors,
+  (req, res, next) => {
+    const entry = watchlistService.get(req.params.id);
+    if (!entry) {
+      return next(new NotFoundError(`Channel ${req.params.id} is not on the watchlist`));
+    }
+
+    res.json({
+      success: true,
+      channel: entry,
+      timestamp: new Date().toISOString()
+    });
+  }
+);
+
+router.delete('/:id',
+  strictRateLimiter,
+  requireAdmin,
+  validateWatchlistId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      if (!(await watchlistService.remove(id))) {
+        throw new NotFoundError(`Channel ${id} is not on the watchlist`);
+      }
+
+      logger.info({ message: 'Channel unwatched via API', channel: id });
+
+      res.json({
+        success: true,
+        removed: watchlistService.normalizeId(id),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,153 @@
+import express from 'express';
+import { validateWebhookSubscription, validateWebhookId, handleValidationErrors } from '../middleware/validation.js';
+import { strictRateLimiter } from '../middleware/rateLimiter.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import webhookService from '../services/webhookService.js';
+import watchlistService from '../services/watchlistService.js';
+import logger from '../config/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Webhook Subscription Endpoints
+ * Subscriptions receive stream.started / stream.ended / stream.updated events
+ * for watched channels. Protected by ADMIN_TOKEN, and disabled while it is unset.
+ */
+router.use(strictRateLimiter, requireAdmin);
+
+const findSubscription = (id) => {
+  const subscription = webhookService.get(id);
+  if (!subscription) {
+    throw new NotFoundError(`Webhook subscription ${id} not found`);
+  }
+  return subscription;
+};
+
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    subscriptions: webhookService.list(),
+    stats: webhookService.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.post('/',
+  validateWebhookSubscription,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { url, secret, channels, events, description } = req.body;
+
+      // Subscribed channels go on the watchlist
+      const newChannels = channels ? watchlistService.countNew(channels) : 0;
+      if (newChannels > watchlistService.remaining()) {
+        return res.status(409).json({
+          error: {
+            message: `Watchlist is full: ${watchlistService.remaining()} of ${newChannels} new channels fit`,
+            code: 'WATCHLIST_FULL',
+            status: 409,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const subscription = await webhookService.subscribe({ url, secret, channels, events, description });
+
+      // The only response that includes the secret
+      res.status(201).json({
+        success: true,
+        subscription,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/deliveries', (req, res) => {
+  res.json({
+    success: true,
+    deliveries: webhookService.getDeliveries(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/:id',
+  validateWebhookId,
+  handleValidationErrors,
+  (req, res, next) => {
+    try {
+      res.json({
+        success: true,
+        subscription: webhookService.publicView(findSubscription(req.params.id)),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/:id',
+  validateWebhookId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      if (!(await webhookService.unsubscribe(id))) {
+        throw new NotFoundError(`Webhook subscription ${id} not found`);
+      }
+
+      res.json({
+        success: true,
+        removed: id,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/:id/deliveries',
+  validateWebhookId,
+  handleValidationErrors,
+  (req, res, next) => {
+    try {
+      const { id } = findSubscription(req.params.id);
+      res.json({
+        success: true,
+        deliveries: webhookService.getDeliveries(id),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Send a webhook.test event and report the first attempt
+router.post('/:id/test',
+  validateWebhookId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const delivery = await webhookService.sendTest(findSubscription(req.params.id));
+
+      logger.info({ message: 'Webhook test sent', id: req.params.id, status: delivery.status });
+
+      res.json({
+        success: true,
+        delivery,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
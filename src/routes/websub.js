@@ -0,0 +1,68 @@
+import express from 'express';
+import { validateChannelId, handleValidationErrors } from '../middleware/validation.js';
+import { strictRateLimiter } from '../middleware/rateLimiter.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import websubService from '../services/websubService.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * WebSub Endpoints
+ * /callback/:channelId is called by the hub (verification of intent and
+ * feed pushes); /subscriptions is for admins.
+ */
+
+const requireEnabled = (req, res, next) => {
+  if (!websubService.isEnabled()) {
+    return next(new NotFoundError('WebSub is not enabled'));
+  }
+  next();
+};
+
+router.get('/subscriptions', strictRateLimiter, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    subscriptions: websubService.list(),
+    stats: websubService.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/callback/:channelId',
+  requireEnabled,
+  validateChannelId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const challenge = await websubService.verify(req.params.channelId, {
+        mode: req.query['hub.mode'],
+        topic: req.query['hub.topic'],
+        challenge: req.query['hub.challenge'],
+        leaseSeconds: req.query['hub.lease_seconds'],
+        reason: req.query['hub.reason']
+      });
+      if (challenge === null) {
+        throw new NotFoundError('No matching subscription request');
+      }
+      res.type('text/plain').send(challenge);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// The signature covers the exact bytes sent, so the body is kept raw
+router.post('/callback/:channelId',
+  requireEnabled,
+  validateChannelId,
+  handleValidationErrors,
+  express.raw({ type: () => true, limit: '1mb' }),
+  (req, res) => {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    websubService.notify(req.params.channelId, body, req.get('x-hub-signature'));
+    res.sendStatus(202);
+  }
+);
+
+export default router;
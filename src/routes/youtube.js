@@ -1,36 +1,66 @@
 import express from 'express';
 import youtubeService from '../services/youtubeService.js';
-import { validateVideoId, validateChannelId, handleValidationErrors } from '../middleware/validation.js';
+import watchlistService from '../services/watchlistService.js';
+import webhookService from '../services/webhookService.js';
+import liveEventsService from '../services/liveEventsService.js';
+import liveChatService from '../services/liveChatService.js';
+import viewerHistoryService from '../services/viewerHistoryService.js';
+import sessionService from '../services/sessionService.js';
+import websubService from '../services/websubService.js';
+import {
+  validateVideoId,
+  validateChannelId,
+  validateStrategy,
+  validateUploadsQuery,
+  validateLiveChatQuery,
+  handleValidationErrors
+} from '../middleware/validation.js';
 import { strictRateLimiter } from '../middleware/rateLimiter.js';
+import { extractionStrategy } from '../middleware/extractionStrategy.js';
 import cacheService from '../services/cacheService.js';
+import { cacheConfig } from '../config/cache.js';
 import logger from '../config/logger.js';
+import { NotFoundError, OfflineError } from '../utils/errors.js';
+import { withTimeout } from '../utils/timeout.js';
 
 const router = express.Router();
 
+// Longest a /status request waits before answering 504 TIMEOUT
+const STATUS_TIMEOUT = 1500;
+
+// Let the cache admin API force-refresh route entries by key. maxAge 0 makes
+// the refresh skip the service lookup cache too.
+const routeRefreshers = {
+  video: (videoId, signal) => youtubeService.getLiveMetadata(null, videoId, null, { signal, maxAge: 0 }),
+  channel: (channelId, signal) => youtubeService.getLiveMetadata(channelId, null, null, { signal, maxAge: 0 }),
+  handle: (handle, signal) => youtubeService.getLiveMetadata(null, null, handle, { signal, maxAge: 0 }),
+  status: (channelId, signal) => youtubeService.getLiveMetadata(channelId, null, null, { signal, maxAge: 0 }),
+  viewers: (channelId, signal) => youtubeService.getLiveMetadata(channelId, null, null, { signal, maxAge: 0 }),
+  uploads: (channelId, signal) => youtubeService.getRecentUploads(channelId, { signal, maxAge: 0 })
+};
+for (const [type, fetch] of Object.entries(routeRefreshers)) {
+  cacheService.registerRefresher(type, { ttl: cacheConfig.routes[type], fetch });
+}
+
 router.get('/video/:videoId', 
   strictRateLimiter,
   validateVideoId,
+  validateStrategy,
   handleValidationErrors,
+  extractionStrategy('video'),
   async (req, res, next) => {
     try {
       const { videoId } = req.params;
       const cacheKey = cacheService.generateKey('video', videoId);
+      const ttl = cacheConfig.routes.video;
 
-      const metadata = await cacheService.getOrSet(
+      const entry = await cacheService.getOrSetEntry(
         cacheKey,
-        () => youtubeService.getLiveMetadata(null, videoId),
-        300
+        (signal) => youtubeService.getLiveMetadata(null, videoId, null, { strategy: req.extractionStrategy, signal, maxAge: ttl.softTtl }),
+        ttl,
+        { signal: req.signal }
       );
-
-      if (!metadata) {
-        logger.warn({ message: 'Video metadata not found', videoId });
-        return res.status(404).json({
-          success: false,
-          error: 'Video not found or unavailable',
-          videoId,
-          timestamp: new Date().toISOString()
-        });
-      }
+      const metadata = entry.value;
 
       logger.info({
         message: 'Video metadata retrieved',
@@ -40,10 +70,12 @@ router.get('/video/:videoId',
         title: metadata.title
       });
 
+      res.locals.cacheEntry = entry;
       res.json({
         success: true,
         data: metadata,
-        cached: cacheService.get(cacheKey) !== null,
+        cached: entry.cached,
+        stale: entry.stale,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -55,31 +87,43 @@ router.get('/video/:videoId',
 router.get('/channel/:channelId',
   strictRateLimiter,
   validateChannelId,
+  validateStrategy,
   handleValidationErrors,
+  extractionStrategy('channel'),
   async (req, res, next) => {
     try {
       const { channelId } = req.params;
       const cacheKey = cacheService.generateKey('channel', channelId);
-
-      const metadata = await cacheService.getOrSet(
-        cacheKey,
-        () => youtubeService.getLiveMetadata(channelId),
-        180
-      );
-
-      if (!metadata) {
+      const ttl = cacheConfig.routes.channel;
+
+      let entry;
+      try {
+        entry = await cacheService.getOrSetEntry(
+          cacheKey,
+          (signal) => youtubeService.getLiveMetadata(channelId, null, null, { strategy: req.extractionStrategy, signal, maxAge: ttl.softTtl }),
+          ttl,
+          { signal: req.signal }
+        );
+      } catch (error) {
+        // Every extractor looked and found no stream; anything else is an error
+        if (!(error instanceof OfflineError)) {
+          throw error;
+        }
         logger.info({ message: 'Channel not live', channelId });
         return res.json({
           success: true,
           data: {
             channelId,
             isLiveNow: false,
+            liveStatus: 'none',
             note: 'Channel is not currently live'
           },
-          cached: cacheService.get(cacheKey) !== null,
+          cached: Boolean(error.cached),
+          stale: false,
           timestamp: new Date().toISOString()
         });
       }
+      const metadata = entry.value;
 
       logger.info({
         message: 'Channel metadata retrieved',
@@ -89,10 +133,78 @@ router.get('/channel/:channelId',
         videoId: metadata.videoId
       });
 
+      res.locals.cacheEntry = entry;
       res.json({
         success: true,
         data: metadata,
-        cached: cacheService.get(cacheKey) !== null,
+        cached: entry.cached,
+        stale: entry.stale,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const getUploadsEntry = (channelId, signal) => {
+  const ttl = cacheConfig.routes.uploads;
+  return cacheService.getOrSetEntry(
+    cacheService.generateKey('uploads', channelId),
+    (fetchSignal) => youtubeService.getRecentUploads(channelId, { signal: fetchSignal, maxAge: ttl.softTtl }),
+    ttl,
+    { signal }
+  );
+};
+
+// Latest videos of a channel from its public feed (at most 15, newest first)
+router.get('/uploads/:channelId',
+  strictRateLimiter,
+  validateChannelId,
+  validateUploadsQuery,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { channelId } = req.params;
+      const entry = await getUploadsEntry(channelId, req.signal);
+      const { videos, ...list } = entry.value;
+
+      res.locals.cacheEntry = entry;
+      res.json({
+        success: true,
+        data: {
+          ...list,
+          videos: req.query.limit ? videos.slice(0, req.query.limit) : videos
+        },
+        cached: entry.cached,
+        stale: entry.stale,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/uploads/:channelId/latest',
+  strictRateLimiter,
+  validateChannelId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { channelId } = req.params;
+      const entry = await getUploadsEntry(channelId, req.signal);
+      const [latest] = entry.value.videos;
+      if (!latest) {
+        throw new NotFoundError(`Channel ${channelId} has no uploads`);
+      }
+
+      res.locals.cacheEntry = entry;
+      res.json({
+        success: true,
+        data: latest,
+        cached: entry.cached,
+        stale: entry.stale,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -105,69 +217,64 @@ router.get('/channel/:channelId',
 router.get('/status/:channelId',
   strictRateLimiter,
   validateChannelId,
+  validateStrategy,
   handleValidationErrors,
+  extractionStrategy('status'),
   async (req, res, next) => {
     try {
       const { channelId } = req.params;
       const cacheKey = cacheService.generateKey('status', channelId);
+      const ttl = cacheConfig.routes.status;
 
-      // Add very aggressive timeout wrapper at route level
-      const fastTimeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Route timeout - returning offline')), 1500)
-      );
-
-      let metadata = null;
-      let fromCache = false;
-
-      // Check cache first manually
-      const cached = cacheService.get(cacheKey);
-      if (cached) {
-        metadata = cached;
-        fromCache = true;
-        logger.info({ message: 'Using cached data for status check', channelId });
+      // Watched channels are answered from the latest poll
+      let entry = watchlistService.getFreshState(channelId);
+      if (entry) {
+        entry = { ...entry, value: { ...entry.value, isLiveNow: entry.value.isLive } };
       } else {
         try {
-          // Direct call without cache wrapper for timeout
-          metadata = await Promise.race([
-            youtubeService.getLiveMetadata(channelId),
-            fastTimeout
-          ]);
-
-          // Cache the result if we got one
-          if (metadata) {
-            cacheService.set(cacheKey, metadata, 60);
+          // Aggressive deadline on this request's wait only. Running out of time
+          // is reported as a 504 TIMEOUT, not as offline, while the shared fetch
+          // keeps going (within the extraction's global deadline) and caches its
+          // result for the next call.
+          entry = await withTimeout(
+            cacheService.getOrSetEntry(
+              cacheKey,
+              (fetchSignal) => youtubeService.getLiveMetadata(channelId, null, null, { strategy: req.extractionStrategy, signal: fetchSignal, maxAge: ttl.softTtl }),
+              ttl
+            ),
+            STATUS_TIMEOUT,
+            `Status check timed out after ${STATUS_TIMEOUT}ms`,
+            req.signal
+          );
+        } catch (error) {
+          if (!(error instanceof OfflineError)) {
+            throw error;
           }
-        } catch (timeoutError) {
-          logger.warn({
-            message: 'Channel status check timed out, returning offline',
-            channelId,
-            error: timeoutError.message
-          });
-          // Return offline status for timeout
-          return res.json({
-            success: true,
-            channelId,
-            isLive: false,
-            cached: false,
-            note: 'Timeout - assuming offline',
-            timestamp: new Date().toISOString()
-          });
+          entry = { value: null, cached: Boolean(error.cached), stale: false };
         }
       }
+      const metadata = entry.value;
 
       const isLive = metadata?.isLiveNow === true;
+      const liveStatus = metadata?.liveStatus || 'none';
 
       logger.info({
         message: 'Channel live status checked',
         channelId,
-        isLive
+        isLive,
+        liveStatus
       });
 
+      res.locals.cacheEntry = entry;
       res.json({
         success: true,
         channelId,
         isLive,
-        cached: fromCache,
+        liveStatus,
+        scheduledStartTime: metadata?.scheduledStartTime || null,
+        cached: entry.cached,
+        stale: entry.stale,
+        watched: Boolean(entry.watched),
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -180,19 +287,32 @@ router.get('/status/:channelId',
 router.get('/viewers/:channelId', 
   strictRateLimiter,
   validateChannelId,
+  validateStrategy,
   handleValidationErrors,
+  extractionStrategy('viewers'),
   async (req, res, next) => {
     try {
       const { channelId } = req.params;
       const cacheKey = cacheService.generateKey('viewers', channelId);
+      const ttl = cacheConfig.routes.viewers;
+
+      let entry;
+      try {
+        entry = await cacheService.getOrSetEntry(
+          cacheKey,
+          (signal) => youtubeService.getLiveMetadata(channelId, null, null, { strategy: req.extractionStrategy, signal, maxAge: ttl.softTtl }),
+          ttl,
+          { signal: req.signal }
+        );
+      } catch (error) {
+        // An offline channel simply has no viewers
+        if (!(error instanceof OfflineError)) {
+          throw error;
+        }
+        entry = { value: null, cached: Boolean(error.cached), stale: false };
+      }
 
-      const metadata = await cacheService.getOrSet(
-        cacheKey,
-        () => youtubeService.getLiveMetadata(channelId),
-        30 // Cache for 30 seconds for viewer counts
-      );
-
-      const viewers = metadata?.concurrentViewers || null;
+      const viewers = entry.value?.concurrentViewers || null;
 
       logger.info({
         message: 'Channel viewer count retrieved',
@@ -200,11 +320,13 @@ router.get('/viewers/:channelId',
         viewers
       });
 
+      res.locals.cacheEntry = entry;
       res.json({
         success: true,
         channelId,
         viewers,
-        cached: cacheService.get(cacheKey) !== null,
+        cached: entry.cached,
+        stale: entry.stale,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -213,66 +335,81 @@ router.get('/viewers/:channelId',
   }
 );
 
-router.get('/health', async (req, res) => {
-  const stats = cacheService.getStats();
-  
-  // Check YouTube service status
-  let youtubeStatus = null;
+router.get('/health', async (req, res, next) => {
   try {
-    youtubeStatus = await youtubeService.checkAvailableMethods();
+    const stats = await cacheService.getStats();
+    const extractorHealth = youtubeService.getExtractorHealth();
+
+    res.json({
+      success: true,
+      status: extractorHealth.status,
+      timestamp: new Date().toISOString(),
+      cache: {
+        backend: stats.backend,
+        keys: stats.keys,
+        hits: stats.hits,
+        misses: stats.misses,
+        staleHits: stats.staleHits,
+        negativeHits: stats.negativeHits,
+        revalidations: stats.revalidations,
+        errors: stats.errors,
+        hitRate: stats.hits > 0 ? (stats.hits / (stats.hits + stats.misses)).toFixed(2) : '0.00',
+        inflight: stats.inflight
+      },
+      youtube: extractorHealth,
+      watchlist: watchlistService.getStats(),
+      webhooks: webhookService.getStats(),
+      liveEvents: liveEventsService.getStats(),
+      liveChat: liveChatService.getStats(),
+      viewerHistory: viewerHistoryService.getStats(),
+      sessions: sessionService.getStats(),
+      websub: websubService.getStats(),
+      uptime: process.uptime(),
+      memory: process.memoryUsage()
+    });
   } catch (error) {
-    logger.warn({ message: 'Failed to check YouTube service status', error: error.message });
-    youtubeStatus = { error: 'Unable to check status' };
+    next(error);
   }
-  
-  res.json({
-    success: true,
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    cache: {
-      keys: stats.keys,
-      hits: stats.hits,
-      misses: stats.misses,
-      hitRate: stats.hits > 0 ? (stats.hits / (stats.hits + stats.misses)).toFixed(2) : '0.00'
-    },
-    youtube: {
-      methods: youtubeStatus
-    },
-    uptime: process.uptime(),
-    memory: process.memoryUsage()
-  });
 });
 
-// New endpoint: Get live chat data
+// Live chat messages after a cursor, served from the relay's buffer (see liveChatService.poll)
 router.get('/livechat/:videoId',
   strictRateLimiter,
   validateVideoId,
+  validateLiveChatQuery,
   handleValidationErrors,
   async (req, res, next) => {
     try {
       const { videoId } = req.params;
 
-      const chatData = await youtubeService.getLiveChatData(videoId);
-
-      if (!chatData) {
-        return res.status(404).json({
-          success: false,
-          error: 'Live chat not available for this video',
-          videoId,
-          timestamp: new Date().toISOString()
+      if (!liveChatService.hasStreamCapacity(videoId)) {
+        return res.status(503).json({
+          error: {
+            message: 'Too many live chats are relayed, retry later',
+            code: 'TOO_MANY_CHATS',
+            status: 503,
+            timestamp: new Date().toISOString()
+          }
         });
       }
 
-      logger.info({
-        message: 'Live chat data retrieved',
+      const page = await liveChatService.poll(videoId, {
+        continuation: req.query.continuation,
+        since: req.query.since,
+        limit: req.query.limit
+      });
+
+      logger.debug({
+        message: 'Live chat polled',
         videoId,
-        messageCount: chatData.messageCount
+        messages: page.messages.length,
+        resumed: page.resumed
       });
 
       res.json({
         success: true,
         videoId,
-        chatData,
+        ...page,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -290,7 +427,7 @@ router.get('/livestats/:videoId',
     try {
       const { videoId } = req.params;
 
-      const stats = await youtubeService.getLiveStats(videoId);
+      const stats = await youtubeService.getLiveStats(videoId, { signal: req.signal });
 
       if (!stats) {
         return res.status(404).json({
@@ -322,30 +459,42 @@ router.get('/livestats/:videoId',
 // New endpoint: Get channel by handle
 router.get('/handle/:handle',
   strictRateLimiter,
+  validateStrategy,
+  handleValidationErrors,
+  extractionStrategy('handle'),
   async (req, res, next) => {
     try {
       const { handle } = req.params;
       const cacheKey = cacheService.generateKey('handle', handle);
-
-      const metadata = await cacheService.getOrSet(
-        cacheKey,
-        () => youtubeService.getLiveMetadata(null, null, handle),
-        180
-      );
-
-      if (!metadata) {
+      const ttl = cacheConfig.routes.handle;
+
+      let entry;
+      try {
+        entry = await cacheService.getOrSetEntry(
+          cacheKey,
+          (signal) => youtubeService.getLiveMetadata(null, null, handle, { strategy: req.extractionStrategy, signal, maxAge: ttl.softTtl }),
+          ttl,
+          { signal: req.signal }
+        );
+      } catch (error) {
+        if (!(error instanceof OfflineError)) {
+          throw error;
+        }
         logger.info({ message: 'Channel not live', handle });
         return res.json({
           success: true,
           data: {
             handle,
             isLiveNow: false,
+            liveStatus: 'none',
             note: 'Channel is not currently live'
           },
-          cached: cacheService.get(cacheKey) !== null,
+          cached: Boolean(error.cached),
+          stale: false,
           timestamp: new Date().toISOString()
         });
       }
+      const metadata = entry.value;
 
       logger.info({
         message: 'Channel metadata retrieved by handle',
@@ -355,10 +504,12 @@ router.get('/handle/:handle',
         videoId: metadata.videoId
       });
 
+      res.locals.cacheEntry = entry;
       res.json({
         success: true,
         data: metadata,
-        cached: cacheService.get(cacheKey) !== null,
+        cached: entry.cached,
+        stale: entry.stale,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -377,7 +528,7 @@ router.get('/quick-status/:channelId',
       const { channelId } = req.params;
 
       // Use the new quick status method
-      const result = await youtubeService.getQuickLiveStatus(channelId);
+      const result = await youtubeService.getQuickLiveStatus(channelId, { signal: req.signal });
 
       logger.info({
         message: 'Quick status check completed',
@@ -396,6 +547,9 @@ router.get('/quick-status/:channelId',
 // New endpoint: Batch video metadata retrieval
 router.post('/batch/videos',
   strictRateLimiter,
+  validateStrategy,
+  handleValidationErrors,
+  extractionStrategy('batch'),
   async (req, res, next) => {
     try {
       const { videoIds } = req.body;
@@ -418,29 +572,25 @@ router.post('/batch/videos',
       const promises = videoIds.map(async (videoId) => {
         try {
           const cacheKey = cacheService.generateKey('video', videoId);
-          const metadata = await cacheService.getOrSet(
+          const ttl = cacheConfig.routes.video;
+          const entry = await cacheService.getOrSetEntry(
             cacheKey,
-            () => youtubeService.getLiveMetadata(null, videoId),
-            300
+            (signal) => youtubeService.getLiveMetadata(null, videoId, null, { strategy: req.extractionStrategy, signal, maxAge: ttl.softTtl }),
+            ttl,
+            { signal: req.signal }
           );
 
-          if (metadata) {
-            results[videoId] = {
-              success: true,
-              data: metadata,
-              cached: cacheService.get(cacheKey) !== null
-            };
-          } else {
-            results[videoId] = {
-              success: false,
-              error: 'Video not found or unavailable',
-              data: null
-            };
-          }
+          results[videoId] = {
+            success: true,
+            data: entry.value,
+            cached: entry.cached,
+            stale: entry.stale
+          };
         } catch (error) {
           results[videoId] = {
             success: false,
             error: error.message,
+            code: error.code || 'INTERNAL_ERROR',
             data: null
           };
         }
@@ -471,17 +621,21 @@ router.post('/batch/videos',
 );
 
 // New endpoint: Clear cache
-router.post('/cache/clear', (req, res) => {
-  cacheService.flush();
-  youtubeService.clearCache();
+// Open as it always was, existing callers don't send a token; the guarded admin API is /api/cache
+router.post('/cache/clear', async (req, res, next) => {
+  try {
+    await cacheService.flush();
 
-  logger.info({ message: 'All caches cleared via API' });
+    logger.info({ message: 'All caches cleared via API' });
 
-  res.json({
-    success: true,
-    message: 'All caches cleared successfully',
-    timestamp: new Date().toISOString()
-  });
+    res.json({
+      success: true,
+      message: 'All caches cleared successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 export default router;
\ No newline at end of file
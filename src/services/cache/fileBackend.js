@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { patternToRegExp } from './keyPattern.js';
+
+/**
+ * On-disk cache: one JSON file per key, named after the key's hash
+ * An in-memory index (key -> expiresAt, in write order) is rebuilt from the
+ * directory on first use, so listing keys doesn't read every file. Writes go
+ * to a temporary file first and are renamed into place.
+ */
+export class FileBackend {
+  constructor({ dir, maxEntries = 1000 } = {}) {
+    this.name = 'file';
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.index = new Map();
+    this.ready = null;
+    this.evictions = 0;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = this.loadIndex().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async loadIndex() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const { key, expiresAt } = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        if (expiresAt !== null && expiresAt <= Date.now()) {
+          await fs.rm(path.join(this.dir, file), { force: true });
+        } else {
+          this.index.set(key, expiresAt);
+        }
+      } catch (error) {
+        console.warn(`Cache: skipping unreadable file ${file}:`, error.message);
+      }
+    }
+    console.log(`Cache: loaded ${this.index.size} entries from ${this.dir}`);
+  }
+
+  isExpired(key) {
+    const expiresAt = this.index.get(key);
+    return expiresAt !== null && expiresAt <= Date.now();
+  }
+
+  async get(key) {
+    await this.init();
+    if (!this.index.has(key)) {
+      return null;
+    }
+    if (this.isExpired(key)) {
+      await this.del(key);
+      return null;
+    }
+
+    try {
+      const { value, expiresAt } = JSON.parse(await fs.readFile(this.fileFor(key), 'utf8'));
+      return { value, expiresAt };
+    } catch (error) {
+      // Removed behind our back
+      this.index.delete(key);
+      return null;
+    }
+  }
+
+  async set(key, value, ttl = null) {
+    await this.init();
+    const expiresAt = ttl ? Date.now() + ttl * 1000 : null;
+    const file = this.fileFor(key);
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+    await fs.writeFile(tmpFile, JSON.stringify({ key, value, expiresAt }));
+    await fs.rename(tmpFile, file);
+
+    this.index.delete(key);
+    this.index.set(key, expiresAt);
+
+    while (this.index.size > this.maxEntries) {
+      await this.del(this.index.keys().next().value);
+      this.evictions++;
+    }
+    return true;
+  }
+
+  async del(key) {
+    await this.init();
+    const existed = this.index.delete(key);
+    await fs.rm(this.fileFor(key), { force: true });
+    return existed;
+  }
+
+  async keys(pattern = '*') {
+    await this.init();
+    const matcher = patternToRegExp(pattern);
+    const keys = [];
+    for (const key of [...this.index.keys()]) {
+      if (this.isExpired(key)) {
+        await this.del(key);
+      } else if (matcher.test(key)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  async flush() {
+    await this.init();
+    await Promise.all([...this.index.keys()].map(key => fs.rm(this.fileFor(key), { force: true })));
+    this.index.clear();
+  }
+
+  async size() {
+    return (await this.keys()).length;
+  }
+
+  describe() {
+    return {
+      backend: this.name,
+      dir: this.dir,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions
+    };
+  }
+
+  async close() {}
+}
@@ -0,0 +1,29 @@
+import { MemoryBackend } from './memoryBackend.js';
+import { FileBackend } from './fileBackend.js';
+import { RedisBackend } from './redisBackend.js';
+
+/**
+ * Cache backends share one async interface, used by services/cacheService.js:
+ *
+ *   name                     'memory' | 'file' | 'redis'
+ *   get(key)                 { value, expiresAt } or null when missing/expired
+ *   set(key, value, ttl)     ttl in seconds, null for no expiry
+ *   del(key)                 true when the key existed
+ *   keys(pattern)            live keys matching a glob (`*`, `?`)
+ *   flush()                  remove every entry
+ *   size()                   number of live entries
+ *   describe()               backend-specific details for /health
+ *   close()                  release connections
+ *
+ * expiresAt is epoch milliseconds or null.
+ */
+export const createCacheBackend = (config, { keyPrefix = '' } = {}) => {
+  switch (config.backend) {
+    case 'file':
+      return new FileBackend({ dir: config.file.dir, maxEntries: config.maxEntries });
+    case 'redis':
+      return new RedisBackend({ url: config.redis.url, timeout: config.redis.timeout, keyPrefix });
+    default:
+      return new MemoryBackend({ maxEntries: config.maxEntries });
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Glob-style key patterns shared by the cache backends: `*` matches any run of
+ * characters, `?` a single one, e.g. youtube:video:*
+ */
+export const patternToRegExp = (pattern = '*') => {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+};
@@ -0,0 +1,85 @@
+import { patternToRegExp } from './keyPattern.js';
+
+/**
+ * In-process LRU cache
+ * Map iteration order doubles as recency order: reads move the key to the end,
+ * and the oldest key is evicted once maxEntries is exceeded. Expired entries
+ * are dropped when read or listed.
+ */
+export class MemoryBackend {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, value, ttl = null) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+    return true;
+  }
+
+  async del(key) {
+    return this.entries.delete(key);
+  }
+
+  async keys(pattern = '*') {
+    const matcher = patternToRegExp(pattern);
+    const keys = [];
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+      } else if (matcher.test(key)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  async flush() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return (await this.keys()).length;
+  }
+
+  describe() {
+    return {
+      backend: this.name,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions
+    };
+  }
+
+  async close() {}
+}
@@ -0,0 +1,78 @@
+import { RespClient } from './respClient.js';
+
+/**
+ * Redis-protocol cache backend
+ * Entries are stored as JSON { value, expiresAt } with the TTL set on the key
+ * itself (SET ... PX), so Redis expires them without our help.
+ */
+export class RedisBackend {
+  constructor({ url, timeout, keyPrefix = '' } = {}) {
+    this.name = 'redis';
+    this.url = url;
+    this.keyPrefix = keyPrefix;
+    this.client = new RespClient(url, { timeout });
+  }
+
+  async get(key) {
+    const raw = await this.client.command('GET', key);
+    if (raw === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch {
+      // Not one of our entries (corrupt, or written by something else under the prefix): a miss
+      return null;
+    }
+  }
+
+  async set(key, value, ttl = null) {
+    const expiresAt = ttl ? Date.now() + ttl * 1000 : null;
+    const payload = JSON.stringify({ value, expiresAt });
+    const reply = ttl
+      ? await this.client.command('SET', key, payload, 'PX', ttl * 1000)
+      : await this.client.command('SET', key, payload);
+    return reply === 'OK';
+  }
+
+  async del(key) {
+    return (await this.client.command('DEL', key)) > 0;
+  }
+
+  // SCAN instead of KEYS so a large keyspace doesn't block the server
+  async keys(pattern = '*') {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await this.client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 200);
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return [...new Set(keys)];
+  }
+
+  // Only our own keys: the database may be shared
+  async flush() {
+    const keys = await this.keys(`${this.keyPrefix}*`);
+    for (let i = 0; i < keys.length; i += 500) {
+      await this.client.command('DEL', ...keys.slice(i, i + 500));
+    }
+  }
+
+  async size() {
+    return (await this.keys(`${this.keyPrefix}*`)).length;
+  }
+
+  describe() {
+    const { host, port, db } = this.client;
+    return {
+      backend: this.name,
+      server: `${host}:${port}/${db}`,
+      connected: this.client.socket !== null
+    };
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
@@ -0,0 +1,178 @@
+import net from 'net';
+import logger from '../../config/logger.js';
+import { withTimeout } from '../../utils/timeout.js';
+
+/**
+ * Minimal Redis (RESP2) client over a single TCP connection
+ * Commands are pipelined: replies arrive in order, so pending callbacks are a
+ * FIFO queue. The connection is opened lazily and re-opened on the next
+ * command after it drops. Supports redis://[:password@]host:port[/db].
+ */
+
+const CRLF = '\r\n';
+
+export class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+export const encodeCommand = (args) => {
+  const parts = [`*${args.length}${CRLF}`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`);
+  }
+  return parts.join('');
+};
+
+/**
+ * Parse one reply starting at offset
+ * Returns { value, offset } or null when the buffer doesn't hold a full reply yet.
+ */
+export const parseReply = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RespError(`Unexpected reply type "${type}"`);
+  }
+};
+
+export class RespClient {
+  constructor(url, { timeout = 2000 } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = parseInt(parsed.pathname.slice(1)) || 0;
+    this.timeout = timeout;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.socket) {
+      return Promise.resolve();
+    }
+    if (!this.connecting) {
+      this.connecting = this.openSocket().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async openSocket() {
+    const socket = await withTimeout(new Promise((resolve, reject) => {
+      const connection = net.createConnection({ host: this.host, port: this.port }, () => resolve(connection));
+      connection.once('error', reject);
+    }), this.timeout, `Redis connection to ${this.host}:${this.port} timed out`);
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => logger.warn({ message: 'Redis connection error', error: error.message }));
+    socket.on('close', () => this.onClose());
+    this.socket = socket;
+
+    if (this.password) {
+      await this.send(['AUTH', this.password]);
+    }
+    if (this.db) {
+      await this.send(['SELECT', this.db]);
+    }
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.pending.length > 0 && (reply = parseReply(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      const { resolve, reject } = this.pending.shift();
+      if (reply.value instanceof RespError) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  }
+
+  onClose() {
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    const pending = this.pending.splice(0);
+    pending.forEach(({ reject }) => reject(new Error('Redis connection closed')));
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    try {
+      return await withTimeout(this.send(args), this.timeout, `Redis ${args[0]} timed out`);
+    } catch (error) {
+      // A reply that never came would shift every later reply onto the wrong caller
+      if (!(error instanceof RespError)) {
+        this.socket?.destroy();
+      }
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.socket) {
+      await this.command('QUIT').catch(() => {});
+      this.socket?.destroy();
+    }
+  }
+}
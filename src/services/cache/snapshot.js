@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Cache snapshots: every live entry of a backend with its absolute expiry,
+ * in one JSON file. Written to a temporary file first and renamed into place
+ * so a crash mid-write never leaves a truncated snapshot behind.
+ */
+export const writeSnapshot = async (backend, file, pattern = '*') => {
+  const entries = [];
+  for (const key of await backend.keys(pattern)) {
+    const entry = await backend.get(key);
+    if (entry) {
+      entries.push({ key, value: entry.value, expiresAt: entry.expiresAt });
+    }
+  }
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify({ version: SNAPSHOT_VERSION, savedAt: Date.now(), entries }));
+  await fs.rename(tmpFile, file);
+
+  return { entries: entries.length };
+};
+
+/**
+ * Load a snapshot into a backend, in its saved order. Expired entries and keys
+ * the backend already holds (a shared Redis may be newer) are skipped.
+ * A missing file is not an error: there is simply nothing to restore.
+ */
+export const readSnapshot = async (backend, file) => {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { restored: 0, expired: 0, skipped: 0 };
+    }
+    throw error;
+  }
+
+  if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries)) {
+    throw new Error(`Unsupported cache snapshot format in ${file}`);
+  }
+
+  const now = Date.now();
+  const result = { restored: 0, expired: 0, skipped: 0, savedAt: snapshot.savedAt };
+  for (const { key, value, expiresAt } of snapshot.entries) {
+    if (expiresAt !== null && expiresAt <= now) {
+      result.expired++;
+      continue;
+    }
+    if (await backend.get(key)) {
+      result.skipped++;
+      continue;
+    }
+    // Whole seconds, rounded up so the entry never outlives its expiry by more than a second
+    await backend.set(key, value, expiresAt === null ? null : Math.ceil((expiresAt - now) / 1000));
+    result.restored++;
+  }
+  return result;
+};
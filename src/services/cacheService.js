@@ -1,87 +1,442 @@
-import NodeCache from 'node-cache';
 import { config } from '../config/environment.js';
+import { cacheConfig } from '../config/cache.js';
 import logger from '../config/logger.js';
+import { SingleFlight } from '../utils/singleFlight.js';
+import { NotFoundError, OfflineError } from '../utils/errors.js';
+import { createCacheBackend } from './cache/index.js';
+import { readSnapshot, writeSnapshot } from './cache/snapshot.js';
 
+const KEY_PREFIX = 'youtube';
+
+// Approximate footprint of a value: the size of its JSON serialization
+const byteSize = (value) => Buffer.byteLength(JSON.stringify(value) ?? '');
+const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+// Errors that are answers rather than failures get cached too, each with its own TTL
+const NEGATIVE_RESULTS = {
+  NOT_FOUND: { ErrorClass: NotFoundError, ttl: cacheConfig.negativeTtl.notFound },
+  OFFLINE: { ErrorClass: OfflineError, ttl: cacheConfig.negativeTtl.offline }
+};
+
+/**
+ * The one cache used by routes and services
+ * Storage is delegated to a swappable backend (memory LRU, files, Redis - see
+ * services/cache/). A backend failure, such as Redis being down, is logged and
+ * treated as a cache miss so requests still get answered.
+ *
+ * Values are stored as { data, storedAt, freshUntil }: freshUntil is the soft
+ * TTL, while the backend's own expiry is the hard TTL. Negative results (not
+ * found, offline) are stored as { data: null, negative: { code, message } }
+ * and rethrown when read through getOrSet.
+ */
 class CacheService {
   constructor() {
-    this.cache = new NodeCache({
-      stdTTL: config.CACHE_TTL,
-      checkperiod: Math.floor(config.CACHE_TTL / 2),
-      useClones: false
-    });
+    this.backend = createCacheBackend(cacheConfig, { keyPrefix: `${KEY_PREFIX}:` });
+    this.defaultTtl = config.CACHE_TTL;
 
-    this.cache.on('set', (key, value) => {
-      logger.debug({ message: 'Cache set', key, size: JSON.stringify(value).length });
-    });
+    // Concurrent misses for the same key share one fetch
+    this.inflight = new SingleFlight();
+    // Key type -> { ttl, fetch(identifier, signal) }, used to force-refresh by key
+    this.refreshers = new Map();
+    this.snapshotTimer = null;
+    this.stats = { hits: 0, misses: 0, staleHits: 0, negativeHits: 0, revalidations: 0, sets: 0, negativeSets: 0, deletes: 0, errors: 0 };
 
-    this.cache.on('expired', (key, value) => {
-      logger.debug({ message: 'Cache expired', key });
-    });
+    logger.info({ message: 'Cache backend selected', ...this.backend.describe() });
+  }
 
-    this.cache.on('del', (key, value) => {
-      logger.debug({ message: 'Cache deleted', key });
-    });
+  async withBackend(operation, key, fallback, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn({ message: 'Cache backend error', backend: this.backend.name, operation, key, error: error.message });
+      return fallback;
+    }
   }
 
-  get(key) {
-    const value = this.cache.get(key);
-    if (value !== undefined) {
+  /**
+   * Raw entry without touching hit/miss stats:
+   * { value, negative, storedAt, freshUntil, expiresAt, stale }
+   */
+  async getEntry(key) {
+    const entry = await this.withBackend('get', key, null, () => this.backend.get(key));
+    const envelope = entry?.value;
+    // Anything not written through set() (e.g. left over in a file or Redis cache) is ignored
+    if (!envelope || typeof envelope !== 'object' || !('storedAt' in envelope)) {
+      return null;
+    }
+    return {
+      value: envelope.data,
+      negative: envelope.negative || null,
+      storedAt: envelope.storedAt,
+      freshUntil: envelope.freshUntil,
+      expiresAt: entry.expiresAt,
+      stale: envelope.freshUntil <= Date.now()
+    };
+  }
+
+  async get(key) {
+    const entry = await this.getEntry(key);
+    if (entry) {
+      this.stats.hits++;
       logger.debug({ message: 'Cache hit', key });
-      return value;
+      return entry.value;
     }
+    this.stats.misses++;
     logger.debug({ message: 'Cache miss', key });
     return null;
   }
 
-  set(key, value, ttl = null) {
-    const success = ttl ? this.cache.set(key, value, ttl) : this.cache.set(key, value);
-    logger.debug({ 
-      message: 'Cache set attempt', 
-      key, 
-      success, 
-      ttl: ttl || config.CACHE_TTL 
+  /**
+   * ttl is the hard TTL; softTtl (defaults to ttl) is when the value turns stale
+   */
+  async set(key, value, ttl = null, softTtl = null) {
+    const hardTtl = ttl || this.defaultTtl;
+    const success = await this.store(key, { data: value }, hardTtl, Math.min(softTtl || hardTtl, hardTtl));
+    if (success) {
+      this.stats.sets++;
+    }
+    return success;
+  }
+
+  /**
+   * Cache a negative result (typed error with a NEGATIVE_RESULTS code). Its TTL
+   * is the configured one for the code, capped at maxTtl; there is no stale window.
+   */
+  async setNegative(key, error, maxTtl = null) {
+    const ttl = Math.min(NEGATIVE_RESULTS[error.code].ttl, maxTtl || Infinity);
+    const success = await this.store(key, { data: null, negative: { code: error.code, message: error.message } }, ttl, ttl);
+    if (success) {
+      this.stats.negativeSets++;
+    }
+    return success;
+  }
+
+  async store(key, fields, hardTtl, softTtl) {
+    const storedAt = Date.now();
+    const envelope = { ...fields, storedAt, freshUntil: storedAt + softTtl * 1000 };
+    const success = await this.withBackend('set', key, false, () =>
+      this.backend.set(key, envelope, hardTtl));
+    logger.debug({
+      message: 'Cache set attempt',
+      key,
+      success,
+      ttl: hardTtl,
+      softTtl,
+      negative: envelope.negative?.code
     });
     return success;
   }
 
-  del(key) {
-    const count = this.cache.del(key);
-    logger.debug({ message: 'Cache delete', key, deletedCount: count });
-    return count > 0;
+  isNegativeResult(error) {
+    return Boolean(error && NEGATIVE_RESULTS[error.code]);
+  }
+
+  negativeError({ negative }) {
+    const error = new NEGATIVE_RESULTS[negative.code].ErrorClass(negative.message);
+    // Lets routes that turn the error into a response report where it came from
+    error.cached = true;
+    return error;
+  }
+
+  async del(key) {
+    const deleted = await this.withBackend('del', key, false, () => this.backend.del(key));
+    if (deleted) {
+      this.stats.deletes++;
+    }
+    logger.debug({ message: 'Cache delete', key, deleted });
+    return deleted;
+  }
+
+  async keys(pattern = `${KEY_PREFIX}:*`) {
+    return this.withBackend('keys', pattern, [], () => this.backend.keys(pattern));
   }
 
-  flush() {
-    this.cache.flushAll();
-    logger.info({ message: 'Cache flushed' });
+  async flush() {
+    await this.withBackend('flush', null, null, () => this.backend.flush());
+    logger.info({ message: 'Cache flushed', backend: this.backend.name });
   }
 
-  getStats() {
-    return this.cache.getStats();
+  async getStats() {
+    return {
+      ...this.stats,
+      keys: await this.withBackend('size', null, null, () => this.backend.size()),
+      backend: this.backend.describe(),
+      inflight: this.inflight.getStats()
+    };
   }
 
   generateKey(type, identifier) {
-    return `youtube:${type}:${identifier}`;
+    return `${KEY_PREFIX}:${type}:${identifier}`;
+  }
+
+  /**
+   * Inverse of generateKey: 'youtube:lookup:video:abc' -> { type: 'lookup:video', identifier: 'abc' }
+   */
+  parseKey(key) {
+    const parts = key.split(':');
+    if (parts[0] !== KEY_PREFIX || parts.length < 3) {
+      return null;
+    }
+    return { type: parts.slice(1, -1).join(':'), identifier: parts[parts.length - 1] };
+  }
+
+  /**
+   * Delete the entries matching pattern for which predicate(entry) is true,
+   * entry being what getEntry returns
+   */
+  async invalidate(pattern, predicate) {
+    let deleted = 0;
+    for (const key of await this.keys(pattern)) {
+      const entry = await this.getEntry(key);
+      if (entry && predicate(entry) && await this.del(key)) {
+        deleted++;
+      }
+    }
+    if (deleted > 0) {
+      logger.info({ message: 'Cache entries invalidated', pattern, deleted });
+    }
+    return deleted;
   }
 
-  async getOrSet(key, fetchFunction, ttl = null) {
-    const cached = this.get(key);
-    if (cached !== null) {
-      return cached;
+  async delPattern(pattern) {
+    const keys = await this.keys(pattern);
+    let deleted = 0;
+    for (const key of keys) {
+      if (await this.del(key)) {
+        deleted++;
+      }
     }
+    logger.info({ message: 'Cache pattern deleted', pattern, deleted });
+    return deleted;
+  }
+
+  /**
+   * Entry with its remaining TTLs, for the admin API; null when missing
+   */
+  async inspect(key) {
+    const entry = await this.getEntry(key);
+    if (!entry) {
+      return null;
+    }
+    const now = Date.now();
+    const type = this.parseKey(key)?.type || null;
+    return {
+      key,
+      type,
+      value: entry.value,
+      negative: entry.negative,
+      stale: entry.stale,
+      storedAt: toIso(entry.storedAt),
+      freshUntil: toIso(entry.freshUntil),
+      expiresAt: toIso(entry.expiresAt),
+      age: Math.round((now - entry.storedAt) / 1000),
+      softTtlRemaining: Math.max(0, Math.round((entry.freshUntil - now) / 1000)),
+      ttlRemaining: entry.expiresAt ? Math.max(0, Math.round((entry.expiresAt - now) / 1000)) : null,
+      bytes: byteSize(entry.value),
+      refreshable: this.refreshers.has(type)
+    };
+  }
+
+  /**
+   * Approximate memory use per key type (serialized key + value size)
+   */
+  async getUsage(pattern = `${KEY_PREFIX}:*`) {
+    const types = {};
+    let totalKeys = 0;
+    let totalBytes = 0;
 
+    for (const key of await this.keys(pattern)) {
+      const entry = await this.getEntry(key);
+      if (!entry) {
+        continue;
+      }
+      const type = this.parseKey(key)?.type || 'other';
+      const usage = types[type] || (types[type] = { keys: 0, stale: 0, negative: 0, bytes: 0 });
+      const bytes = Buffer.byteLength(key) + byteSize(entry.value);
+      usage.keys++;
+      usage.bytes += bytes;
+      if (entry.stale) {
+        usage.stale++;
+      }
+      if (entry.negative) {
+        usage.negative++;
+      }
+      totalKeys++;
+      totalBytes += bytes;
+    }
+
+    return { types, totalKeys, totalBytes };
+  }
+
+  registerRefresher(type, refresher) {
+    this.refreshers.set(type, refresher);
+  }
+
+  /**
+   * Re-fetch an entry now, whatever its age, through the refresher registered
+   * for its type. Resolves like getOrSetEntry, or null when the type has no
+   * refresher. Joins a fetch already in flight for the key.
+   */
+  async refresh(key, options = {}) {
+    const parsed = this.parseKey(key);
+    const refresher = parsed && this.refreshers.get(parsed.type);
+    if (!refresher) {
+      return null;
+    }
+
+    logger.info({ message: 'Force-refreshing cache entry', key });
+    return this.inflight.run(
+      key,
+      signal => this.fetchAndStore(key, fetchSignal => refresher.fetch(parsed.identifier, fetchSignal), this.resolveWindow(refresher.ttl), signal),
+      options.signal
+    );
+  }
+
+  /**
+   * ttl is either a number of seconds or a { softTtl, hardTtl } window
+   */
+  resolveWindow(ttl) {
+    if (ttl && typeof ttl === 'object') {
+      const hardTtl = ttl.hardTtl || ttl.softTtl || this.defaultTtl;
+      return { softTtl: Math.min(ttl.softTtl || hardTtl, hardTtl), hardTtl };
+    }
+    const hardTtl = ttl || this.defaultTtl;
+    return { softTtl: hardTtl, hardTtl };
+  }
+
+  async getOrSet(key, fetchFunction, ttl = null, options = {}) {
+    const entry = await this.getOrSetEntry(key, fetchFunction, ttl, options);
+    return entry.value;
+  }
+
+  /**
+   * Stale-while-revalidate lookup, resolving to
+   * { value, cached, stale, storedAt, freshUntil, expiresAt }
+   * A cached negative result rejects with its typed error (error.cached = true).
+   *
+   * Fresh entries are returned as is. Past the soft TTL the stale value is
+   * returned straight away and a background refresh is started; past the hard
+   * TTL (or when the entry is older than options.maxAge seconds) the caller
+   * waits for fetchFunction.
+   *
+   * fetchFunction(signal) is shared by concurrent misses; its signal aborts
+   * once every caller's options.signal has aborted. Background refreshes
+   * have no caller, so a disconnecting client never cancels them.
+   */
+  async getOrSetEntry(key, fetchFunction, ttl = null, options = {}) {
+    const window = this.resolveWindow(ttl);
+    const entry = await this.getEntry(key);
+    const tooOld = entry && typeof options.maxAge === 'number' && Date.now() - entry.storedAt > options.maxAge * 1000;
+
+    if (entry && !tooOld) {
+      this.stats.hits++;
+      if (entry.negative && NEGATIVE_RESULTS[entry.negative.code]) {
+        this.stats.negativeHits++;
+        logger.debug({ message: 'Negative cache hit', key, code: entry.negative.code });
+        throw this.negativeError(entry);
+      }
+      if (entry.stale) {
+        this.stats.staleHits++;
+        this.revalidate(key, fetchFunction, window);
+      }
+      logger.debug({ message: 'Cache hit', key, stale: entry.stale });
+      return { ...entry, cached: true };
+    }
+
+    this.stats.misses++;
+    logger.debug({ message: 'Cache miss', key, tooOld: Boolean(tooOld) });
+    return this.inflight.run(key, signal => this.fetchAndStore(key, fetchFunction, window, signal), options.signal);
+  }
+
+  revalidate(key, fetchFunction, window) {
+    if (this.inflight.has(key)) {
+      return;
+    }
+    this.stats.revalidations++;
+    logger.debug({ message: 'Revalidating stale cache entry', key });
+    // fetchAndStore already logs the failure; the stale value stays until its hard TTL
+    this.inflight.run(key, signal => this.fetchAndStore(key, fetchFunction, window, signal))
+      .catch(() => {});
+  }
+
+  async fetchAndStore(key, fetchFunction, { softTtl, hardTtl }, signal) {
     try {
-      const value = await fetchFunction();
-      this.set(key, value, ttl);
-      return value;
+      const value = await fetchFunction(signal);
+      const storedAt = Date.now();
+      await this.set(key, value, hardTtl, softTtl);
+      return {
+        value,
+        cached: false,
+        stale: false,
+        storedAt,
+        freshUntil: storedAt + softTtl * 1000,
+        expiresAt: storedAt + hardTtl * 1000
+      };
     } catch (error) {
-      logger.error({ 
-        message: 'Failed to fetch and cache data', 
-        key, 
-        error: error.message 
+      if (this.isNegativeResult(error)) {
+        await this.setNegative(key, error, hardTtl);
+      }
+      // Typed client errors (not found, offline...) are expected outcomes
+      logger[error.statusCode < 500 ? 'warn' : 'error']({
+        message: 'Failed to fetch and cache data',
+        key,
+        error: error.message,
+        code: error.code
       });
       throw error;
     }
   }
+
+  /**
+   * Persist every entry with its expiry to CACHE_SNAPSHOT_PATH (no-op when unset).
+   * Never throws: a failed snapshot is logged and the cache keeps working.
+   */
+  async saveSnapshot() {
+    const { path } = cacheConfig.snapshot;
+    if (!path) {
+      return null;
+    }
+    try {
+      const result = await writeSnapshot(this.backend, path, `${KEY_PREFIX}:*`);
+      logger.info({ message: 'Cache snapshot saved', path, ...result });
+      return result;
+    } catch (error) {
+      logger.warn({ message: 'Cache snapshot failed', path, error: error.message });
+      return null;
+    }
+  }
+
+  async restoreSnapshot() {
+    const { path } = cacheConfig.snapshot;
+    if (!path) {
+      return null;
+    }
+    try {
+      const result = await readSnapshot(this.backend, path);
+      logger.info({ message: 'Cache snapshot restored', path, ...result });
+      return result;
+    } catch (error) {
+      logger.warn({ message: 'Cache snapshot restore failed', path, error: error.message });
+      return null;
+    }
+  }
+
+  startSnapshots() {
+    const { path, interval } = cacheConfig.snapshot;
+    if (!path || this.snapshotTimer) {
+      return;
+    }
+    this.snapshotTimer = setInterval(() => this.saveSnapshot(), interval * 1000);
+    // Don't keep the process alive just for snapshots
+    this.snapshotTimer.unref();
+  }
+
+  async close() {
+    clearInterval(this.snapshotTimer);
+    this.snapshotTimer = null;
+    await this.withBackend('close', null, null, () => this.backend.close());
+  }
 }
 
-export default new CacheService();
\ No newline at end of file
+export default new CacheService();
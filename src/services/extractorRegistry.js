@@ -0,0 +1,112 @@
+import { extractorConfig } from '../config/extractors.js';
+import logger from '../config/logger.js';
+import innertubeHelper from '../utils/innertubeHelper.js';
+import webScrapingHelper from '../utils/webScrapingHelper.js';
+import ytdlHelper from '../utils/ytdlHelper.js';
+import ytdlpHelper from '../utils/ytdlpHelper.js';
+import feedHelper from '../utils/feedHelper.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+
+/**
+ * Extractor Registry - ordered, configurable metadata extraction chains
+ *
+ * Every extractor implements the same interface:
+ *   name                       unique id used in configuration
+ *   lookupTypes                lookup types it can handle ('video', 'channel', 'handle', 'uploads')
+ *   extract(lookup, { signal }) raw metadata or null, should stop work once signal aborts
+ *   isConclusive(result, lookup)  whether the result ends the chain
+ *   onFailure(error)           optional, called when extract throws or times out
+ *
+ * Each registered extractor gets its own circuit breaker so failing methods
+ * are skipped instead of costing every request their full timeout.
+ */
+export class ExtractorRegistry {
+  constructor(config) {
+    this.config = config;
+    this.extractors = new Map();
+    this.breakers = new Map();
+  }
+
+  register(extractor) {
+    if (!extractor?.name || typeof extractor.extract !== 'function') {
+      throw new Error('Extractor must provide a name and an extract() method');
+    }
+    this.extractors.set(extractor.name, extractor);
+    this.breakers.set(extractor.name, new CircuitBreaker(extractor.name, {
+      ...this.config.breaker,
+      slowLatency: this.config.timeouts[extractor.name]
+    }));
+    return this;
+  }
+
+  get(name) {
+    return this.extractors.get(name) || null;
+  }
+
+  getBreaker(name) {
+    return this.breakers.get(name) || null;
+  }
+
+  isEnabled(name) {
+    return this.extractors.has(name) && !this.config.disabled.includes(name);
+  }
+
+  /**
+   * Resolve the configured chain for a lookup type into runnable steps
+   */
+  getChain(type) {
+    const chain = this.config.chains[type] || [];
+
+    return chain
+      .filter(step => this.isEnabled(step.name) && this.get(step.name).lookupTypes.includes(type))
+      .map(step => ({
+        extractor: this.get(step.name),
+        timeout: step.timeout
+      }));
+  }
+
+  validateConfig() {
+    for (const [type, chain] of Object.entries(this.config.chains)) {
+      for (const step of chain) {
+        const extractor = this.get(step.name);
+        if (!extractor) {
+          logger.warn({ message: 'Unknown extractor in chain configuration', type, extractor: step.name });
+        } else if (!extractor.lookupTypes.includes(type)) {
+          logger.warn({ message: 'Extractor does not support lookup type', type, extractor: step.name });
+        }
+      }
+    }
+  }
+
+  describe() {
+    const chains = {};
+    for (const type of Object.keys(this.config.chains)) {
+      chains[type] = this.getChain(type).map(({ extractor, timeout }) => ({
+        name: extractor.name,
+        timeout
+      }));
+    }
+
+    return {
+      extractors: [...this.extractors.values()].map(extractor => ({
+        name: extractor.name,
+        lookupTypes: extractor.lookupTypes,
+        enabled: this.isEnabled(extractor.name),
+        breaker: this.getBreaker(extractor.name).getStatus()
+      })),
+      chains
+    };
+  }
+}
+
+const extractorRegistry = new ExtractorRegistry(extractorConfig);
+
+extractorRegistry
+  .register(ytdlHelper)
+  .register(innertubeHelper)
+  .register(ytdlpHelper)
+  .register(webScrapingHelper)
+  .register(feedHelper)
+  .validateConfig();
+
+export default extractorRegistry;
@@ -0,0 +1,387 @@
+import { WebSocket } from 'ws';
+import { liveChatConfig } from '../config/liveChat.js';
+import logger from '../config/logger.js';
+import youtubeService from './youtubeService.js';
+import innertubeHelper from '../utils/innertubeHelper.js';
+import { classifyError, NotFoundError, OfflineError } from '../utils/errors.js';
+
+// Close codes sent with an "error" frame; 4404 tells clients not to reconnect right away
+const CLOSE_NOT_AVAILABLE = 4404;
+const CLOSE_UPSTREAM_ERROR = 1011;
+// How long a new upstream may take to return the messages already in the chat
+const START_TIMEOUT = 5000;
+
+/**
+ * Live chat relay
+ * One upstream youtubei.js LiveChat per video, shared by every WebSocket
+ * subscribed to it and every client polling it. New messages are fanned out
+ * as JSON frames and kept in a rolling buffer of LIVE_CHAT_BUFFER_SIZE for
+ * poll(); the upstream is stopped once its last subscriber has left and it
+ * hasn't been polled for LIVE_CHAT_POLL_IDLE seconds. A chat that could not
+ * be opened is answered with the same error for LIVE_CHAT_RETRY_DELAY seconds
+ * instead of opening a new upstream for every poll and connection.
+ *
+ * Frames sent to clients:
+ *   { type: 'ready', videoId }                  the upstream chat is running
+ *   { type: 'message', videoId, message }       new message (innertubeHelper.formatChatItem)
+ *   { type: 'deleted', videoId, messageId }     a message was removed by moderation
+ *   { type: 'end', videoId }                    the chat ended; the socket is closed
+ *   { type: 'error', videoId, code, message }   the chat could not be opened; the socket is closed
+ *
+ * Polling clients get the same messages and deletions with an opaque
+ * continuation: base64url of "<videoId>:<epoch>:<seq>", where the epoch tells
+ * buffers of a reopened upstream apart.
+ */
+class LiveChatService {
+  constructor() {
+    this.streams = new Map();
+    // videoId -> { error, until } of chats that recently failed to open
+    this.failures = new Map();
+    this.stats = { subscriptions: 0, polls: 0, upstreams: 0, messages: 0, dropped: 0, failures: 0 };
+  }
+
+  clientCount() {
+    let count = 0;
+    for (const stream of this.streams.values()) {
+      count += stream.sockets.size;
+    }
+    return count;
+  }
+
+  // A new client fits if there's room for it and, for a new video, for its upstream
+  hasCapacity(videoId) {
+    return this.clientCount() < liveChatConfig.maxClients && this.hasStreamCapacity(videoId);
+  }
+
+  // Polls don't count as clients, only their upstream does; a recent failure needs none
+  hasStreamCapacity(videoId) {
+    return this.streams.has(videoId) || Boolean(this.recentFailure(videoId)) || this.streams.size < liveChatConfig.maxStreams;
+  }
+
+  // The error videoId's chat failed to open with, while it is still to be reused
+  recentFailure(videoId) {
+    const failure = this.failures.get(videoId);
+    if (failure && failure.until <= Date.now()) {
+      this.failures.delete(videoId);
+      return null;
+    }
+    return failure?.error || null;
+  }
+
+  rememberFailure(videoId, error) {
+    const now = Date.now();
+    for (const [id, failure] of this.failures) {
+      if (failure.until <= now) {
+        this.failures.delete(id);
+      }
+    }
+    this.failures.set(videoId, { error, until: now + liveChatConfig.retryDelay * 1000 });
+  }
+
+  errorFrame(videoId, error) {
+    return { type: 'error', videoId, code: error.code || 'INTERNAL_ERROR', message: error.message };
+  }
+
+  closeCodeFor(error) {
+    return error instanceof OfflineError || error instanceof NotFoundError ? CLOSE_NOT_AVAILABLE : CLOSE_UPSTREAM_ERROR;
+  }
+
+  /**
+   * Stream of videoId, opening its upstream if there is none yet
+   */
+  acquire(videoId) {
+    let stream = this.streams.get(videoId);
+    if (!stream) {
+      stream = {
+        videoId,
+        chat: null,
+        sockets: new Set(),
+        ready: false,
+        error: null,
+        opening: null,
+        startedAt: null,
+        messages: 0,
+        epoch: Date.now().toString(36),
+        seq: 0,
+        buffer: [],
+        // Time of the newest entry that has left the buffer
+        droppedUntil: 0,
+        pollTimer: null,
+        controller: new AbortController()
+      };
+      this.streams.set(videoId, stream);
+      // open() never rejects
+      stream.opening = this.open(stream);
+    }
+    return stream;
+  }
+
+  subscribe(videoId, socket) {
+    const failure = this.recentFailure(videoId);
+    if (failure) {
+      this.stats.subscriptions++;
+      this.send(socket, JSON.stringify(this.errorFrame(videoId, failure)));
+      socket.close(this.closeCodeFor(failure));
+      return;
+    }
+
+    const stream = this.acquire(videoId);
+    if (stream.ready) {
+      this.send(socket, JSON.stringify({ type: 'ready', videoId }));
+    }
+
+    stream.sockets.add(socket);
+    this.stats.subscriptions++;
+    socket.on('close', () => this.unsubscribe(videoId, socket));
+    logger.info({ message: 'Live chat client subscribed', videoId, clients: stream.sockets.size });
+  }
+
+  unsubscribe(videoId, socket) {
+    const stream = this.streams.get(videoId);
+    if (!stream || !stream.sockets.delete(socket)) {
+      return;
+    }
+    logger.info({ message: 'Live chat client left', videoId, clients: stream.sockets.size });
+    this.release(stream);
+  }
+
+  // Stop the upstream once nobody is connected to it or polling it any more
+  release(stream) {
+    if (stream.sockets.size > 0 || stream.pollTimer || this.streams.get(stream.videoId) !== stream) {
+      return;
+    }
+    this.teardown(stream);
+    logger.info({ message: 'Live chat upstream stopped', videoId: stream.videoId, messages: stream.messages });
+  }
+
+  /**
+   * Buffered messages after a cursor: continuation (from a previous poll) or
+   * since (ms timestamp), at most limit of them, oldest first. Without a
+   * cursor, the latest limit messages. resumed is false when messages may
+   * have been missed: no cursor, a cursor from a reopened upstream, or one
+   * older than the buffer. Opens the upstream on the first poll and throws
+   * Offline/NotFound when the video has no live chat.
+   */
+  async poll(videoId, { continuation = null, since = null, limit = liveChatConfig.bufferSize } = {}) {
+    this.stats.polls++;
+    const failure = this.recentFailure(videoId);
+    if (failure) {
+      throw failure;
+    }
+
+    const stream = this.acquire(videoId);
+    this.keepAlive(stream);
+
+    await stream.opening;
+    if (stream.error) {
+      throw stream.error;
+    }
+    if (!stream.ready) {
+      throw new OfflineError(`Live chat of video ${videoId} has ended`);
+    }
+
+    let entries;
+    let resumed = false;
+    const position = continuation ? this.decodeContinuation(stream, continuation) : null;
+    if (position !== null) {
+      entries = stream.buffer.filter(entry => entry.seq > position);
+      resumed = position >= (stream.buffer[0]?.seq ?? stream.seq + 1) - 1;
+    } else if (since !== null) {
+      entries = stream.buffer.filter(entry => entry.at > since);
+      resumed = since >= stream.droppedUntil;
+    } else if (continuation) {
+      entries = stream.buffer;
+    } else {
+      entries = stream.buffer.slice(-limit);
+    }
+
+    const page = entries.slice(0, limit);
+    const hasMore = entries.length > page.length;
+    return {
+      messages: page.filter(entry => entry.message).map(entry => entry.message),
+      deleted: page.filter(entry => entry.messageId).map(entry => entry.messageId),
+      continuation: this.encodeContinuation(stream, hasMore ? page.at(-1).seq : stream.seq),
+      resumed,
+      hasMore,
+      // Pages left in the buffer can be fetched right away
+      pollDelayMs: hasMore ? 0 : liveChatConfig.pollDelay * 1000
+    };
+  }
+
+  // Polled streams stay open LIVE_CHAT_POLL_IDLE seconds after their last poll
+  keepAlive(stream) {
+    clearTimeout(stream.pollTimer);
+    stream.pollTimer = setTimeout(() => {
+      stream.pollTimer = null;
+      this.release(stream);
+    }, liveChatConfig.pollIdle * 1000);
+    stream.pollTimer.unref();
+  }
+
+  encodeContinuation(stream, seq) {
+    return Buffer.from(`${stream.videoId}:${stream.epoch}:${seq}`).toString('base64url');
+  }
+
+  // Position in stream's buffer, or null for tokens of another video or upstream
+  decodeContinuation(stream, continuation) {
+    const [videoId, epoch, seq] = Buffer.from(continuation, 'base64url').toString('utf8').split(':');
+    const position = Number(seq);
+    if (videoId !== stream.videoId || epoch !== stream.epoch || !Number.isInteger(position) || position < 0 || position > stream.seq) {
+      return null;
+    }
+    return position;
+  }
+
+  async open(stream) {
+    const { videoId } = stream;
+    let chat;
+    try {
+      chat = await youtubeService.openLiveChat(videoId, { signal: stream.controller.signal });
+    } catch (error) {
+      // Every subscriber left while the chat was opening
+      if (stream.controller.signal.aborted) {
+        return;
+      }
+      // Typed, so polls answer 404/502/504 rather than 500
+      stream.error = classifyError(error);
+      this.rememberFailure(videoId, stream.error);
+      this.stats.failures++;
+      logger.warn({ message: 'Live chat could not be opened', videoId, code: stream.error.code, error: stream.error.message });
+      this.close(stream, this.errorFrame(videoId, stream.error), this.closeCodeFor(stream.error));
+      return;
+    }
+    if (stream.controller.signal.aborted) {
+      return;
+    }
+
+    stream.chat = chat;
+    // The first response carries the messages already in the chat, later ones are replayed one by one
+    chat.on('start', initial => {
+      for (const action of initial?.actions || []) {
+        this.onAction(stream, action);
+      }
+    });
+    chat.on('chat-update', action => this.onAction(stream, action));
+    // youtubei.js retries failed polls by itself and emits 'end' once it gives up
+    chat.on('error', error => logger.debug({ message: 'Live chat poll failed', videoId, error: error.message }));
+    chat.on('end', () => this.close(stream, { type: 'end', videoId }, 1000));
+    chat.start();
+
+    // So a first poll isn't answered with an empty buffer
+    await this.firstResponse(stream, chat);
+    if (this.streams.get(videoId) !== stream) {
+      return;
+    }
+
+    stream.ready = true;
+    stream.startedAt = new Date().toISOString();
+    this.stats.upstreams++;
+    logger.info({ message: 'Live chat upstream started', videoId, clients: stream.sockets.size });
+    this.broadcast(stream, { type: 'ready', videoId });
+  }
+
+  firstResponse(stream, chat) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(done, START_TIMEOUT);
+      chat.once('start', done);
+      chat.once('end', done);
+      stream.controller.signal.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  onAction(stream, action) {
+    // A poll that was in flight when the upstream was stopped
+    if (this.streams.get(stream.videoId) !== stream) {
+      return;
+    }
+
+    if (action.type === 'AddChatItemAction') {
+      const message = innertubeHelper.formatChatItem(action.item);
+      if (message) {
+        stream.messages++;
+        this.stats.messages++;
+        this.record(stream, { at: message.timestamp || Date.now(), message });
+        this.broadcast(stream, { type: 'message', videoId: stream.videoId, message });
+      }
+    } else if (action.type === 'MarkChatItemAsDeletedAction') {
+      this.record(stream, { at: Date.now(), messageId: action.target_item_id });
+      this.broadcast(stream, { type: 'deleted', videoId: stream.videoId, messageId: action.target_item_id });
+    }
+  }
+
+  record(stream, entry) {
+    stream.buffer.push({ seq: ++stream.seq, ...entry });
+    if (stream.buffer.length > liveChatConfig.bufferSize) {
+      stream.droppedUntil = Math.max(stream.droppedUntil, stream.buffer.shift().at);
+    }
+  }
+
+  broadcast(stream, frame) {
+    // Messages already in the chat when it opened are only buffered; sockets start at 'ready'
+    if (!stream.ready) {
+      return;
+    }
+    const data = JSON.stringify(frame);
+    for (const socket of stream.sockets) {
+      this.send(socket, data);
+    }
+  }
+
+  send(socket, data) {
+    if (socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    // A client that can't keep up loses messages instead of growing our memory
+    if (socket.bufferedAmount > liveChatConfig.maxBuffered) {
+      this.stats.dropped++;
+      return;
+    }
+    socket.send(data);
+  }
+
+  /**
+   * Stop the upstream and close every subscriber, after sending frame if given
+   */
+  close(stream, frame, code, reason = '') {
+    if (this.streams.get(stream.videoId) !== stream) {
+      return;
+    }
+    this.teardown(stream);
+    const data = frame ? JSON.stringify(frame) : null;
+    for (const socket of stream.sockets) {
+      if (data) {
+        this.send(socket, data);
+      }
+      socket.close(code, reason);
+    }
+  }
+
+  teardown(stream) {
+    this.streams.delete(stream.videoId);
+    clearTimeout(stream.pollTimer);
+    stream.pollTimer = null;
+    stream.controller.abort();
+    stream.chat?.stop();
+  }
+
+  stop() {
+    for (const stream of [...this.streams.values()]) {
+      this.close(stream, null, 1001, 'Server shutting down');
+    }
+  }
+
+  getStats() {
+    return {
+      streams: this.streams.size,
+      clients: this.clientCount(),
+      polled: [...this.streams.values()].filter(stream => stream.pollTimer).length,
+      ...this.stats
+    };
+  }
+}
+
+export default new LiveChatService();
@@ -0,0 +1,347 @@
+import crypto from 'crypto';
+import { sseConfig } from '../config/sse.js';
+import { extractorConfig } from '../config/extractors.js';
+import logger from '../config/logger.js';
+import youtubeService from './youtubeService.js';
+import watchlistService from './watchlistService.js';
+import { diffFields } from '../utils/liveStatusDiff.js';
+
+// Changes pushed as "change" events; liveStatus and liveVideoId cover a channel switching streams
+const WATCHED_FIELDS = ['isLive', 'liveStatus', 'liveVideoId', 'title', 'concurrentViewers'];
+
+/**
+ * Live status event stream (Server-Sent Events)
+ * Channels and videos with at least one connected client are checked every
+ * SSE_POLL_INTERVAL seconds (watched channels straight from the watchlist) and
+ * differences are pushed to the clients subscribed to them.
+ *
+ * Events:
+ *   ready      first event: client ID, targets and whether the stream was resumed
+ *   status     full state of a target, on connect and after its first check
+ *   change     isLive, viewer count, title, liveStatus or live video changed
+ *   error      a target could not be checked (sent again only if the error code changes)
+ *   heartbeat  every SSE_HEARTBEAT_INTERVAL seconds
+ *
+ * status/change/error events carry "<epoch>-<seq>" IDs and the last
+ * SSE_BUFFER_SIZE of them are kept: a client reconnecting with Last-Event-ID gets
+ * the events it missed, or fresh status events once they have left the buffer.
+ */
+class LiveEventsService {
+  constructor() {
+    // 'channel:<id or @handle>' / 'video:<id>' -> target
+    this.targets = new Map();
+    this.clients = new Map();
+    this.buffer = [];
+    // Distinguishes event IDs of this process from those of a previous run
+    this.epoch = Date.now().toString(36);
+    this.seq = 0;
+    this.timer = null;
+    this.heartbeatTimer = null;
+    this.polling = null;
+    this.controller = new AbortController();
+    this.stats = { connections: 0, resumed: 0, events: 0, polls: 0, checks: 0, failures: 0 };
+  }
+
+  hasCapacity() {
+    return this.clients.size < sseConfig.maxClients;
+  }
+
+  /**
+   * Register a client on res, which must already be an open event stream.
+   * It is removed again through disconnect() once the connection closes.
+   */
+  connect(res, { channels = [], videos = [] }, lastEventId = null) {
+    const client = { id: crypto.randomUUID(), res, targets: new Set(), connectedAt: new Date().toISOString() };
+    for (const id of channels) {
+      client.targets.add(this.retain('channel', watchlistService.normalizeId(id)).key);
+    }
+    for (const id of videos) {
+      client.targets.add(this.retain('video', id).key);
+    }
+    this.clients.set(client.id, client);
+    this.stats.connections++;
+    this.startHeartbeat();
+
+    const missed = this.eventsSince(lastEventId);
+    if (missed) {
+      this.stats.resumed++;
+    }
+
+    res.write(`retry: ${sseConfig.retry}\n\n`);
+    this.write(client, {
+      type: 'ready',
+      data: {
+        clientId: client.id,
+        targets: [...client.targets],
+        resumed: Boolean(missed),
+        heartbeatInterval: sseConfig.heartbeatInterval
+      }
+    });
+
+    if (missed) {
+      for (const event of missed) {
+        if (client.targets.has(event.target)) {
+          this.write(client, event);
+        }
+      }
+    } else {
+      // Current state, tagged with the latest event ID so a reconnect resumes from here
+      const id = this.buffer.at(-1)?.id;
+      for (const key of client.targets) {
+        const target = this.targets.get(key);
+        if (target.state) {
+          this.write(client, { id, type: 'status', data: this.describe(target) });
+        }
+      }
+    }
+
+    logger.info({ message: 'Live events client connected', clientId: client.id, targets: client.targets.size, resumed: Boolean(missed) });
+    return client;
+  }
+
+  disconnect(client) {
+    if (!this.clients.delete(client.id)) {
+      return;
+    }
+    for (const key of client.targets) {
+      this.release(key);
+    }
+    if (this.clients.size === 0) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    logger.info({ message: 'Live events client disconnected', clientId: client.id });
+  }
+
+  /**
+   * Close every stream and stop polling. Open streams would otherwise keep
+   * server.close() from finishing.
+   */
+  stop() {
+    this.controller.abort();
+    clearTimeout(this.timer);
+    clearInterval(this.heartbeatTimer);
+    this.timer = null;
+    this.heartbeatTimer = null;
+    for (const client of this.clients.values()) {
+      client.res.end();
+    }
+  }
+
+  retain(type, id) {
+    const key = `${type}:${id}`;
+    let target = this.targets.get(key);
+    if (!target) {
+      target = { key, type, id, state: null, checkedAt: null, error: null, clients: 0 };
+      this.targets.set(key, target);
+      // check() never rejects
+      this.check(target);
+      if (!this.timer) {
+        this.schedule();
+      }
+    }
+    target.clients++;
+    return target;
+  }
+
+  release(key) {
+    const target = this.targets.get(key);
+    if (target && --target.clients === 0) {
+      this.targets.delete(key);
+    }
+    if (this.targets.size === 0) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Buffered events after lastEventId, or null when it can't be resumed from
+   * (unknown, from a previous run, or older than the buffer)
+   */
+  eventsSince(lastEventId) {
+    if (!lastEventId) {
+      return null;
+    }
+    const [epoch, seq] = String(lastEventId).split('-');
+    const position = Number(seq);
+    if (epoch !== this.epoch || !Number.isInteger(position) || position > this.seq) {
+      return null;
+    }
+    const oldest = this.buffer[0]?.seq ?? this.seq + 1;
+    if (position < oldest - 1) {
+      return null;
+    }
+    return this.buffer.filter(event => event.seq > position);
+  }
+
+  write(client, { id, type, data }) {
+    const lines = id ? [`id: ${id}`] : [];
+    lines.push(`event: ${type}`, `data: ${JSON.stringify(data)}`);
+    client.res.write(`${lines.join('\n')}\n\n`);
+  }
+
+  publish(target, type, data) {
+    const event = { id: `${this.epoch}-${++this.seq}`, seq: this.seq, type, target: target.key, data };
+    this.buffer.push(event);
+    if (this.buffer.length > sseConfig.bufferSize) {
+      this.buffer.shift();
+    }
+    this.stats.events++;
+
+    for (const client of this.clients.values()) {
+      if (client.targets.has(target.key)) {
+        this.write(client, event);
+      }
+    }
+  }
+
+  describe(target) {
+    return {
+      type: target.type,
+      id: target.id,
+      state: target.state,
+      error: target.error,
+      checkedAt: target.checkedAt
+    };
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+    this.heartbeatTimer = setInterval(() => {
+      const data = { timestamp: new Date().toISOString() };
+      for (const client of this.clients.values()) {
+        this.write(client, { type: 'heartbeat', data });
+      }
+    }, sseConfig.heartbeatInterval * 1000);
+    this.heartbeatTimer.unref();
+  }
+
+  schedule(delay = sseConfig.pollInterval * 1000) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll().finally(() => {
+      if (this.timer) {
+        this.schedule();
+      }
+    }), delay);
+    this.timer.unref();
+  }
+
+  // A poll still running when the next one is due is joined instead of overlapped
+  poll() {
+    if (!this.polling) {
+      this.polling = this.runPoll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async runPoll() {
+    const queue = [...this.targets.values()];
+    if (queue.length === 0) {
+      return;
+    }
+
+    this.stats.polls++;
+    const worker = async () => {
+      while (queue.length > 0 && !this.controller.signal.aborted) {
+        const target = queue.shift();
+        // Every client left since the poll started
+        if (this.targets.get(target.key) === target) {
+          await this.check(target);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(sseConfig.concurrency, queue.length) }, worker));
+  }
+
+  async check(target) {
+    this.stats.checks++;
+    try {
+      const state = target.type === 'channel'
+        ? await this.getChannelState(target.id)
+        : await this.getVideoState(target.id);
+      this.applyState(target, state);
+    } catch (error) {
+      if (this.controller.signal.aborted) {
+        // Shutting down
+        return;
+      }
+      this.stats.failures++;
+      const previous = target.error;
+      target.error = { code: error.code || 'INTERNAL_ERROR', message: error.message };
+      target.checkedAt = new Date().toISOString();
+      logger.debug({ message: 'Live events check failed', target: target.key, code: target.error.code, error: error.message });
+      if (previous?.code !== target.error.code) {
+        this.publish(target, 'error', this.describe(target));
+      }
+    }
+  }
+
+  applyState(target, state) {
+    const previous = target.state;
+    target.state = state;
+    target.checkedAt = new Date().toISOString();
+    target.error = null;
+
+    if (!previous) {
+      this.publish(target, 'status', this.describe(target));
+      return;
+    }
+    const changes = diffFields(previous, state, WATCHED_FIELDS);
+    if (changes) {
+      this.publish(target, 'change', { ...this.describe(target), changes });
+    }
+  }
+
+  /**
+   * Watched channels are read from the latest watchlist poll; lookups at most
+   * one interval old are as good as a new extraction
+   */
+  async getChannelState(id) {
+    const watched = watchlistService.getFreshState(id);
+    if (watched) {
+      return watched.value;
+    }
+    const isHandle = id.startsWith('@');
+    return youtubeService.getChannelLiveStatus(isHandle ? null : id, isHandle ? id : null, {
+      strategy: extractorConfig.routeStrategies.events || 'serial',
+      maxAge: sseConfig.pollInterval,
+      signal: this.controller.signal
+    });
+  }
+
+  async getVideoState(videoId) {
+    const metadata = await youtubeService.getLiveMetadata(null, videoId, null, {
+      strategy: extractorConfig.routeStrategies.events || 'serial',
+      maxAge: sseConfig.pollInterval,
+      signal: this.controller.signal
+    });
+    return {
+      isLive: metadata.isLiveNow || false,
+      liveStatus: metadata.liveStatus,
+      scheduledStartTime: metadata.scheduledStartTime,
+      videoId,
+      channelId: metadata.channelId || null,
+      title: metadata.title || null,
+      channelName: metadata.channelName || null,
+      concurrentViewers: metadata.concurrentViewers ?? null,
+      method: metadata.method
+    };
+  }
+
+  getStats() {
+    return {
+      clients: this.clients.size,
+      targets: this.targets.size,
+      buffered: this.buffer.length,
+      polling: Boolean(this.polling),
+      ...this.stats
+    };
+  }
+}
+
+export default new LiveEventsService();
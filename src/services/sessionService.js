@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import { sessionConfig } from '../config/sessions.js';
+import logger from '../config/logger.js';
+import watchlistService from './watchlistService.js';
+import viewerHistoryService from './viewerHistoryService.js';
+import { JsonStore } from '../utils/jsonStore.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Viewer stats picked up between two session changes are saved this often
+const FLUSH_INTERVAL = 60 * 1000;
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+/**
+ * Stream sessions
+ * One record per live stream of a watched channel: opened when a watchlist
+ * check first sees the stream live, closed when a check finds it gone. Peak,
+ * average and final viewers come from viewerHistoryService samples. Sessions
+ * are kept in SESSION_STORE_PATH, ended ones for SESSION_RETENTION_DAYS.
+ *
+ * startedAt is YouTube's actual start time when known; endedAt is when a check
+ * first found the stream gone, lastSeenLiveAt when one last saw it live.
+ */
+class SessionService {
+  constructor() {
+    // Oldest first
+    this.sessions = [];
+    this.store = new JsonStore(sessionConfig.storePath);
+    this.dirty = false;
+    this.flushTimer = null;
+    this.stats = { opened: 0, closed: 0, resumed: 0 };
+    this.onChecked = this.onChecked.bind(this);
+    this.onSample = this.onSample.bind(this);
+    this.getStartTimes = this.getStartTimes.bind(this);
+  }
+
+  async start() {
+    await this.load();
+    watchlistService.on('checked', this.onChecked);
+    viewerHistoryService.on('sample', this.onSample);
+    // The watchlist learns when each channel usually goes live from its sessions
+    watchlistService.setStartTimesProvider(this.getStartTimes);
+    this.flushTimer = setInterval(() => this.persist(), FLUSH_INTERVAL);
+    this.flushTimer.unref();
+  }
+
+  async stop() {
+    watchlistService.off('checked', this.onChecked);
+    viewerHistoryService.off('sample', this.onSample);
+    watchlistService.setStartTimesProvider(null);
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.persist();
+  }
+
+  async load() {
+    try {
+      const saved = await this.store.load({ sessions: [] });
+      this.sessions = saved.sessions;
+      this.prune();
+      logger.info({ message: 'Stream sessions loaded', path: sessionConfig.storePath, sessions: this.sessions.length });
+    } catch (error) {
+      logger.warn({ message: 'Stream sessions could not be loaded', path: sessionConfig.storePath, error: error.message });
+    }
+  }
+
+  async persist() {
+    if (!this.dirty) {
+      return;
+    }
+    this.dirty = false;
+    try {
+      await this.store.save({ sessions: this.sessions });
+    } catch (error) {
+      this.dirty = true;
+      logger.warn({ message: 'Stream sessions could not be saved', path: sessionConfig.storePath, error: error.message });
+    }
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = now - sessionConfig.retentionDays * DAY;
+    const kept = this.sessions.filter(session => !session.endedAt || Date.parse(session.endedAt) >= cutoff);
+    if (kept.length !== this.sessions.length) {
+      this.sessions = kept;
+      this.dirty = true;
+    }
+  }
+
+  findOpen(channelId) {
+    return this.sessions.findLast(session => session.channelId === channelId && !session.endedAt) || null;
+  }
+
+  onChecked(entry) {
+    // After a failed check the state is stale: it can neither open nor close a session
+    if (!entry.state || !entry.channelId || entry.error) {
+      return;
+    }
+
+    const { state } = entry;
+    const liveVideoId = state.isLive ? state.liveVideoId : null;
+    const current = this.findOpen(entry.channelId);
+    const now = new Date().toISOString();
+
+    if (current && current.videoId !== liveVideoId) {
+      this.close(current, now);
+    }
+    if (current && current.videoId === liveVideoId) {
+      current.lastSeenLiveAt = now;
+      current.title = state.title || current.title;
+      this.dirty = true;
+    } else if (liveVideoId) {
+      this.open(entry, state, now);
+    }
+  }
+
+  open(entry, state, now) {
+    // The same video again: a check missed the stream for a moment, continue its session
+    const previous = this.sessions.findLast(session => session.videoId === state.liveVideoId);
+    if (previous) {
+      previous.endedAt = null;
+      previous.lastSeenLiveAt = now;
+      this.stats.resumed++;
+      logger.info({ message: 'Stream session resumed', channelId: entry.channelId, videoId: previous.videoId });
+    } else {
+      this.sessions.push({
+        id: crypto.randomUUID(),
+        channelId: entry.channelId,
+        handle: entry.handle,
+        videoId: state.liveVideoId,
+        title: state.title || null,
+        startedAt: state.actualStartTime || now,
+        endedAt: null,
+        lastSeenLiveAt: now,
+        peakViewers: null,
+        averageViewers: null,
+        finalViewers: null,
+        viewerSamples: 0,
+        viewerSum: 0
+      });
+      this.stats.opened++;
+      logger.info({ message: 'Stream session started', channelId: entry.channelId, videoId: state.liveVideoId });
+    }
+    this.dirty = true;
+    this.persist();
+  }
+
+  close(session, now) {
+    session.endedAt = now;
+    this.stats.closed++;
+    this.prune();
+    this.dirty = true;
+    this.persist();
+    logger.info({
+      message: 'Stream session ended',
+      channelId: session.channelId,
+      videoId: session.videoId,
+      peakViewers: session.peakViewers,
+      averageViewers: session.averageViewers
+    });
+  }
+
+  onSample(series, viewers) {
+    const session = this.sessions.findLast(candidate => candidate.videoId === series.videoId && !candidate.endedAt);
+    if (!session) {
+      return;
+    }
+    session.peakViewers = Math.max(session.peakViewers ?? 0, viewers);
+    session.viewerSamples++;
+    session.viewerSum += viewers;
+    // Samples are taken at a fixed interval, so their mean is the average over time
+    session.averageViewers = Math.round(session.viewerSum / session.viewerSamples);
+    session.finalViewers = viewers;
+    this.dirty = true;
+  }
+
+  durationMs(session, now = Date.now()) {
+    const end = session.endedAt ? Date.parse(session.endedAt) : now;
+    return Math.max(0, end - Date.parse(session.startedAt));
+  }
+
+  // Sessions as shown by the API; finalViewers stays null while the stream is live
+  publicView(session) {
+    const { viewerSum, ...fields } = session;
+    return {
+      ...fields,
+      live: !session.endedAt,
+      durationSeconds: Math.round(this.durationMs(session) / 1000),
+      finalViewers: session.endedAt ? session.finalViewers : null
+    };
+  }
+
+  /**
+   * Sessions of a channel that started within [from, to] (ms, either may be
+   * null), newest first
+   */
+  getChannelSessions(channelId, { from = null, to = null } = {}) {
+    return this.sessions
+      .filter(session => {
+        const startedAt = Date.parse(session.startedAt);
+        return session.channelId === channelId &&
+          (from === null || startedAt >= from) &&
+          (to === null || startedAt <= to);
+      })
+      .reverse();
+  }
+
+  // Start times (ms) of a channel's sessions that started since `since`
+  getStartTimes(channelId, since = 0) {
+    return this.sessions
+      .filter(session => session.channelId === channelId)
+      .map(session => Date.parse(session.startedAt))
+      .filter(startedAt => startedAt >= since);
+  }
+
+  getVideoSession(videoId) {
+    return this.sessions.findLast(session => session.videoId === videoId) || null;
+  }
+
+  /**
+   * Totals over sessions; live ones count up to now. averageViewers is
+   * weighted by session length.
+   */
+  summarize(sessions) {
+    const durations = sessions.map(session => this.durationMs(session));
+    const withViewers = sessions
+      .map((session, index) => ({ session, duration: durations[index] }))
+      .filter(({ session }) => session.averageViewers !== null);
+    const viewerTime = withViewers.reduce((total, { duration }) => total + duration, 0);
+    const peaks = sessions.map(session => session.peakViewers).filter(peak => peak !== null);
+
+    return {
+      sessions: sessions.length,
+      totalHoursStreamed: Math.round(durations.reduce((total, duration) => total + duration, 0) / HOUR * 100) / 100,
+      medianPeakViewers: median(peaks),
+      highestPeakViewers: peaks.length > 0 ? Math.max(...peaks) : null,
+      averageViewers: viewerTime > 0
+        ? Math.round(withViewers.reduce((total, { session, duration }) => total + session.averageViewers * duration, 0) / viewerTime)
+        : null
+    };
+  }
+
+  getStats() {
+    return {
+      sessions: this.sessions.length,
+      live: this.sessions.filter(session => !session.endedAt).length,
+      ...this.stats
+    };
+  }
+}
+
+export default new SessionService();
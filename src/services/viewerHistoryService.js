@@ -0,0 +1,226 @@
+import { EventEmitter } from 'events';
+import { viewerHistoryConfig } from '../config/viewers.js';
+import { extractorConfig } from '../config/extractors.js';
+import logger from '../config/logger.js';
+import youtubeService from './youtubeService.js';
+import watchlistService from './watchlistService.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { downsample, sliceRange } from '../utils/timeSeries.js';
+
+/**
+ * Viewer count history
+ * Every VIEWER_SAMPLE_INTERVAL seconds the concurrent viewers of each live
+ * stream on the watchlist are sampled and kept per video for
+ * VIEWER_HISTORY_RETENTION hours (in VIEWER_HISTORY_PATH when set).
+ * Samples are [timestampMs, viewers] pairs in time order.
+ *
+ * Events:
+ *   sample  (series, viewers, timestamp)  a sample was recorded
+ */
+class ViewerHistoryService extends EventEmitter {
+  constructor() {
+    super();
+    // videoId -> { videoId, channelId, title, samples }
+    this.series = new Map();
+    this.store = viewerHistoryConfig.storePath ? new JsonStore(viewerHistoryConfig.storePath) : null;
+    this.timer = null;
+    this.sampling = null;
+    this.controller = null;
+    // Samples changed since the last save
+    this.dirty = false;
+    this.stats = { rounds: 0, samples: 0, failures: 0, lastSampleAt: null };
+  }
+
+  async start() {
+    await this.load();
+    this.controller = new AbortController();
+    this.schedule(0);
+    logger.info({ message: 'Viewer sampling started', interval: viewerHistoryConfig.sampleInterval, streams: this.series.size });
+  }
+
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+    await this.sampling;
+    await this.persist();
+  }
+
+  schedule(delay = viewerHistoryConfig.sampleInterval * 1000) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.sample().finally(() => {
+      if (this.timer) {
+        this.schedule();
+      }
+    }), delay);
+    this.timer.unref();
+  }
+
+  async load() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      const saved = await this.store.load({ series: [] });
+      for (const series of saved.series) {
+        this.series.set(series.videoId, series);
+      }
+      this.prune();
+      logger.info({ message: 'Viewer history loaded', path: viewerHistoryConfig.storePath, streams: this.series.size });
+    } catch (error) {
+      logger.warn({ message: 'Viewer history could not be loaded', path: viewerHistoryConfig.storePath, error: error.message });
+    }
+  }
+
+  async persist() {
+    if (!this.store || !this.dirty) {
+      return;
+    }
+    this.dirty = false;
+    try {
+      await this.store.save({ series: [...this.series.values()] });
+    } catch (error) {
+      this.dirty = true;
+      logger.warn({ message: 'Viewer history could not be saved', path: viewerHistoryConfig.storePath, error: error.message });
+    }
+  }
+
+  // A sampling round still running when the next one is due is joined instead of overlapped
+  sample() {
+    if (!this.sampling) {
+      this.sampling = this.runSample().finally(() => {
+        this.sampling = null;
+      });
+    }
+    return this.sampling;
+  }
+
+  async runSample() {
+    this.prune();
+    // Live streams of watched channels, as of the latest watchlist poll
+    const queue = watchlistService.list().filter(entry => entry.state?.isLive && entry.state.liveVideoId);
+    if (queue.length > 0) {
+      this.stats.rounds++;
+      const worker = async () => {
+        while (queue.length > 0 && !this.controller?.signal.aborted) {
+          await this.sampleStream(queue.shift());
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(viewerHistoryConfig.concurrency, queue.length) }, worker));
+      this.stats.lastSampleAt = new Date().toISOString();
+    }
+    await this.persist();
+  }
+
+  async sampleStream(entry) {
+    const videoId = entry.state.liveVideoId;
+    try {
+      // Lookups at most one interval old are as good as a new extraction
+      const metadata = await youtubeService.getLiveMetadata(null, videoId, null, {
+        strategy: extractorConfig.routeStrategies.viewers || 'serial',
+        maxAge: viewerHistoryConfig.sampleInterval,
+        signal: this.controller?.signal
+      });
+      // Ended since the watchlist poll, or no concurrent viewer count available
+      if (!metadata.isLiveNow || metadata.concurrentViewers === null) {
+        return;
+      }
+      this.record(videoId, {
+        channelId: metadata.channelId || entry.channelId,
+        title: metadata.title || entry.state.title || null
+      }, metadata.concurrentViewers);
+    } catch (error) {
+      if (this.controller?.signal.aborted) {
+        return;
+      }
+      this.stats.failures++;
+      logger.warn({ message: 'Viewer sample failed', videoId, code: error.code, error: error.message });
+    }
+  }
+
+  record(videoId, { channelId, title }, viewers, timestamp = Date.now()) {
+    let series = this.series.get(videoId);
+    if (!series) {
+      series = { videoId, channelId, title, samples: [] };
+      this.series.set(videoId, series);
+    }
+    series.channelId = channelId || series.channelId;
+    series.title = title || series.title;
+    series.samples.push([timestamp, viewers]);
+    this.stats.samples++;
+    this.dirty = true;
+    this.emit('sample', series, viewers, timestamp);
+  }
+
+  // Drop samples older than the retention window, and streams left without any
+  prune(now = Date.now()) {
+    const cutoff = now - viewerHistoryConfig.retention * 60 * 60 * 1000;
+    for (const [videoId, series] of this.series) {
+      const firstKept = series.samples.findIndex(([timestamp]) => timestamp >= cutoff);
+      if (firstKept === -1) {
+        this.series.delete(videoId);
+        this.dirty = true;
+      } else if (firstKept > 0) {
+        series.samples.splice(0, firstKept);
+        this.dirty = true;
+      }
+    }
+  }
+
+  /**
+   * Samples of one stream within [from, to] (ms, either may be null), as
+   * { timestamp, viewers } points or, with a resolution (ms), as per-bucket
+   * average/min/max
+   */
+  describe(series, { from = null, to = null, resolution = null } = {}) {
+    const samples = sliceRange(series.samples, from, to);
+    const points = resolution
+      ? downsample(samples, resolution).map(({ timestamp, value, min, max, samples: count }) => ({ timestamp, viewers: value, min, max, samples: count }))
+      : samples.map(([timestamp, viewers]) => ({ timestamp: new Date(timestamp).toISOString(), viewers }));
+
+    return {
+      videoId: series.videoId,
+      channelId: series.channelId,
+      title: series.title,
+      firstSampleAt: samples.length > 0 ? new Date(samples[0][0]).toISOString() : null,
+      lastSampleAt: samples.length > 0 ? new Date(samples.at(-1)[0]).toISOString() : null,
+      points
+    };
+  }
+
+  getVideoHistory(videoId, options = {}) {
+    const series = this.series.get(videoId);
+    return series ? this.describe(series, options) : null;
+  }
+
+  // Every recorded stream of a channel, oldest first; streams are not merged
+  getChannelHistory(channelId, options = {}) {
+    return [...this.series.values()]
+      .filter(series => series.channelId === channelId)
+      .map(series => this.describe(series, options))
+      .filter(stream => stream.points.length > 0)
+      .sort((a, b) => a.firstSampleAt.localeCompare(b.firstSampleAt));
+  }
+
+  list() {
+    return [...this.series.values()].map(({ videoId, channelId, title, samples }) => ({
+      videoId,
+      channelId,
+      title,
+      samples: samples.length,
+      firstSampleAt: new Date(samples[0][0]).toISOString(),
+      lastSampleAt: new Date(samples.at(-1)[0]).toISOString()
+    }));
+  }
+
+  getStats() {
+    return {
+      streams: this.series.size,
+      interval: viewerHistoryConfig.sampleInterval,
+      sampling: Boolean(this.sampling),
+      ...this.stats
+    };
+  }
+}
+
+export default new ViewerHistoryService();
@@ -0,0 +1,465 @@
+import { EventEmitter } from 'events';
+import { watchlistConfig } from '../config/watchlist.js';
+import { extractorConfig } from '../config/extractors.js';
+import logger from '../config/logger.js';
+import youtubeService from './youtubeService.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { NotFoundError, OfflineError } from '../utils/errors.js';
+import { chooseInterval } from '../utils/pollSchedule.js';
+
+const CHANNEL_ID_PATTERN = /^UC[a-zA-Z0-9_-]{22}$/;
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// How often the poller looks for channels that are due
+const TICK = 5 * 1000;
+
+/**
+ * Channel watchlist
+ * Watched channels (IDs or @handles) are checked through youtubeService, and
+ * the latest live status is kept so reads can be answered without calling
+ * YouTube.
+ *
+ * Each channel gets its own poll interval (utils/pollSchedule.js): faster
+ * around scheduled streams and the weekday and time its past streams started
+ * at, slower otherwise. When the intervals add up to more than
+ * WATCHLIST_CHECK_BUDGET checks per minute they are all stretched by the same
+ * factor, and a token bucket holds back checks beyond the budget. The budget
+ * counts checks, not upstream requests: see config/watchlist.js.
+ *
+ * Events:
+ *   change   (entry, previousState)  live status, liveStatus or live video changed
+ *   checked  (entry, previousState)  a check finished; after a failed one the
+ *                                    state is unchanged and equals previousState
+ */
+class WatchlistService extends EventEmitter {
+  constructor() {
+    super();
+    this.entries = new Map();
+    this.store = watchlistConfig.storePath ? new JsonStore(watchlistConfig.storePath) : null;
+    this.timer = null;
+    this.polling = null;
+    this.controller = null;
+    // entry ID -> interval the schedule asked for, before stretching to the budget
+    this.demand = new Map();
+    this.tokens = watchlistConfig.checkBudget;
+    this.refilledAt = Date.now();
+    // (channelId, sinceMs) -> past stream start times (ms); see setStartTimesProvider
+    this.startTimesProvider = null;
+    this.stats = { polls: 0, checks: 0, pushChecks: 0, failures: 0, changes: 0, deferred: 0, lastPollAt: null };
+  }
+
+  /**
+   * Where past stream start times come from (sessionService), so the watchlist
+   * doesn't import the service that listens to it
+   */
+  setStartTimesProvider(provider) {
+    this.startTimesProvider = provider;
+  }
+
+  /**
+   * 'UC...' or a handle, with or without the @ -> normalized entry ID
+   */
+  normalizeId(id) {
+    const value = String(id).trim();
+    if (CHANNEL_ID_PATTERN.test(value)) {
+      return value;
+    }
+    return value.startsWith('@') ? value : `@${value}`;
+  }
+
+  async start() {
+    await this.load();
+    this.controller = new AbortController();
+    this.schedule(0);
+    logger.info({
+      message: 'Watchlist poller started',
+      channels: this.entries.size,
+      interval: watchlistConfig.interval,
+      adaptive: watchlistConfig.adaptive,
+      checkBudget: watchlistConfig.checkBudget
+    });
+  }
+
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+    // Already logged by schedule()
+    await this.polling?.catch(() => {});
+    await this.persist();
+  }
+
+  schedule(delay = TICK) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll()
+      .catch(error => logger.warn({ message: 'Watchlist poll failed', error: error.message }))
+      .finally(() => {
+        if (this.timer) {
+          this.schedule();
+        }
+      }), delay);
+    this.timer.unref();
+  }
+
+  async load() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      const saved = await this.store.load({ entries: [] });
+      for (const entry of saved.entries) {
+        this.entries.set(entry.id, { ...this.createEntry(entry.id), ...entry });
+        this.demand.set(entry.id, entry.pollInterval || watchlistConfig.interval);
+      }
+      logger.info({ message: 'Watchlist loaded', path: watchlistConfig.storePath, channels: this.entries.size });
+    } catch (error) {
+      logger.warn({ message: 'Watchlist could not be loaded', path: watchlistConfig.storePath, error: error.message });
+    }
+  }
+
+  async persist() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      await this.store.save({ entries: this.list() });
+    } catch (error) {
+      logger.warn({ message: 'Watchlist could not be saved', path: watchlistConfig.storePath, error: error.message });
+    }
+  }
+
+  createEntry(id) {
+    const isChannelId = CHANNEL_ID_PATTERN.test(id);
+    return {
+      id,
+      channelId: isChannelId ? id : null,
+      handle: isChannelId ? null : id,
+      addedAt: new Date().toISOString(),
+      state: null,
+      checkedAt: null,
+      changedAt: null,
+      error: null,
+      consecutiveFailures: 0,
+      pollInterval: null,
+      pollReason: null,
+      nextCheckAt: null
+    };
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+
+  get(id) {
+    return this.entries.get(this.normalizeId(id)) || null;
+  }
+
+  // By entry ID, or by channel ID for channels added by handle
+  find(id) {
+    const key = this.normalizeId(id);
+    return this.entries.get(key) || this.list().find(candidate => candidate.channelId === key) || null;
+  }
+
+  remaining() {
+    return Math.max(0, watchlistConfig.maxEntries - this.entries.size);
+  }
+
+  // How many of ids are not watched yet
+  countNew(ids) {
+    return new Set(ids.map(id => this.normalizeId(id)).filter(id => !this.entries.has(id))).size;
+  }
+
+  /**
+   * Add channels; new ones are checked right away in the background.
+   * Resolves to { added, existing } entry lists.
+   */
+  async add(ids) {
+    const added = [];
+    const existing = [];
+    for (const id of ids.map(value => this.normalizeId(value))) {
+      if (this.entries.has(id)) {
+        existing.push(this.entries.get(id));
+        continue;
+      }
+      const entry = this.createEntry(id);
+      this.entries.set(id, entry);
+      added.push(entry);
+    }
+
+    if (added.length > 0) {
+      logger.info({ message: 'Channels added to watchlist', channels: added.map(entry => entry.id) });
+      await this.persist();
+      // Runs in the background: a 'checked' listener or the save failing must not become an unhandled rejection
+      Promise.all(added.map(entry => this.check(entry)))
+        .then(() => this.persist())
+        .catch(error => logger.warn({ message: 'Watchlist check of added channels failed', error: error.message }));
+    }
+    return { added, existing };
+  }
+
+  async remove(id) {
+    const removed = this.entries.delete(this.normalizeId(id));
+    this.demand.delete(this.normalizeId(id));
+    if (removed) {
+      logger.info({ message: 'Channel removed from watchlist', channel: this.normalizeId(id) });
+      await this.persist();
+    }
+    return removed;
+  }
+
+  /**
+   * Latest state of a watched channel (by ID or handle) if it is recent enough
+   * to answer a read with, or null. Shaped like cacheService.getOrSetEntry's
+   * result so routes can use it in its place; fresh until the next check, but
+   * no longer than WATCHLIST_INTERVAL even for channels polled less often.
+   */
+  getFreshState(id) {
+    const entry = this.find(id);
+    if (!entry?.state || !entry.checkedAt) {
+      return null;
+    }
+
+    const checkedAt = Date.parse(entry.checkedAt);
+    // One missed poll is tolerated; after that the state is too old to trust
+    if (Date.now() - checkedAt > 2 * watchlistConfig.interval * 1000) {
+      return null;
+    }
+    const nextCheckAt = Math.min(
+      Date.parse(entry.nextCheckAt) || Infinity,
+      checkedAt + watchlistConfig.interval * 1000
+    );
+    return {
+      value: entry.state,
+      cached: true,
+      stale: false,
+      watched: true,
+      storedAt: checkedAt,
+      freshUntil: nextCheckAt,
+      expiresAt: nextCheckAt
+    };
+  }
+
+  /**
+   * Check the channels that are due, earliest first and WATCHLIST_CONCURRENCY
+   * at a time, as far as the budget allows. A poll still running when the
+   * next one is due is joined instead of overlapped.
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.runPoll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async runPoll() {
+    const now = Date.now();
+    const due = this.list()
+      .filter(entry => !entry.nextCheckAt || Date.parse(entry.nextCheckAt) <= now)
+      .sort((a, b) => (Date.parse(a.nextCheckAt) || 0) - (Date.parse(b.nextCheckAt) || 0));
+    if (due.length === 0) {
+      return;
+    }
+
+    // Checks held back here stay due and go first once the bucket refills
+    const queue = due.slice(0, Math.max(0, Math.floor(this.refill(now))));
+    this.stats.deferred += due.length - queue.length;
+    if (queue.length === 0) {
+      return;
+    }
+
+    this.stats.polls++;
+    const worker = async () => {
+      while (queue.length > 0 && !this.controller?.signal.aborted) {
+        const entry = queue.shift();
+        // Removed since the poll started
+        if (this.entries.get(entry.id) === entry) {
+          await this.check(entry);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(watchlistConfig.concurrency, queue.length) }, worker));
+
+    this.stats.lastPollAt = new Date().toISOString();
+    await this.persist();
+  }
+
+  /**
+   * Token bucket holding up to one minute of WATCHLIST_CHECK_BUDGET; resolves to the
+   * tokens available now
+   */
+  refill(now = Date.now()) {
+    this.tokens = Math.min(watchlistConfig.checkBudget, this.tokens + (now - this.refilledAt) * watchlistConfig.checkBudget / 60000);
+    this.refilledAt = now;
+    return this.tokens;
+  }
+
+  // Factor (>= 1) that brings the requested intervals of all channels within the budget
+  stretch() {
+    let perMinute = 0;
+    for (const interval of this.demand.values()) {
+      perMinute += 60 / interval;
+    }
+    return Math.max(1, perMinute / watchlistConfig.checkBudget);
+  }
+
+  /**
+   * Set the entry's next check from its state and past stream starts
+   */
+  plan(entry, now = Date.now()) {
+    const { interval, reason } = watchlistConfig.adaptive
+      ? chooseInterval({
+        state: entry.state,
+        startTimes: entry.channelId && this.startTimesProvider
+          ? this.startTimesProvider(entry.channelId, now - watchlistConfig.patternWeeks * WEEK)
+          : [],
+        now,
+        limits: {
+          interval: watchlistConfig.interval,
+          minInterval: watchlistConfig.minInterval,
+          maxInterval: watchlistConfig.maxInterval,
+          window: watchlistConfig.patternWindow * 60
+        }
+      })
+      : { interval: watchlistConfig.interval, reason: 'fixed' };
+
+    this.demand.set(entry.id, interval);
+    entry.pollInterval = Math.round(interval * this.stretch());
+    entry.pollReason = reason;
+    entry.nextCheckAt = new Date(now + entry.pollInterval * 1000).toISOString();
+  }
+
+  /**
+   * Check one channel now. Lookups at most maxAge seconds old (one interval by
+   * default) are as good as a new extraction.
+   */
+  async check(entry, { maxAge = watchlistConfig.interval } = {}) {
+    this.stats.checks++;
+    // Checks of newly added channels aren't held back, but they do use up the budget
+    this.refill();
+    this.tokens--;
+    const previous = entry.state;
+    try {
+      const state = await youtubeService.getChannelLiveStatus(entry.channelId, entry.handle, {
+        strategy: extractorConfig.routeStrategies.watchlist || 'serial',
+        maxAge,
+        signal: this.controller?.signal
+      });
+      this.applyState(entry, state);
+    } catch (error) {
+      if (this.controller?.signal.aborted) {
+        // Shutting down
+        return;
+      }
+      this.stats.failures++;
+      entry.error = { code: error.code || 'INTERNAL_ERROR', message: error.message };
+      entry.consecutiveFailures++;
+      logger.warn({ message: 'Watchlist check failed', channel: entry.id, code: entry.error.code, error: error.message });
+    }
+    if (this.entries.get(entry.id) === entry) {
+      this.plan(entry);
+    }
+    this.emit('checked', entry, previous);
+  }
+
+  /**
+   * Targeted check after a channel's feed announced videoId (new, updated or
+   * deleted). The video itself is looked up, bypassing the cache; if it is
+   * live or scheduled it becomes the channel's state, unless that would
+   * replace a live stream with a scheduled one. If it is the stream the state
+   * points at and it is neither anymore, the whole channel is checked again.
+   * Resolves to false when the channel is not watched; never rejects.
+   */
+  async checkPushedVideo(id, videoId) {
+    const entry = this.find(id);
+    if (!entry) {
+      return false;
+    }
+
+    this.stats.pushChecks++;
+    this.refill();
+    this.tokens--;
+    let metadata = null;
+    try {
+      metadata = await youtubeService.getLiveMetadata(null, videoId, null, {
+        strategy: extractorConfig.routeStrategies.watchlist || 'serial',
+        maxAge: 0,
+        signal: this.controller?.signal
+      });
+    } catch (error) {
+      if (this.controller?.signal.aborted) {
+        return true;
+      }
+      // Not found or offline: the video is gone, which only matters if it was the one we knew about
+      if (!(error instanceof OfflineError || error instanceof NotFoundError)) {
+        this.stats.failures++;
+        logger.warn({ message: 'Pushed video check failed', channel: entry.id, videoId, code: error.code, error: error.message });
+        return true;
+      }
+    }
+
+    // Removed while the lookup ran
+    if (this.entries.get(entry.id) !== entry) {
+      return true;
+    }
+    const previous = entry.state;
+    try {
+      if (metadata && metadata.liveStatus !== 'none' && (metadata.isLiveNow || !previous?.isLive)) {
+        this.applyState(entry, youtubeService.toChannelLiveStatus(metadata, entry.channelId));
+        this.plan(entry);
+        this.emit('checked', entry, previous);
+        await this.persist();
+      } else if (previous?.liveVideoId === videoId) {
+        await this.check(entry, { maxAge: 0 });
+        await this.persist();
+      }
+    } catch (error) {
+      // A 'checked' listener threw; the state is applied all the same
+      logger.warn({ message: 'Pushed video check could not be completed', channel: entry.id, videoId, error: error.message });
+    }
+    return true;
+  }
+
+  applyState(entry, state) {
+    const previous = entry.state;
+    entry.state = state;
+    entry.checkedAt = new Date().toISOString();
+    entry.error = null;
+    entry.consecutiveFailures = 0;
+    // Handles resolve to a channel ID, so reads by ID find the entry too
+    entry.channelId = entry.channelId || state.channelId || null;
+
+    const changed = !previous ||
+      previous.isLive !== state.isLive ||
+      previous.liveStatus !== state.liveStatus ||
+      previous.liveVideoId !== state.liveVideoId;
+
+    if (changed) {
+      entry.changedAt = entry.checkedAt;
+      this.stats.changes++;
+      logger.info({
+        message: 'Watched channel changed state',
+        channel: entry.id,
+        from: previous?.liveStatus || null,
+        to: state.liveStatus,
+        liveVideoId: state.liveVideoId
+      });
+      this.emit('change', entry, previous);
+    }
+  }
+
+  getStats() {
+    return {
+      channels: this.entries.size,
+      interval: watchlistConfig.interval,
+      adaptive: watchlistConfig.adaptive,
+      checkBudget: watchlistConfig.checkBudget,
+      stretch: Math.round(this.stretch() * 100) / 100,
+      polling: Boolean(this.polling),
+      ...this.stats
+    };
+  }
+}
+
+export default new WatchlistService();
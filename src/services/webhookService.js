@@ -0,0 +1,317 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import { webhookConfig } from '../config/webhooks.js';
+import logger from '../config/logger.js';
+import watchlistService from './watchlistService.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { diffLiveStatus } from '../utils/liveStatusDiff.js';
+import { withDeadline } from '../utils/timeout.js';
+import { assertPublicUrl, pinnedLookup } from '../utils/publicAddress.js';
+
+// Answers worth another attempt; any other 4xx means the receiver rejected the event
+const RETRYABLE_STATUSES = [408, 429];
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret, hex encoded
+ */
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * POST body to url, resolving to the response status. Redirects are not
+ * followed (one could lead anywhere, including a private address) and the
+ * response body is discarded. lookup, when given, replaces the DNS lookup of
+ * the connection.
+ */
+const post = (url, { headers, body, lookup = null, signal }) => new Promise((resolve, reject) => {
+  const { request } = new URL(url).protocol === 'https:' ? https : http;
+  const req = request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    ...(lookup && { lookup }),
+    signal
+  }, response => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+/**
+ * Webhook subscriptions and deliveries
+ * Stream events come from diffing consecutive watchlist checks of a channel
+ * (utils/liveStatusDiff.js); every matching subscription gets a signed JSON
+ * POST, retried with exponential backoff. Subscriptions are kept in
+ * WEBHOOK_STORE_PATH when set; the delivery log is in memory.
+ */
+class WebhookService {
+  constructor() {
+    this.subscriptions = new Map();
+    this.deliveries = [];
+    this.retryTimers = new Set();
+    this.store = webhookConfig.storePath ? new JsonStore(webhookConfig.storePath) : null;
+    this.stats = { events: 0, deliveries: 0, succeeded: 0, failed: 0, retries: 0 };
+    this.onChecked = this.onChecked.bind(this);
+  }
+
+  async start() {
+    await this.load();
+    watchlistService.on('checked', this.onChecked);
+  }
+
+  async stop() {
+    watchlistService.off('checked', this.onChecked);
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    if (this.retryTimers.size > 0) {
+      logger.warn({ message: 'Pending webhook retries dropped on shutdown', count: this.retryTimers.size });
+    }
+    this.retryTimers.clear();
+  }
+
+  async load() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      const saved = await this.store.load({ subscriptions: [] });
+      for (const subscription of saved.subscriptions) {
+        this.subscriptions.set(subscription.id, subscription);
+      }
+      logger.info({ message: 'Webhook subscriptions loaded', path: webhookConfig.storePath, count: this.subscriptions.size });
+    } catch (error) {
+      logger.warn({ message: 'Webhook subscriptions could not be loaded', path: webhookConfig.storePath, error: error.message });
+    }
+  }
+
+  async persist() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      await this.store.save({ subscriptions: [...this.subscriptions.values()] });
+    } catch (error) {
+      logger.warn({ message: 'Webhook subscriptions could not be saved', path: webhookConfig.storePath, error: error.message });
+    }
+  }
+
+  // Subscriptions as shown by the API: the secret is only returned on creation
+  publicView({ secret, ...subscription }) {
+    return subscription;
+  }
+
+  list() {
+    return [...this.subscriptions.values()].map(subscription => this.publicView(subscription));
+  }
+
+  get(id) {
+    return this.subscriptions.get(id) || null;
+  }
+
+  /**
+   * channels and events are null for "all". Subscribed channels are added to
+   * the watchlist, since that is where events come from.
+   */
+  async subscribe({ url, secret = null, channels = null, events = null, description = null }) {
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      channels: channels ? channels.map(id => watchlistService.normalizeId(id)) : null,
+      events,
+      description,
+      createdAt: new Date().toISOString()
+    };
+
+    if (subscription.channels) {
+      await watchlistService.add(subscription.channels);
+    }
+    this.subscriptions.set(subscription.id, subscription);
+    await this.persist();
+
+    logger.info({ message: 'Webhook subscription created', id: subscription.id, url, channels: subscription.channels, events });
+    return subscription;
+  }
+
+  async unsubscribe(id) {
+    const removed = this.subscriptions.delete(id);
+    if (removed) {
+      logger.info({ message: 'Webhook subscription removed', id });
+      await this.persist();
+    }
+    return removed;
+  }
+
+  getDeliveries(subscriptionId = null) {
+    return subscriptionId
+      ? this.deliveries.filter(delivery => delivery.subscriptionId === subscriptionId)
+      : this.deliveries;
+  }
+
+  onChecked(entry, previous) {
+    for (const event of diffLiveStatus(previous, entry.state)) {
+      this.publish(event, entry, previous);
+    }
+  }
+
+  publish({ type, videoId, changes }, entry, previous) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      channel: { id: entry.channelId, handle: entry.handle },
+      videoId,
+      changes: changes || null,
+      state: entry.state,
+      previousState: previous
+    };
+    this.stats.events++;
+    logger.info({ message: 'Stream event', type, channel: entry.id, videoId });
+
+    for (const subscription of this.subscriptions.values()) {
+      if (this.matches(subscription, event, entry)) {
+        this.deliver(subscription, event);
+      }
+    }
+    return event;
+  }
+
+  matches(subscription, event, entry) {
+    if (subscription.events && !subscription.events.includes(event.type)) {
+      return false;
+    }
+    return !subscription.channels ||
+      subscription.channels.includes(entry.id) ||
+      subscription.channels.includes(entry.channelId);
+  }
+
+  /**
+   * Queue an event for one subscription; resolves to the delivery log record
+   * once the first attempt is done (retries continue in the background)
+   */
+  deliver(subscription, event) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      eventId: event.id,
+      type: event.type,
+      url: subscription.url,
+      status: 'pending',
+      attempts: [],
+      nextRetryAt: null,
+      createdAt: new Date().toISOString()
+    };
+    this.deliveries.unshift(delivery);
+    this.deliveries.length = Math.min(this.deliveries.length, webhookConfig.logSize);
+    this.stats.deliveries++;
+
+    return this.attempt(subscription, event, delivery).then(() => delivery);
+  }
+
+  async attempt(subscription, event, delivery) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+    delivery.attempts.push(attempt);
+
+    let retryable = true;
+    try {
+      // Checked again on every attempt: the receiver's name may resolve elsewhere by now.
+      // The request then connects to the addresses checked instead of resolving the name again.
+      const lookup = webhookConfig.allowPrivate ? null : pinnedLookup(await assertPublicUrl(subscription.url));
+      const status = await withDeadline(
+        signal => post(subscription.url, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'youtube-metadata-server-webhooks',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': event.type,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+          },
+          body,
+          lookup,
+          signal
+        }),
+        webhookConfig.timeout,
+        `Webhook receiver did not answer within ${webhookConfig.timeout}ms`
+      );
+      attempt.statusCode = status;
+      if (status >= 200 && status < 300) {
+        delivery.status = 'succeeded';
+        delivery.nextRetryAt = null;
+        this.stats.succeeded++;
+        return;
+      }
+      retryable = status >= 500 || RETRYABLE_STATUSES.includes(status);
+      attempt.error = `Receiver answered ${status}`;
+    } catch (error) {
+      attempt.error = error.message;
+      retryable = error.code !== 'NON_PUBLIC_ADDRESS';
+    } finally {
+      attempt.durationMs = Date.now() - startedAt;
+    }
+
+    if (!retryable || delivery.attempts.length >= webhookConfig.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextRetryAt = null;
+      this.stats.failed++;
+      logger.warn({ message: 'Webhook delivery failed', id: delivery.id, url: delivery.url, attempts: delivery.attempts.length, error: attempt.error });
+      return;
+    }
+
+    const delay = Math.min(
+      webhookConfig.retryDelay * 2 ** (delivery.attempts.length - 1),
+      webhookConfig.maxRetryDelay
+    );
+    delivery.status = 'retrying';
+    delivery.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    this.stats.retries++;
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      // The subscription may have been removed in the meantime
+      const current = this.subscriptions.get(subscription.id);
+      if (!current) {
+        delivery.status = 'failed';
+        delivery.nextRetryAt = null;
+        return;
+      }
+      this.attempt(current, event, delivery);
+    }, delay);
+    timer.unref();
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Send a webhook.test event to one subscription, resolving to its delivery
+   * record after the first attempt
+   */
+  sendTest(subscription) {
+    const event = {
+      id: crypto.randomUUID(),
+      type: 'webhook.test',
+      createdAt: new Date().toISOString(),
+      channel: null,
+      videoId: null,
+      changes: null,
+      state: null,
+      previousState: null
+    };
+    return this.deliver(subscription, event);
+  }
+
+  getStats() {
+    return {
+      subscriptions: this.subscriptions.size,
+      pendingRetries: this.retryTimers.size,
+      ...this.stats
+    };
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,391 @@
+import crypto from 'crypto';
+import { websubConfig } from '../config/websub.js';
+import logger from '../config/logger.js';
+import watchlistService from './watchlistService.js';
+import { JsonStore } from '../utils/jsonStore.js';
+import { parseAtomFeed } from '../utils/atomFeed.js';
+import { withDeadline } from '../utils/timeout.js';
+
+// How often leases, new watched channels and failed requests are looked at
+const RECONCILE_INTERVAL = 60 * 1000;
+const RETRY_DELAY = 60 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// A request the hub hasn't verified within this long is sent again
+const VERIFY_TIMEOUT = 10 * 60 * 1000;
+
+// X-Hub-Signature algorithms a hub may use (WebSub section 8)
+const SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+/**
+ * WebSub subscriber
+ * Every watched channel with a known channel ID is subscribed to at the hub,
+ * and the hub pushes the channel's Atom feed whenever a video is published,
+ * updated or deleted. Each push triggers a targeted check of that video
+ * (watchlistService.checkPushedVideo) instead of waiting for the next poll.
+ *
+ * Intents are verified through the hub's GET challenge, pushes through their
+ * X-Hub-Signature: each subscription has its own secret, an HMAC of the topic
+ * with WEBSUB_SECRET. Leases are renewed WEBSUB_RENEW_MARGIN seconds before
+ * they expire, and channels leaving the watchlist are unsubscribed.
+ *
+ * Subscription status: pending (waiting for the hub's challenge), subscribed,
+ * denied (by the hub; asked again after an hour), failed (the request did not
+ * go through; retried with backoff). mode is the latest intent sent.
+ */
+class WebSubService {
+  constructor() {
+    // channelId -> subscription
+    this.subscriptions = new Map();
+    this.store = websubConfig.storePath ? new JsonStore(websubConfig.storePath) : null;
+    this.timer = null;
+    this.reconciling = null;
+    // "<channelId>:<videoId>" pushes being checked, so bursts of updates share one check
+    this.pushChecks = new Set();
+    this.stats = { requests: 0, requestFailures: 0, verified: 0, denied: 0, notifications: 0, rejected: 0, checks: 0 };
+    this.onChecked = this.onChecked.bind(this);
+  }
+
+  isEnabled() {
+    return Boolean(websubConfig.callbackUrl && websubConfig.secret);
+  }
+
+  async start() {
+    if (!this.isEnabled()) {
+      if (websubConfig.callbackUrl) {
+        logger.warn({ message: 'WebSub is off: WEBSUB_SECRET is not set' });
+      }
+      return;
+    }
+    await this.load();
+    // Channels added by handle can be subscribed once their first check resolves the ID
+    watchlistService.on('checked', this.onChecked);
+    this.schedule(0);
+    logger.info({ message: 'WebSub subscriber started', hub: websubConfig.hubUrl, subscriptions: this.subscriptions.size });
+  }
+
+  async stop() {
+    watchlistService.off('checked', this.onChecked);
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.reconciling;
+    // Leases outlive a restart; they are not cancelled on shutdown
+    await this.persist();
+  }
+
+  schedule(delay = RECONCILE_INTERVAL) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.reconcile().finally(() => {
+      if (this.timer) {
+        this.schedule();
+      }
+    }), delay);
+    this.timer.unref();
+  }
+
+  async load() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      const saved = await this.store.load({ subscriptions: [] });
+      for (const subscription of saved.subscriptions) {
+        this.subscriptions.set(subscription.channelId, subscription);
+      }
+      logger.info({ message: 'WebSub subscriptions loaded', path: websubConfig.storePath, count: this.subscriptions.size });
+    } catch (error) {
+      logger.warn({ message: 'WebSub subscriptions could not be loaded', path: websubConfig.storePath, error: error.message });
+    }
+  }
+
+  async persist() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      await this.store.save({ subscriptions: this.list() });
+    } catch (error) {
+      logger.warn({ message: 'WebSub subscriptions could not be saved', path: websubConfig.storePath, error: error.message });
+    }
+  }
+
+  topicFor(channelId) {
+    return `${websubConfig.topicUrl}?channel_id=${channelId}`;
+  }
+
+  callbackFor(channelId) {
+    return `${websubConfig.callbackUrl.replace(/\/+$/, '')}/api/websub/callback/${channelId}`;
+  }
+
+  // Derived rather than stored, so the store never holds a secret
+  secretFor(topic) {
+    return crypto.createHmac('sha256', websubConfig.secret).update(topic).digest('hex');
+  }
+
+  list() {
+    return [...this.subscriptions.values()];
+  }
+
+  get(channelId) {
+    return this.subscriptions.get(channelId) || null;
+  }
+
+  onChecked(entry) {
+    if (entry.channelId && !this.subscriptions.has(entry.channelId)) {
+      this.request(entry.channelId, 'subscribe');
+    }
+  }
+
+  /**
+   * Subscribe new watched channels, renew leases about to expire, retry failed
+   * requests and unsubscribe channels that left the watchlist. A run still in
+   * progress is joined instead of overlapped.
+   */
+  reconcile() {
+    if (!this.reconciling) {
+      this.reconciling = this.runReconcile().finally(() => {
+        this.reconciling = null;
+      });
+    }
+    return this.reconciling;
+  }
+
+  async runReconcile(now = Date.now()) {
+    const watched = new Set(watchlistService.list().map(entry => entry.channelId).filter(Boolean));
+    const requests = [];
+
+    for (const channelId of watched) {
+      const subscription = this.subscriptions.get(channelId);
+      if (!subscription || this.needsRenewal(subscription, now)) {
+        requests.push(this.request(channelId, 'subscribe'));
+      }
+    }
+    for (const subscription of this.list()) {
+      if (watched.has(subscription.channelId)) {
+        continue;
+      }
+      if (subscription.mode === 'subscribe' || (subscription.error && this.isRetryDue(subscription, now))) {
+        requests.push(this.request(subscription.channelId, 'unsubscribe'));
+      } else if (!subscription.error && !this.isAwaitingHub(subscription, now)) {
+        // The hub never confirmed the unsubscribe; the lease runs out by itself
+        this.subscriptions.delete(subscription.channelId);
+      }
+    }
+
+    await Promise.all(requests);
+  }
+
+  isRetryDue(subscription, now) {
+    return !subscription.nextAttemptAt || Date.parse(subscription.nextAttemptAt) <= now;
+  }
+
+  // Sent without an error, and the hub hasn't called back yet
+  isAwaitingHub(subscription, now) {
+    const requestedAt = Date.parse(subscription.requestedAt);
+    return !subscription.error &&
+      now - requestedAt < VERIFY_TIMEOUT &&
+      !(Date.parse(subscription.verifiedAt) >= requestedAt);
+  }
+
+  needsRenewal(subscription, now) {
+    // Watched again after an unsubscribe
+    if (subscription.mode !== 'subscribe') {
+      return true;
+    }
+    if (!this.isRetryDue(subscription, now) || this.isAwaitingHub(subscription, now)) {
+      return false;
+    }
+    return subscription.status !== 'subscribed' ||
+      Date.parse(subscription.expiresAt) - now <= websubConfig.renewMargin * 1000;
+  }
+
+  /**
+   * Send a subscribe or unsubscribe request to the hub. The hub confirms it
+   * later through verify(); never rejects.
+   */
+  async request(channelId, mode) {
+    const topic = this.topicFor(channelId);
+    const existing = this.subscriptions.get(channelId);
+    const subscription = {
+      channelId,
+      status: 'pending',
+      leaseSeconds: null,
+      expiresAt: null,
+      verifiedAt: null,
+      lastNotificationAt: null,
+      failures: 0,
+      nextAttemptAt: null,
+      error: null,
+      ...existing,
+      topic,
+      callback: this.callbackFor(channelId),
+      mode,
+      error: null,
+      requestedAt: new Date().toISOString()
+    };
+    // A renewal keeps its current status (and lease) until the hub verifies it
+    if (subscription.status !== 'subscribed') {
+      subscription.status = 'pending';
+    }
+    this.subscriptions.set(channelId, subscription);
+    this.stats.requests++;
+
+    const body = new URLSearchParams({
+      'hub.callback': subscription.callback,
+      'hub.mode': mode,
+      'hub.topic': topic,
+      'hub.verify': 'async',
+      'hub.lease_seconds': String(websubConfig.leaseSeconds),
+      'hub.secret': this.secretFor(topic)
+    });
+    try {
+      const response = await withDeadline(
+        signal => fetch(websubConfig.hubUrl, { method: 'POST', body, signal }),
+        websubConfig.timeout,
+        `WebSub hub did not answer within ${websubConfig.timeout}ms`
+      );
+      const text = await response.text().catch(() => '');
+      // 202 Accepted; some hubs verify synchronously and answer 204
+      if (!response.ok) {
+        throw new Error(`Hub answered ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+      }
+      subscription.failures = 0;
+      subscription.nextAttemptAt = null;
+      subscription.error = null;
+      logger.info({ message: 'WebSub request sent', channelId, mode });
+    } catch (error) {
+      this.stats.requestFailures++;
+      subscription.failures++;
+      subscription.error = error.message;
+      if (subscription.status !== 'subscribed') {
+        subscription.status = 'failed';
+      }
+      const delay = Math.min(RETRY_DELAY * 2 ** (subscription.failures - 1), MAX_RETRY_DELAY);
+      subscription.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      logger.warn({ message: 'WebSub request failed', channelId, mode, attempts: subscription.failures, error: error.message });
+    }
+    await this.persist();
+  }
+
+  /**
+   * Answer the hub's verification of intent (GET on the callback). Resolves to
+   * the challenge to echo back, '' for an acknowledged denial, or null when
+   * we never asked for this (the hub gets a 404).
+   */
+  async verify(channelId, { mode, topic, challenge, leaseSeconds, reason }) {
+    const subscription = this.subscriptions.get(channelId);
+    if (!subscription || subscription.topic !== topic) {
+      logger.warn({ message: 'Unexpected WebSub verification', channelId, mode, topic });
+      return null;
+    }
+
+    if (mode === 'denied') {
+      subscription.status = 'denied';
+      subscription.error = reason || 'Denied by the hub';
+      subscription.nextAttemptAt = new Date(Date.now() + MAX_RETRY_DELAY).toISOString();
+      this.stats.denied++;
+      logger.warn({ message: 'WebSub subscription denied', channelId, reason });
+      await this.persist();
+      return '';
+    }
+    if (mode !== subscription.mode || !challenge) {
+      return null;
+    }
+
+    this.stats.verified++;
+    if (mode === 'unsubscribe') {
+      this.subscriptions.delete(channelId);
+      logger.info({ message: 'WebSub subscription ended', channelId });
+    } else {
+      const lease = parseInt(leaseSeconds) || websubConfig.leaseSeconds;
+      subscription.status = 'subscribed';
+      subscription.leaseSeconds = lease;
+      subscription.verifiedAt = new Date().toISOString();
+      subscription.expiresAt = new Date(Date.now() + lease * 1000).toISOString();
+      subscription.error = null;
+      subscription.nextAttemptAt = null;
+      logger.info({ message: 'WebSub subscription verified', channelId, leaseSeconds: lease });
+    }
+    await this.persist();
+    return challenge;
+  }
+
+  /**
+   * 'sha256=<hex>' over the raw body with the subscription's secret
+   */
+  hasValidSignature(subscription, body, header) {
+    const [algorithm, signature] = String(header || '').split('=');
+    if (!SIGNATURE_ALGORITHMS.includes(algorithm) || !signature) {
+      return false;
+    }
+    const expected = crypto.createHmac(algorithm, this.secretFor(subscription.topic)).update(body).digest();
+    const received = Buffer.from(signature, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * A content distribution (POST on the callback) with the raw body. Pushes
+   * that are unsigned, wrongly signed or for a channel we don't follow are
+   * ignored; resolves to whether it was accepted. The hub gets a 2xx either
+   * way, as WebSub asks, so it doesn't learn which check failed.
+   */
+  notify(channelId, body, signature) {
+    const subscription = this.subscriptions.get(channelId);
+    if (!subscription || subscription.mode !== 'subscribe' || !this.hasValidSignature(subscription, body, signature)) {
+      this.stats.rejected++;
+      logger.warn({ message: 'WebSub notification rejected', channelId, subscribed: Boolean(subscription) });
+      return false;
+    }
+
+    let feed;
+    try {
+      feed = parseAtomFeed(body.toString('utf8'));
+    } catch (error) {
+      this.stats.rejected++;
+      logger.warn({ message: 'WebSub notification could not be parsed', channelId, error: error.message });
+      return false;
+    }
+
+    this.stats.notifications++;
+    subscription.lastNotificationAt = new Date().toISOString();
+    const videoIds = [
+      ...feed.entries.filter(entry => !entry.channelId || entry.channelId === channelId).map(entry => entry.videoId),
+      ...feed.deleted.map(entry => entry.videoId)
+    ];
+    logger.info({ message: 'WebSub notification', channelId, videos: videoIds, deleted: feed.deleted.length });
+
+    for (const videoId of new Set(videoIds)) {
+      this.checkVideo(channelId, videoId).catch(error => logger.warn({ message: 'WebSub push check failed', channelId, videoId, error: error.message }));
+    }
+    return true;
+  }
+
+  // A video already being checked isn't checked again for the same push burst
+  async checkVideo(channelId, videoId) {
+    const key = `${channelId}:${videoId}`;
+    if (this.pushChecks.has(key)) {
+      return;
+    }
+    this.pushChecks.add(key);
+    this.stats.checks++;
+    try {
+      await watchlistService.checkPushedVideo(channelId, videoId);
+    } finally {
+      this.pushChecks.delete(key);
+    }
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const { status } of this.subscriptions.values()) {
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    }
+    return {
+      enabled: this.isEnabled(),
+      subscriptions: this.subscriptions.size,
+      byStatus,
+      ...this.stats
+    };
+  }
+}
+
+export default new WebSubService();
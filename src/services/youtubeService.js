@@ -1,202 +1,476 @@
+import { extractorConfig } from '../config/extractors.js';
+import { cacheConfig } from '../config/cache.js';
+import extractorRegistry from './extractorRegistry.js';
+import cacheService from './cacheService.js';
 import innertubeHelper from '../utils/innertubeHelper.js';
-import webScrapingHelper from '../utils/webScrapingHelper.js';
 import ytdlHelper from '../utils/ytdlHelper.js';
-import ytdlpHelper from '../utils/ytdlpHelper.js';
+import { withDeadline } from '../utils/timeout.js';
+import {
+  classifyError,
+  NotFoundError,
+  OfflineError,
+  TimeoutError,
+  UpstreamBlockedError,
+  UpstreamError
+} from '../utils/errors.js';
+import { normalizeMetadata, normalizeVideoList } from '../utils/metadataNormalizer.js';
+import { mergeMetadata } from '../utils/metadataMerger.js';
 
 class YouTubeService {
   constructor() {
-    this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    // Lookup entries can be force-refreshed by key through the cache admin API
+    const lookupArgs = {
+      video: id => [null, id, null],
+      channel: id => [id, null, null],
+      handle: id => [null, null, id]
+    };
+    for (const [type, args] of Object.entries(lookupArgs)) {
+      cacheService.registerRefresher(`lookup:${type}`, {
+        ttl: cacheConfig.lookupTtl,
+        fetch: (id, signal) => this.runExtraction(this.buildLookup(...args(id)), 'serial', signal)
+      });
+    }
+    cacheService.registerRefresher('lookup:uploads', {
+      ttl: cacheConfig.lookupTtl,
+      fetch: (id, signal) => this.runExtraction(this.buildUploadsLookup(id), 'serial', signal)
+    });
+  }
+
+  async getLiveMetadata(channelId, videoId = null, channelHandle = null, options = {}) {
+    const strategy = options.strategy || 'serial';
+    const lookup = this.buildLookup(channelId, videoId, channelHandle);
+    const cacheKey = cacheService.generateKey(`lookup:${lookup.type}`, videoId || channelId || channelHandle);
+
+    // Lookups are cached for every route; concurrent misses share one extraction
+    // chain, which is cancelled once every caller's options.signal has aborted.
+    // options.maxAge (seconds) lets a route with a shorter TTL skip older lookups.
+    return cacheService.getOrSet(
+      cacheKey,
+      (signal) => this.runExtraction(lookup, strategy, signal),
+      cacheConfig.lookupTtl,
+      { signal: options.signal, maxAge: options.maxAge }
+    );
   }
 
-  async getLiveMetadata(channelId, videoId = null, channelHandle = null) {
-    const cacheKey = videoId || channelId || channelHandle;
+  /**
+   * A channel's latest uploads (normalizeVideoList format, newest first),
+   * cached like every lookup. Lists can't be merged field by field, so the
+   * chain always runs serially.
+   */
+  async getRecentUploads(channelId, options = {}) {
+    const cacheKey = cacheService.generateKey('lookup:uploads', channelId);
+    return cacheService.getOrSet(
+      cacheKey,
+      (signal) => this.runExtraction(this.buildUploadsLookup(channelId), 'serial', signal),
+      cacheConfig.lookupTtl,
+      { signal: options.signal, maxAge: options.maxAge }
+    );
+  }
+
+  /**
+   * Strategies:
+   *   serial  run the chain in order until one extractor is conclusive (default)
+   *   race    start every extractor at once, first conclusive answer wins
+   *   hedge   start the next extractor after hedgeDelay ms (or as soon as the
+   *           previous one gives up), first conclusive answer wins
+   *   merge   run every extractor in parallel and merge their results field by field
+   * Attempts still running once an answer is found are aborted.
+   *
+   * Resolves with normalized metadata or rejects with a typed error (see
+   * utils/errors.js): a definitive answer from an extractor (NotFound, Private...),
+   * Offline/NotFound when every extractor looked and found nothing, or
+   * Timeout/UpstreamBlocked/Upstream when we could not find out.
+   */
+  async runExtraction(lookup, strategy = 'serial', signal = null) {
+    // Set overall timeout for the entire operation (max 12 seconds for Cloud Run)
+    const { globalTimeout, hedgeDelay } = extractorConfig;
+    const steps = extractorRegistry.getChain(lookup.type);
+    const context = { lookup, signal: null, failures: [], skipped: 0 };
+
+    const extract = (deadlineSignal) => {
+      context.signal = deadlineSignal;
+      if (strategy === 'merge') {
+        return this.runMerge(steps, context);
+      }
+      if (strategy === 'race' || strategy === 'hedge') {
+        return this.runParallel(steps, context, strategy === 'hedge' ? hedgeDelay : 0);
+      }
+      return this.runSerial(steps, context);
+    };
 
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data;
+    try {
+      // The deadline signal aborts every attempt still running when we give up or the caller goes away
+      const result = await withDeadline(extract, globalTimeout, `No extractor answered within ${globalTimeout}ms`, signal);
+      if (result) {
+        await this.invalidateChannelState(result);
+        return result;
       }
-      this.cache.delete(cacheKey);
+
+      throw this.buildMissError(lookup, steps, context);
+    } catch (error) {
+      const typed = classifyError(error);
+      console.log(`Extraction failed for ${lookup.type} lookup: [${typed.code || 'ERROR'}] ${typed.message}`);
+      throw typed;
     }
+  }
 
-    // Set overall timeout for the entire operation (max 12 seconds for Cloud Run)
-    const globalTimeout = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Service timeout - channel likely offline')), 12000)
-    );
+  /**
+   * Nothing conclusive came back: decide whether that means "not live / not
+   * there" or "we don't know"
+   */
+  buildMissError(lookup, steps, { failures, skipped }) {
+    const details = {
+      lookup: lookup.type,
+      failures: failures.map(({ extractor, error }) => ({
+        extractor,
+        code: error.code || 'ERROR',
+        message: error.message
+      }))
+    };
 
-    const checkMethods = async () => {
-      let result = null;
-
-      // Method 1: Try YTDL-Core first (fastest and most reliable for status checks)
-      if (channelId && !videoId && !channelHandle) {
-        try {
-          console.log('Trying YTDL-Core method...');
-          result = await Promise.race([
-            ytdlHelper.getQuickLiveInfo(channelId),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('YTDL timeout')), 3000))
-          ]);
-          if (result && result.isLiveNow) {
-            console.log('YTDL-Core detected live stream');
-            this.setCacheAndReturn(cacheKey, result);
-            return result;
-          }
-        } catch (error) {
-          console.warn('YTDL-Core method failed:', error.message);
-        }
+    if (failures.some(({ error }) => error instanceof UpstreamBlockedError)) {
+      return new UpstreamBlockedError('YouTube blocked the extractors (bot check or rate limit)', details);
+    }
+    if (failures.some(({ error }) => error instanceof TimeoutError)) {
+      return new TimeoutError('Extractors timed out before YouTube answered', details);
+    }
+    if (failures.length > 0) {
+      return new UpstreamError('Every extractor that ran failed', details);
+    }
+    if (steps.length === 0 || skipped === steps.length) {
+      return new UpstreamError('No extractor available (disabled or circuit open)', details);
+    }
+    if (lookup.type === 'uploads') {
+      return new NotFoundError(`No uploads found for channel ${lookup.channelId}`, details);
+    }
+
+    console.log('No live stream detected by any method');
+    return lookup.type === 'video'
+      ? new NotFoundError(`Video ${lookup.videoId} not found or unavailable`, details)
+      : new OfflineError(`Channel ${lookup.channelId || lookup.channelHandle} is not live`, details);
+  }
+
+  /**
+   * Fresh metadata can prove cached channel answers wrong: a live stream
+   * outdates every "not live" entry (offline results included) for its channel,
+   * and a stream that just ended outdates the entries still showing it live.
+   */
+  async invalidateChannelState(metadata) {
+    const { channelId, videoId } = metadata;
+    if (!channelId) {
+      return;
+    }
+
+    let outdated = null;
+    if (metadata.isLiveNow) {
+      outdated = ({ negative, value }) => Boolean(negative) || value?.isLiveNow === false || value?.isLive === false;
+    } else if (metadata.liveStatus === 'post_live') {
+      outdated = ({ value }) => Boolean(value?.isLiveNow || value?.isLive) &&
+        (value.videoId || value.liveVideoId) === videoId;
+    }
+
+    if (outdated) {
+      await cacheService.invalidate(cacheService.generateKey('*', channelId), outdated);
+    }
+  }
+
+  async runSerial(steps, context) {
+    for (const step of steps) {
+      if (context.signal.aborted) {
+        break;
+      }
+      const result = await this.runAttempt(step, context);
+      if (result) {
+        return result;
       }
+    }
+    return null;
+  }
 
-      // Method 2: Try Innertube (for full metadata and handles)
-      try {
-        console.log('Trying Innertube method...');
-
-        // First ensure Innertube is initialized
-        await innertubeHelper.init();
-        console.log('Innertube client is ready, getting live info...');
-
-        result = await Promise.race([
-          innertubeHelper.getLiveInfo(channelId, videoId, channelHandle),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Innertube getLiveInfo timeout after 8s')), 8000))
-        ]);
-
-        if (result && result.isLiveNow) {
-          console.log('✅ Innertube detected live stream:', result.videoId);
-          this.setCacheAndReturn(cacheKey, result);
-          return result;
-        } else if (result && result.method === 'innertube') {
-          // For video metadata requests, check if Innertube returned empty data
-          if (videoId && (!result.title || !result.channelName)) {
-            console.log('Innertube returned minimal data for video, will try yt-dlp');
-          } else {
-            console.log('✅ Innertube found channel but no live stream - returning result');
-            this.setCacheAndReturn(cacheKey, result);
-            return result;
-          }
+  runParallel(steps, context, hedgeDelay = 0) {
+    const { signal } = context;
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        resolve(null);
+        return;
+      }
+
+      const attempts = [];
+      let next = 0;
+      let pending = 0;
+      let settled = false;
+      let hedgeTimer = null;
+
+      const finish = (result, error = null) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(hedgeTimer);
+        signal.removeEventListener('abort', onAbort);
+        // Cancel the slower attempts
+        attempts.forEach(attempt => attempt.abort());
+        if (error) {
+          reject(error);
         } else {
-          console.log('Innertube returned null result');
+          resolve(result);
+        }
+      };
+
+      const onAbort = () => finish(null);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      const launch = () => {
+        clearTimeout(hedgeTimer);
+        if (settled) {
+          return;
         }
-      } catch (error) {
-        console.error('❌ InnerTube method failed:', error.message);
-
-        // If it's an initialization error, try to reset the client
-        if (error.message.includes('initialization') || error.message.includes('timeout')) {
-          console.log('Attempting to reset Innertube client...');
-          innertubeHelper.client = null;
-          innertubeHelper.initPromise = null;
+        if (next >= steps.length) {
+          if (pending === 0) {
+            finish(null);
+          }
+          return;
         }
-      }
 
-      // Method 3: Try yt-dlp for video metadata (when videoId is available)
-      if (videoId) {
-        try {
-          console.log('Trying yt-dlp method for video metadata...');
-          result = await Promise.race([
-            ytdlpHelper.getVideoInfo(videoId),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('YT-DLP timeout')), 20000))
-          ]);
+        const step = steps[next++];
+        const attempt = new AbortController();
+        attempts.push(attempt);
+        pending++;
+
+        this.runAttempt(step, context, { signal: attempt.signal }).then(result => {
+          pending--;
           if (result) {
-            console.log(`✅ YT-DLP result: live=${result.isLiveNow}, title="${result.title}"`);
-            this.setCacheAndReturn(cacheKey, result);
-            return result;
+            console.log(`${step.extractor.name} answered first (${hedgeDelay > 0 ? 'hedge' : 'race'})`);
+            finish(result);
+          } else {
+            // An attempt that gave up releases the next hedge right away
+            launch();
           }
-        } catch (error) {
-          console.warn('YT-DLP method failed:', error.message);
+        }, error => finish(null, error));
+
+        if (hedgeDelay > 0) {
+          hedgeTimer = setTimeout(launch, hedgeDelay);
+        } else {
+          launch();
         }
+      };
+
+      launch();
+    });
+  }
+
+  async runMerge(steps, context) {
+    const { lookup } = context;
+    const results = await Promise.all(
+      steps.map(step => this.runAttempt(step, context, { acceptInconclusive: true }))
+    );
+
+    // Keep chain order: it decides which source wins when several have a field
+    const candidates = results
+      .map((result, index) => result && {
+        result,
+        conclusive: steps[index].extractor.isConclusive(result, lookup)
+      })
+      .filter(Boolean);
+
+    // Inconclusive results only fill in fields; without a conclusive one the
+    // lookup fails like serial does (Offline, NotFound, Timeout...)
+    if (!candidates.some(candidate => candidate.conclusive)) {
+      return null;
+    }
+
+    const merged = mergeMetadata(candidates);
+    console.log(`Merged ${candidates.length} results from ${merged.sources.join(', ')} (${merged.conflicts.length} conflicts)`);
+    return merged;
+  }
+
+  /**
+   * Run one extractor behind its circuit breaker and timeout
+   * Resolves with a conclusive, normalized result or null. Failed attempts are
+   * recorded in context.failures; only definitive errors (the video is private,
+   * gone...) reject, since no other extractor can do better.
+   * With acceptInconclusive, any non-null result is returned. signal overrides
+   * context.signal for attempts that can be cancelled on their own (race/hedge).
+   */
+  async runAttempt({ extractor, timeout }, context, { acceptInconclusive = false, signal = context.signal } = {}) {
+    const { lookup } = context;
+    const breaker = extractorRegistry.getBreaker(extractor.name);
+    if (!breaker.canRequest()) {
+      console.log(`Skipping ${extractor.name} method - circuit ${breaker.state}`);
+      context.skipped++;
+      return null;
+    }
+
+    const startTime = Date.now();
+    try {
+      console.log(`Trying ${extractor.name} method...`);
+      // The extractor gets its own signal, aborted on its timeout as well as on cancellation
+      const raw = await withDeadline(
+        attemptSignal => extractor.extract(lookup, { signal: attemptSignal }),
+        timeout,
+        `${extractor.name} timeout after ${timeout}ms`,
+        signal
+      );
+      breaker.recordSuccess(Date.now() - startTime);
+
+      // Every extractor answers in the canonical schema
+      const result = lookup.type === 'uploads'
+        ? normalizeVideoList(raw, extractor.name)
+        : normalizeMetadata(raw, extractor.name);
+
+      if (result && extractor.isConclusive(result, lookup)) {
+        console.log(lookup.type === 'uploads'
+          ? `✅ ${extractor.name} result: ${result.videos.length} videos`
+          : `✅ ${extractor.name} result: live=${result.isLiveNow}, videoId=${result.videoId}`);
+        return result;
       }
 
-      // Method 4: Try web scraping as final fallback
-      try {
-        console.log('Trying web scraping method...');
-        result = await Promise.race([
-          webScrapingHelper.getLiveInfo(channelId, videoId),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Web scraping timeout')), 5000))
-        ]);
-        if (result) {
-          console.log(`Web scraping result: live=${result.isLiveNow}`);
-          this.setCacheAndReturn(cacheKey, result);
-          return result;
-        }
-      } catch (error) {
-        console.warn('Web scraping method failed:', error.message);
+      console.log(`${extractor.name} returned no conclusive result`);
+      return acceptInconclusive ? result : null;
+    } catch (rawError) {
+      if (signal.aborted) {
+        // Cancelled because another attempt answered first - not the extractor's fault
+        breaker.recordCancelled();
+        console.log(`${extractor.name} method cancelled`);
+        return null;
+      }
+
+      const error = classifyError(rawError);
+      if (error.definitive) {
+        // YouTube answered; the extractor did its job
+        breaker.recordSuccess(Date.now() - startTime);
+        console.log(`${extractor.name} method: [${error.code}] ${error.message}`);
+        throw error;
       }
 
-      console.log('No live stream detected by any method');
+      breaker.recordFailure(Date.now() - startTime, error);
+      console.warn(`❌ ${extractor.name} method failed:`, error.message);
+      context.failures.push({ extractor: extractor.name, error });
+      extractor.onFailure?.(error);
       return null;
-    };
+    }
+  }
 
+  /**
+   * Live status of a channel (by ID or handle) in the shape of the /api/status
+   * routes. Only "offline" becomes a not-live result; not knowing is still an error.
+   */
+  async getChannelLiveStatus(channelId, channelHandle = null, options = {}) {
+    let metadata = null;
     try {
-      return await Promise.race([
-        checkMethods(),
-        globalTimeout
-      ]);
+      metadata = await this.getLiveMetadata(channelId, null, channelHandle, options);
     } catch (error) {
-      console.log('Service operation timed out:', error.message);
-      return null;
+      if (!(error instanceof OfflineError)) {
+        throw error;
+      }
+    }
+    return this.toChannelLiveStatus(metadata, channelId);
+  }
+
+  /**
+   * Lookup metadata (null when offline) -> channel live status
+   */
+  toChannelLiveStatus(metadata, channelId = null) {
+    // Live streams and scheduled ones (upcoming, premiere) both point at a video
+    if (metadata && metadata.videoId && metadata.liveStatus !== 'none') {
+      return {
+        isLive: metadata.isLiveNow,
+        liveStatus: metadata.liveStatus,
+        scheduledStartTime: metadata.scheduledStartTime,
+        actualStartTime: metadata.actualStartTime || null,
+        liveVideoId: metadata.videoId || null,
+        channelId: metadata.channelId || channelId,
+        title: metadata.title || null,
+        channelName: metadata.channelName || null,
+        concurrentViewers: metadata.concurrentViewers ?? null,
+        method: metadata.method
+      };
     }
+
+    return {
+      isLive: false,
+      liveStatus: 'none',
+      liveVideoId: null,
+      channelId: metadata?.channelId || channelId,
+      title: null,
+      channelName: null,
+      method: metadata ? metadata.method : 'not-live'
+    };
+  }
+
+  buildUploadsLookup(channelId) {
+    return { type: 'uploads', channelId, videoId: null, channelHandle: null };
   }
 
-  async getLiveChatData(videoId) {
+  buildLookup(channelId, videoId = null, channelHandle = null) {
+    // Same precedence the helpers use: video, then channel, then handle
+    const type = videoId ? 'video' : channelId ? 'channel' : 'handle';
+    return { type, channelId, videoId, channelHandle };
+  }
+
+  async getLiveChatData(videoId, options = {}) {
     try {
-      return await innertubeHelper.getLiveChatData(videoId);
+      return await innertubeHelper.getLiveChatData(videoId, options);
     } catch (error) {
       console.warn('Failed to get live chat data:', error.message);
       return null;
     }
   }
 
-  async getLiveStats(videoId) {
+  /**
+   * Upstream for the live chat relay (services/liveChatService.js). Unlike the
+   * availability check above, errors are thrown typed: Offline when the video isn't live.
+   */
+  async openLiveChat(videoId, options = {}) {
+    return innertubeHelper.openLiveChat(videoId, options);
+  }
+
+  async getLiveStats(videoId, options = {}) {
     try {
-      return await innertubeHelper.getLiveStats(videoId);
+      return await innertubeHelper.getLiveStats(videoId, options);
     } catch (error) {
       console.warn('Failed to get live stats:', error.message);
       return null;
     }
   }
 
-  setCacheAndReturn(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
-    return data;
+  describeExtractors() {
+    return extractorRegistry.describe();
   }
 
-  async checkAvailableMethods() {
-    const methods = {
-      innertube: false,
-      webscraping: false
-    };
+  getExtractorHealth() {
+    const { extractors, chains } = extractorRegistry.describe();
 
-    try {
-      await innertubeHelper.init();
-      methods.innertube = true;
-    } catch (error) {
-      // innerTube not available
-    }
+    // A lookup type is degraded when every extractor in its chain is open
+    const degraded = Object.entries(chains)
+      .filter(([, chain]) => chain.length === 0 || chain.every(step =>
+        extractorRegistry.getBreaker(step.name).state === 'open'))
+      .map(([type]) => type);
 
-    // Web scraping is always available if fetch is working
-    try {
-      const testResponse = await fetch('https://www.youtube.com', { method: 'HEAD', timeout: 5000 });
-      methods.webscraping = testResponse.ok;
-    } catch (error) {
-      methods.webscraping = false;
-    }
-
-    return methods;
+    return {
+      status: degraded.length > 0 ? 'degraded' : 'healthy',
+      degraded,
+      extractors,
+      chains
+    };
   }
 
-  async getQuickLiveStatus(channelId) {
+  async getQuickLiveStatus(channelId, options = {}) {
     try {
       // Ultra-fast status check using only YTDL-Core
       console.log(`Quick status check for channel: ${channelId}`);
 
-      const isLive = await Promise.race([
-        ytdlHelper.isChannelLive(channelId),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Quick status timeout')), 2000)
-        )
-      ]);
+      const isLive = await withDeadline(
+        signal => ytdlHelper.isChannelLive(channelId, { signal }),
+        2000,
+        'Quick status timeout',
+        options.signal
+      );
+
+      if (isLive) {
+        await this.invalidateChannelState({ channelId, isLiveNow: true });
+      }
 
       return {
         success: true,
@@ -206,21 +480,11 @@ class YouTubeService {
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      // A timeout is not "offline": errors reach the client typed (504 TIMEOUT...)
       console.warn('Quick status check failed:', error.message);
-      return {
-        success: false,
-        channelId,
-        isLive: false,
-        method: 'ytdl-quick-timeout',
-        error: error.message,
-        timestamp: new Date().toISOString()
-      };
+      throw classifyError(error);
     }
   }
-
-  clearCache() {
-    this.cache.clear();
-  }
 }
 
 export default new YouTubeService();
\ No newline at end of file
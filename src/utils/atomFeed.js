@@ -0,0 +1,70 @@
+import * as cheerio from 'cheerio';
+
+/**
+ * Atom Feed - parser for YouTube channel feeds
+ * (https://www.youtube.com/xml/feeds/videos.xml?channel_id=...), as fetched
+ * or as pushed by a WebSub hub
+ */
+
+const VIDEO_REF_PREFIX = 'yt:video:';
+
+const textOf = (element) => element.text().trim() || null;
+
+const numberOf = (value) => {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Atom XML -> {
+ *   channelId, title, author, hub,
+ *   entries: [{ videoId, channelId, title, link, author, published, updated,
+ *               description, thumbnails, views }],
+ *   deleted: [{ videoId, deletedAt }]
+ * }
+ * Fetched feeds list the latest 15 videos with their media:group
+ * (description, thumbnail, view count); pushes carry one entry, or a
+ * deleted-entry when a video is removed. Entries without a video ID are skipped.
+ */
+export const parseAtomFeed = (xml) => {
+  const $ = cheerio.load(xml, { xml: true });
+  const feed = $('feed').first();
+
+  const entries = feed.children('entry').toArray().map(element => {
+    const entry = $(element);
+    const media = entry.children('media\\:group');
+    return {
+      videoId: textOf(entry.children('yt\\:videoId')),
+      channelId: textOf(entry.children('yt\\:channelId')),
+      title: textOf(entry.children('title')),
+      link: entry.children('link[rel="alternate"]').attr('href') || null,
+      author: textOf(entry.find('author > name')),
+      published: textOf(entry.children('published')),
+      updated: textOf(entry.children('updated')),
+      description: textOf(media.children('media\\:description')),
+      thumbnails: media.children('media\\:thumbnail').toArray().map(thumbnail => ({
+        url: $(thumbnail).attr('url'),
+        width: numberOf($(thumbnail).attr('width')),
+        height: numberOf($(thumbnail).attr('height'))
+      })).filter(thumbnail => thumbnail.url),
+      views: numberOf(media.find('media\\:statistics').attr('views'))
+    };
+  }).filter(entry => entry.videoId);
+
+  const deleted = feed.children('at\\:deleted-entry').toArray()
+    .map(element => ({
+      ref: $(element).attr('ref') || '',
+      deletedAt: $(element).attr('when') || null
+    }))
+    .filter(({ ref }) => ref.startsWith(VIDEO_REF_PREFIX))
+    .map(({ ref, deletedAt }) => ({ videoId: ref.slice(VIDEO_REF_PREFIX.length), deletedAt }));
+
+  return {
+    channelId: textOf(feed.children('yt\\:channelId')),
+    title: textOf(feed.children('title')),
+    author: textOf(feed.children('author').children('name')),
+    hub: feed.children('link[rel="hub"]').attr('href') || null,
+    entries,
+    deleted
+  };
+};
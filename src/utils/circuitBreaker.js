@@ -0,0 +1,166 @@
+/**
+ * Circuit Breaker - tracks a rolling window of outcomes for one extraction method
+ *
+ * closed     requests flow, outcomes are recorded
+ * open       requests are skipped until the cooldown has passed
+ * half_open  a single probe request is let through; success closes, failure re-opens
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.windowSize = options.windowSize || 20;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.minSuccessRate = options.minSuccessRate ?? 0.5;
+    this.minSamples = options.minSamples || 10;
+    this.cooldown = options.cooldown || 30000;
+    this.slowLatency = options.slowLatency || 5000;
+
+    this.state = 'closed';
+    this.outcomes = [];
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.totals = { requests: 0, successes: 0, failures: 0, skipped: 0 };
+  }
+
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldown) {
+      this.state = 'half_open';
+      this.probeInFlight = false;
+    }
+
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.totals.skipped++;
+    return false;
+  }
+
+  recordSuccess(latency) {
+    this.record(true, latency);
+    this.consecutiveFailures = 0;
+
+    if (this.state === 'half_open') {
+      this.close();
+    }
+  }
+
+  recordFailure(latency, error = null) {
+    this.record(false, latency);
+    this.consecutiveFailures++;
+    this.lastError = error?.message || null;
+    this.lastFailureAt = Date.now();
+
+    if (this.state === 'half_open' || this.shouldOpen()) {
+      this.open();
+    }
+  }
+
+  recordCancelled() {
+    // No outcome to record, but a cancelled probe must not block the next one
+    if (this.state === 'half_open') {
+      this.probeInFlight = false;
+    }
+  }
+
+  record(success, latency) {
+    this.outcomes.push({ success, latency, at: Date.now() });
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+
+    this.totals.requests++;
+    if (success) {
+      this.totals.successes++;
+    } else {
+      this.totals.failures++;
+    }
+  }
+
+  shouldOpen() {
+    if (this.state !== 'closed') {
+      return false;
+    }
+    if (this.consecutiveFailures >= this.failureThreshold) {
+      return true;
+    }
+    return this.outcomes.length >= this.minSamples && this.getSuccessRate() < this.minSuccessRate;
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.probeInFlight = false;
+    console.warn(`Circuit breaker opened for ${this.name} (${this.consecutiveFailures} consecutive failures)`);
+  }
+
+  close() {
+    this.state = 'closed';
+    this.openedAt = null;
+    this.probeInFlight = false;
+    // Start from a clean window so old failures don't immediately re-open it
+    this.outcomes = [];
+    console.log(`Circuit breaker closed for ${this.name}`);
+  }
+
+  getSuccessRate() {
+    if (this.outcomes.length === 0) {
+      return 1;
+    }
+    return this.outcomes.filter(outcome => outcome.success).length / this.outcomes.length;
+  }
+
+  getAverageLatency() {
+    if (this.outcomes.length === 0) {
+      return null;
+    }
+    const total = this.outcomes.reduce((sum, outcome) => sum + outcome.latency, 0);
+    return Math.round(total / this.outcomes.length);
+  }
+
+  /**
+   * Health score between 0 and 1: success rate, discounted by up to half
+   * as the average latency approaches slowLatency
+   */
+  getHealthScore() {
+    if (this.state === 'open') {
+      return 0;
+    }
+    const latency = this.getAverageLatency() || 0;
+    const latencyPenalty = 0.5 * Math.min(latency / this.slowLatency, 1);
+    return Number((this.getSuccessRate() * (1 - latencyPenalty)).toFixed(2));
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      healthScore: this.getHealthScore(),
+      successRate: Number(this.getSuccessRate().toFixed(2)),
+      averageLatency: this.getAverageLatency(),
+      samples: this.outcomes.length,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeAt: this.state === 'open' ? new Date(this.openedAt + this.cooldown).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      totals: { ...this.totals }
+    };
+  }
+
+  reset() {
+    this.state = 'closed';
+    this.outcomes = [];
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Extraction Error Taxonomy
+ * Typed errors carry a stable `code` and HTTP `statusCode` from the helpers
+ * through youtubeService to errorHandler. `definitive` errors describe the
+ * video itself (it doesn't exist, it's private...) and end the extractor chain;
+ * the others describe a failed attempt and let the next extractor try.
+ */
+export class YouTubeError extends Error {
+  constructor(message, { code, statusCode, definitive = false, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.definitive = definitive;
+    this.details = details;
+  }
+}
+
+export class NotFoundError extends YouTubeError {
+  constructor(message = 'Video or channel not found', details = null) {
+    super(message, { code: 'NOT_FOUND', statusCode: 404, definitive: true, details });
+  }
+}
+
+export class PrivateError extends YouTubeError {
+  constructor(message = 'Video is private', details = null) {
+    super(message, { code: 'PRIVATE', statusCode: 403, definitive: true, details });
+  }
+}
+
+export class AgeRestrictedError extends YouTubeError {
+  constructor(message = 'Video is age restricted', details = null) {
+    super(message, { code: 'AGE_RESTRICTED', statusCode: 403, definitive: true, details });
+  }
+}
+
+export class RegionBlockedError extends YouTubeError {
+  constructor(message = 'Video is not available in this region', details = null) {
+    super(message, { code: 'REGION_BLOCKED', statusCode: 451, definitive: true, details });
+  }
+}
+
+export class UpstreamError extends YouTubeError {
+  constructor(message = 'YouTube request failed', details = null, code = 'UPSTREAM_ERROR') {
+    super(message, { code, statusCode: 502, details });
+  }
+}
+
+export class UpstreamBlockedError extends UpstreamError {
+  constructor(message = 'YouTube blocked the request (bot check or rate limit)', details = null) {
+    super(message, details, 'UPSTREAM_BLOCKED');
+  }
+}
+
+export class TimeoutError extends YouTubeError {
+  constructor(message = 'Timed out waiting for YouTube', details = null) {
+    super(message, { code: 'TIMEOUT', statusCode: 504, details });
+  }
+}
+
+export class OfflineError extends YouTubeError {
+  constructor(message = 'Channel is not live', details = null) {
+    super(message, { code: 'OFFLINE', statusCode: 404, details });
+  }
+}
+
+export class CancelledError extends YouTubeError {
+  constructor(message = 'Request was cancelled', details = null) {
+    // 499: the client closed the request; it never sees this response
+    super(message, { code: 'CANCELLED', statusCode: 499, details });
+  }
+}
+
+// Checked in order: the age check must win over the generic "Sign in to confirm" bot check
+const MESSAGE_PATTERNS = [
+  [/confirm your age|age[- ]restricted|inappropriate for some users/i, AgeRestrictedError],
+  [/private video|video is private/i, PrivateError],
+  [/available in your country|blocked it in your country|geo[- ]?restrict/i, RegionBlockedError],
+  [/not a bot|sign in to confirm|captcha|HTTP 429|too many requests/i, UpstreamBlockedError],
+  [/video unavailable|this video is unavailable|does not exist|has been removed|HTTP 404/i, NotFoundError],
+  [/timeout|timed out/i, TimeoutError]
+];
+
+/**
+ * Turn an arbitrary helper/library error into a typed one where we recognise it
+ */
+export const classifyError = (error) => {
+  if (error instanceof YouTubeError) {
+    return error;
+  }
+
+  if (error?.name === 'TimeoutError') {
+    return new TimeoutError(error.message);
+  }
+
+  const message = error?.message || String(error);
+  for (const [pattern, ErrorClass] of MESSAGE_PATTERNS) {
+    if (pattern.test(message)) {
+      return new ErrorClass(message.split('\n')[0]);
+    }
+  }
+
+  return error;
+};
+
+/**
+ * Map a player response playabilityStatus onto a typed error (null when playable)
+ * Accepts both the raw { status, reason } and youtubei.js' parsed shape.
+ */
+export const errorFromPlayability = (playability) => {
+  const status = playability?.status;
+  if (!status || status === 'OK' || status === 'LIVE_STREAM_OFFLINE') {
+    return null;
+  }
+
+  const reason = [playability.reason, ...(playability.messages || [])]
+    .filter(Boolean)
+    .map(text => String(text?.text ?? text))
+    .join(' ') || status;
+
+  switch (status) {
+    case 'ERROR':
+      return new NotFoundError(reason, { playabilityStatus: status });
+    case 'AGE_CHECK_REQUIRED':
+    case 'AGE_VERIFICATION_REQUIRED':
+    case 'CONTENT_CHECK_REQUIRED':
+      return new AgeRestrictedError(reason, { playabilityStatus: status });
+    case 'LOGIN_REQUIRED':
+    case 'UNPLAYABLE': {
+      const typed = classifyError(new Error(reason));
+      if (typed instanceof YouTubeError && !(typed instanceof TimeoutError)) {
+        typed.details = { playabilityStatus: status };
+        return typed;
+      }
+      return new PrivateError(reason, { playabilityStatus: status });
+    }
+    default:
+      return null;
+  }
+};
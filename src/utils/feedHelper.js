@@ -0,0 +1,74 @@
+import { parseAtomFeed } from './atomFeed.js';
+
+const FEED_URL = 'https://www.youtube.com/feeds/videos.xml';
+
+/**
+ * Feed Helper - recent uploads from a channel's public Atom feed
+ * One small XML request, no player or page scraping: the feed lists the
+ * latest 15 videos (uploads, premieres and streams, scheduled ones included)
+ * but says nothing about live status, so it answers uploads lookups and gives
+ * live checks candidate video IDs.
+ */
+class FeedHelper {
+  constructor() {
+    this.name = 'feed';
+    this.lookupTypes = ['uploads'];
+  }
+
+  /**
+   * Extractor interface - see services/extractorRegistry.js
+   */
+  async extract({ channelId }, { signal } = {}) {
+    return await this.getChannelFeed(channelId, { signal });
+  }
+
+  isConclusive(result) {
+    // A channel without uploads is an answer too
+    return Array.isArray(result.videos);
+  }
+
+  /**
+   * Raw { channelId, channelName, videos } for normalizeVideoList(); rejects
+   * with "HTTP 404" for unknown channels
+   */
+  async getChannelFeed(channelId, { signal } = {}) {
+    const response = await fetch(`${FEED_URL}?channel_id=${encodeURIComponent(channelId)}`, {
+      headers: { 'Accept': 'application/atom+xml,application/xml;q=0.9' },
+      signal
+    });
+    if (!response.ok) {
+      // The error page isn't needed
+      response.body?.cancel().catch(() => {});
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const feed = parseAtomFeed(await response.text());
+    return {
+      channelId,
+      channelName: feed.author,
+      videos: feed.entries.map(entry => ({
+        videoId: entry.videoId,
+        channelId: entry.channelId,
+        title: entry.title,
+        description: entry.description,
+        publishedAt: entry.published,
+        updatedAt: entry.updated,
+        thumbnails: entry.thumbnails,
+        viewCount: entry.views
+      }))
+    };
+  }
+
+  /**
+   * IDs of the channel's latest videos, newest first
+   */
+  async getCandidateVideoIds(channelId, { signal, limit = 3 } = {}) {
+    const { videos } = await this.getChannelFeed(channelId, { signal });
+    return videos
+      .sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''))
+      .slice(0, limit)
+      .map(video => video.videoId);
+  }
+}
+
+export default new FeedHelper();
@@ -1,4 +1,23 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import { Innertube } from 'youtubei.js';
+import { deriveLiveStatus } from './metadataNormalizer.js';
+import { classifyError, errorFromPlayability, NotFoundError, OfflineError, TimeoutError, YouTubeError } from './errors.js';
+import { withDeadline } from './timeout.js';
+
+// AbortSignal of the lookup currently running; the shared client's fetch reads
+// it so each lookup can cancel its own requests
+const activeSignal = new AsyncLocalStorage();
+
+const signalAwareFetch = (input, init = {}) => {
+  const signal = activeSignal.getStore();
+  if (!signal) {
+    return fetch(input, init);
+  }
+  return fetch(input, {
+    ...init,
+    signal: init.signal ? AbortSignal.any([signal, init.signal]) : signal
+  });
+};
 
 /**
  * InnerTube.js Helper - Uses YouTube's internal API
@@ -6,10 +25,49 @@ import { Innertube } from 'youtubei.js';
  */
 class InnerTubeHelper {
   constructor() {
+    this.name = 'innertube';
+    this.lookupTypes = ['video', 'channel', 'handle'];
     this.client = null;
     this.initPromise = null;
   }
 
+  /**
+   * Extractor interface - see services/extractorRegistry.js
+   */
+  async extract({ channelId, videoId, channelHandle }, { signal } = {}) {
+    return await activeSignal.run(signal, () => this.getLiveInfo(channelId, videoId, channelHandle));
+  }
+
+  isConclusive(result, { type }) {
+    // Video lookups without title/channel are too thin to stop the chain
+    if (type === 'video') {
+      return !!(result.title && result.channelName);
+    }
+    return true;
+  }
+
+  onFailure(error) {
+    // A stuck or failed initialization would poison every following request
+    if (error.message.includes('initialization') || error.message.includes('timeout')) {
+      console.log('Resetting Innertube client after failure...');
+      this.client = null;
+      this.initPromise = null;
+    }
+  }
+
+  /**
+   * Run one Innertube call with its own deadline, nested in the current lookup's
+   * signal: its requests are aborted when it times out or the lookup is cancelled
+   */
+  withDeadline(fn, ms, message) {
+    return withDeadline(
+      signal => activeSignal.run(signal, fn),
+      ms,
+      message,
+      activeSignal.getStore() || null
+    );
+  }
+
   async init() {
     if (!this.client && !this.initPromise) {
       this.initPromise = this._initializeClient();
@@ -54,6 +112,9 @@ class InnerTubeHelper {
         // Enhanced browser mimicking for cloud environments
         initial_cookie: youtubeCookies,
 
+        // Lets lookups cancel their in-flight requests
+        fetch: signalAwareFetch,
+
         // Add session context that matches real browser behavior
         session: {
           context: {
@@ -92,12 +153,12 @@ class InnerTubeHelper {
       const initTimeout = process.env.NODE_ENV === 'production' ? 10000 : 5000;
       console.log(`Setting Innertube initialization timeout to ${initTimeout}ms`);
 
-      this.client = await Promise.race([
-        Innertube.create(innertubeConfig),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error(`Innertube client initialization timeout after ${initTimeout}ms`)), initTimeout)
-        )
-      ]);
+      // The client is shared, so its creation is not tied to the request that triggered it
+      this.client = await withDeadline(
+        signal => activeSignal.run(signal, () => Innertube.create(innertubeConfig)),
+        initTimeout,
+        `Innertube client initialization timeout after ${initTimeout}ms`
+      );
 
       console.log('Innertube client initialized successfully with cookies');
       this.initPromise = null; // Clear the promise after successful initialization
@@ -126,6 +187,10 @@ class InnerTubeHelper {
 
       return null;
     } catch (error) {
+      // Typed errors (private, not found...) reach the service unchanged
+      if (error instanceof YouTubeError) {
+        throw error;
+      }
       throw new Error(`InnerTube error: ${error.message}`);
     }
   }
@@ -137,44 +202,33 @@ class InnerTubeHelper {
       const startTime = Date.now();
 
       // Add timeout to video info request
-      info = await Promise.race([
-        this.client.getInfo(videoId),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Video info timeout')), 3000))
-      ]);
+      info = await this.withDeadline(() => this.client.getInfo(videoId), 3000, 'Video info timeout');
 
       console.log(`Retrieved info for video: ${videoId} in ${Date.now() - startTime}ms`);
       console.log(`Basic info: title="${info.basic_info?.title}", live=${info.basic_info?.is_live}`);
     } catch (error) {
       console.error(`Failed to get video info for ${videoId}:`, error.message);
-      return null;
+      throw classifyError(error);
     }
-    
-    // Calculate live stream duration if it's live
+
+    // Private, removed, age-gated and geo-blocked videos still come back with a playability status
+    const playabilityError = errorFromPlayability(info.playability_status);
+    if (playabilityError) {
+      throw playabilityError;
+    }
+
+    const liveStatus = deriveLiveStatus({
+      isLive: info.basic_info.is_live,
+      isUpcoming: info.basic_info.is_upcoming,
+      isPostLive: info.basic_info.is_post_live_dvr,
+      isLiveContent: info.basic_info.is_live_content
+    });
+
     // Try multiple sources for start time
     const startTime = info.streaming_data?.live_stream_start_timestamp || 
                      info.basic_info?.start_timestamp ||
                      info.microformat?.playerMicroformatRenderer?.liveBroadcastDetails?.startTimestamp;
     
-    let liveDuration = null;
-    let liveDurationSeconds = null;
-    
-    if (info.basic_info.is_live && startTime) {
-      const startDate = new Date(startTime);
-      const now = new Date();
-      liveDurationSeconds = Math.floor((now - startDate) / 1000);
-      
-      // Format duration as HH:MM:SS
-      const hours = Math.floor(liveDurationSeconds / 3600);
-      const minutes = Math.floor((liveDurationSeconds % 3600) / 60);
-      const seconds = liveDurationSeconds % 60;
-      
-      if (hours > 0) {
-        liveDuration = `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-      } else {
-        liveDuration = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-      }
-    }
-    
     // Extract tags from keywords
     const tags = info.basic_info.keywords || [];
     
@@ -198,9 +252,11 @@ class InnerTubeHelper {
     return {
       method: 'innertube',
       videoId: videoId,
+      channelId: info.basic_info.channel_id || info.basic_info.channel?.id || null,
       title: info.basic_info.title,
       channelName: info.basic_info.channel?.name || null,
       isLiveNow: info.basic_info.is_live || false,
+      liveStatus: liveStatus,
       concurrentViewers: concurrentViewers,
       viewerCountType: viewerCountType,
       thumbnails: info.basic_info.thumbnail?.map(t => ({
@@ -208,40 +264,44 @@ class InnerTubeHelper {
         width: t.width,
         height: t.height
       })) || [],
-      description: info.basic_info.short_description ? 
-        info.basic_info.short_description.substring(0, 300) : null,
-      actualStartTime: startTime || null,
-      isLiveContent: info.basic_info.is_live || false,
-      duration: info.basic_info.duration?.text || null,
-      liveDuration: liveDuration, // Time elapsed since stream started
-      liveDurationSeconds: liveDurationSeconds, // Duration in seconds for easy calculation
-      tags: tags.slice(0, 20) // Limit to first 20 tags to avoid huge responses
+      description: info.basic_info.short_description || null,
+      // For upcoming streams the start timestamp is the scheduled one
+      actualStartTime: info.basic_info.is_upcoming ? null : startTime || null,
+      scheduledStartTime: info.basic_info.is_upcoming ? info.basic_info.start_timestamp || null : null,
+      isLiveContent: info.basic_info.is_live_content || info.basic_info.is_live || false,
+      duration: info.basic_info.duration ?? null,
+      tags: tags
     };
   }
 
+  /**
+   * Channel lookups probe several candidate videos; one that turns out to be
+   * private or gone just isn't the live stream
+   */
+  async getCandidateVideoInfo(videoId) {
+    try {
+      return await this.getVideoInfo(videoId);
+    } catch (error) {
+      return null;
+    }
+  }
+
   async getChannelLiveInfo(channelId) {
     try {
       console.log(`Getting live info for channel: ${channelId}`);
       const startTime = Date.now();
 
-      // Set overall timeout for the entire operation (max 5 seconds total)
-      const globalTimeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Overall timeout - channel likely offline')), 5000)
-      );
-
       const checkLiveInfo = async () => {
         // Method 1: Fast live page check first (quickest way to determine if offline)
         try {
           console.log('Trying fast live page check...');
-          const livePageVideoId = await Promise.race([
-            this.getLivePageVideoId(channelId),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Fast timeout')), 1500))
-          ]);
+          const livePageVideoId = await this.withDeadline(() => this.getLivePageVideoId(channelId), 1500, 'Fast timeout');
 
           if (livePageVideoId) {
             console.log(`Found live video via fast live page: ${livePageVideoId}`);
-            const liveInfo = await this.getVideoInfo(livePageVideoId);
-            if (liveInfo && liveInfo.isLiveNow) {
+            const liveInfo = await this.getCandidateVideoInfo(livePageVideoId);
+            // The live page also points at scheduled streams, which we report as upcoming
+            if (liveInfo && this.isLiveOrScheduled(liveInfo)) {
               const liveChatData = await this.getLiveChatData(livePageVideoId);
               return {
                 ...liveInfo,
@@ -258,10 +318,7 @@ class InnerTubeHelper {
         // Method 2: Direct search approach using InnerTube's search (with shorter timeout)
         try {
           console.log('Trying direct search approach...');
-          const searchResults = await Promise.race([
-            this.client.search(`${channelId} live`, { type: 'video' }),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Search timeout')), 2000))
-          ]);
+          const searchResults = await this.withDeadline(() => this.client.search(`${channelId} live`, { type: 'video' }), 2000, 'Search timeout');
 
           if (searchResults && searchResults.contents) {
             for (const result of searchResults.contents) {
@@ -274,7 +331,7 @@ class InnerTubeHelper {
 
                 if (channelMatch && isLive) {
                   console.log(`Found live video via search: ${result.id}`);
-                  const videoInfo = await this.getVideoInfo(result.id);
+                  const videoInfo = await this.getCandidateVideoInfo(result.id);
                   if (videoInfo && videoInfo.isLiveNow) {
                     return {
                       ...videoInfo,
@@ -300,14 +357,11 @@ class InnerTubeHelper {
         if (Date.now() - startTime < 5000) {
           try {
             console.log('Trying live page approach...');
-            const livePageVideoId = await Promise.race([
-              this.getLivePageVideoId(channelId),
-              new Promise((_, reject) => setTimeout(() => reject(new Error('Live page timeout')), 1500))
-            ]);
+            const livePageVideoId = await this.withDeadline(() => this.getLivePageVideoId(channelId), 1500, 'Live page timeout');
             if (livePageVideoId) {
               console.log(`Found live video via live page: ${livePageVideoId}`);
-              const liveInfo = await this.getVideoInfo(livePageVideoId);
-              if (liveInfo && liveInfo.isLiveNow) {
+              const liveInfo = await this.getCandidateVideoInfo(livePageVideoId);
+              if (liveInfo && this.isLiveOrScheduled(liveInfo)) {
                 const liveChatData = await this.getLiveChatData(livePageVideoId);
                 return {
                   ...liveInfo,
@@ -326,10 +380,7 @@ class InnerTubeHelper {
         if (Date.now() - startTime < 6000) {
           try {
             console.log('Trying channel approach...');
-            const channel = await Promise.race([
-              this.client.getChannel(channelId),
-              new Promise((_, reject) => setTimeout(() => reject(new Error('Channel fetch timeout')), 2000))
-            ]);
+            const channel = await this.withDeadline(() => this.client.getChannel(channelId), 2000, 'Channel fetch timeout');
 
             if (!channel) {
               console.log('Channel not found');
@@ -346,7 +397,7 @@ class InnerTubeHelper {
               for (const video of channel.live_streams.contents.slice(0, 3)) { // Limit to first 3
                 if (video && video.id) {
                   console.log(`Checking live stream: ${video.id}`);
-                  const videoInfo = await this.getVideoInfo(video.id);
+                  const videoInfo = await this.getCandidateVideoInfo(video.id);
                   if (videoInfo && videoInfo.isLiveNow) {
                     console.log(`Confirmed live video: ${video.id}`);
                     const liveChatData = await this.getLiveChatData(video.id);
@@ -372,10 +423,7 @@ class InnerTubeHelper {
             if ((!channel.videos || !channel.videos.contents || channel.videos.contents.length === 0) && Date.now() - startTime < timeLimit) {
               console.log('Videos section empty, trying search approach for live content...');
               try {
-                const searchResults = await Promise.race([
-                  this.client.search(`${channelId} live`, { type: 'video' }),
-                  new Promise((_, reject) => setTimeout(() => reject(new Error('Search timeout')), 3000))
-                ]);
+                const searchResults = await this.withDeadline(() => this.client.search(`${channelId} live`, { type: 'video' }), 3000, 'Search timeout');
 
                 if (searchResults && searchResults.contents) {
                   for (const result of searchResults.contents.slice(0, 5)) {
@@ -387,7 +435,7 @@ class InnerTubeHelper {
 
                       if (channelMatch && isLive) {
                         console.log(`Found live video via search: ${result.id}`);
-                        const videoInfo = await this.getVideoInfo(result.id);
+                        const videoInfo = await this.getCandidateVideoInfo(result.id);
                         if (videoInfo && videoInfo.isLiveNow) {
                           return {
                             ...videoInfo,
@@ -417,7 +465,7 @@ class InnerTubeHelper {
                 );
 
                 if (isLive || hasLiveBadge) {
-                  const videoInfo = await this.getVideoInfo(video.id);
+                  const videoInfo = await this.getCandidateVideoInfo(video.id);
                   if (videoInfo && videoInfo.isLiveNow) {
                     console.log(`Confirmed live video: ${video.id}`);
                     const liveChatData = await this.getLiveChatData(video.id);
@@ -442,24 +490,7 @@ class InnerTubeHelper {
             }
 
             // Return a proper "not live" response when we successfully checked the channel content
-            return {
-              method: 'innertube',
-              videoId: null,
-              title: null,
-              channelName: null,
-              channelId: channelId,
-              isLiveNow: false,
-              concurrentViewers: null,
-              viewerCountType: 'not_live',
-              thumbnails: [],
-              description: null,
-              isLiveContent: false,
-              duration: null,
-              liveDuration: null,
-              liveDurationSeconds: null,
-              tags: [],
-              actualStartTime: null
-            };
+            return this.buildNotLiveResult(channelId);
 
           } catch (channelError) {
             console.log('Channel method failed:', channelError.message);
@@ -468,38 +499,36 @@ class InnerTubeHelper {
         }
 
         // Return "not live" response when all methods are exhausted but channel was accessible
-        return {
-          method: 'innertube',
-          videoId: null,
-          title: null,
-          channelName: null,
-          channelId: channelId,
-          isLiveNow: false,
-          concurrentViewers: null,
-          viewerCountType: 'not_live',
-          thumbnails: [],
-          description: null,
-          isLiveContent: false,
-          duration: null,
-          liveDuration: null,
-          liveDurationSeconds: null,
-          tags: [],
-          actualStartTime: null
-        };
+        return this.buildNotLiveResult(channelId);
       };
 
-      // Race the main logic against the global timeout
-      return await Promise.race([
-        checkLiveInfo(),
-        globalTimeoutPromise
-      ]);
+      // Overall timeout for the entire operation (max 5 seconds total)
+      return await this.withDeadline(checkLiveInfo, 5000, 'Channel live check timeout');
 
     } catch (error) {
       console.error(`Failed to get channel live info for ${channelId}:`, error.message);
+      // Running out of time is "we don't know", not "offline"
+      if (error instanceof TimeoutError) {
+        throw error;
+      }
       return null;
     }
   }
 
+  buildNotLiveResult(channelId) {
+    return {
+      method: 'innertube',
+      channelId: channelId,
+      isLiveNow: false,
+      liveStatus: 'none',
+      viewerCountType: 'not_live'
+    };
+  }
+
+  isLiveOrScheduled(videoInfo) {
+    return videoInfo.isLiveNow || ['upcoming', 'premiere'].includes(videoInfo.liveStatus);
+  }
+
   async getChannelLiveInfoByHandle(handle) {
     try {
       console.log(`Getting live info for channel handle: ${handle}`);
@@ -521,8 +550,11 @@ class InnerTubeHelper {
       }
 
       console.log(`Channel not found for handle: ${handle}`);
-      return null;
+      throw new NotFoundError(`Channel handle ${handle} not found`);
     } catch (error) {
+      if (error instanceof YouTubeError) {
+        throw error;
+      }
       console.error(`Failed to get channel by handle ${handle}:`, error.message);
       return null;
     }
@@ -555,10 +587,7 @@ class InnerTubeHelper {
 
       try {
         // Method 1: Try getBasicInfo with fast timeout
-        const livePageResponse = await Promise.race([
-          this.client.getBasicInfo(livePageUrl),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Live page getBasicInfo timeout')), 1200))
-        ]);
+        const livePageResponse = await this.withDeadline(() => this.client.getBasicInfo(livePageUrl), 1200, 'Live page getBasicInfo timeout');
 
         if (livePageResponse && livePageResponse.basic_info && livePageResponse.basic_info.id) {
           console.log(`Live page found video via getBasicInfo: ${livePageResponse.basic_info.id}`);
@@ -570,10 +599,7 @@ class InnerTubeHelper {
 
       try {
         // Method 2: Try resolveURL with fast timeout
-        const resolvedUrl = await Promise.race([
-          this.client.resolveURL(livePageUrl),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Live page resolveURL timeout')), 1200))
-        ]);
+        const resolvedUrl = await this.withDeadline(() => this.client.resolveURL(livePageUrl), 1200, 'Live page resolveURL timeout');
 
         if (resolvedUrl && resolvedUrl.basic_info && resolvedUrl.basic_info.id) {
           console.log(`Live page found video via resolveURL: ${resolvedUrl.basic_info.id}`);
@@ -590,11 +616,22 @@ class InnerTubeHelper {
     }
   }
 
-  async getLiveChatData(videoId) {
+  // Called from channel lookups without a signal: they keep the lookup's own
+  async getLiveChatData(videoId, { signal } = {}) {
+    return await activeSignal.run(signal ?? activeSignal.getStore(), () => this.fetchLiveChatData(videoId));
+  }
+
+  /**
+   * Whether a live video has a chat; its messages are polled through
+   * services/liveChatService.js
+   */
+  async fetchLiveChatData(videoId) {
     try {
       console.log(`Getting live chat data for video: ${videoId}`);
+      // A lookup cancelled meanwhile doesn't start another request
+      activeSignal.getStore()?.throwIfAborted();
+      await this.init();
 
-      // Get the video info first to check if live chat is available
       const videoInfo = await this.client.getInfo(videoId);
 
       if (!videoInfo.basic_info.is_live) {
@@ -602,56 +639,91 @@ class InnerTubeHelper {
         return null;
       }
 
-      // Try to get live chat
-      const liveChat = await this.client.getLiveChat(videoId);
-
-      if (liveChat) {
-        console.log(`Live chat available for video: ${videoId}`);
-
-        // Get recent messages (last 10)
-        const messages = [];
-        let messageCount = 0;
-
-        try {
-          for await (const message of liveChat) {
-            if (messageCount >= 10) break;
-
-            messages.push({
-              id: message.id,
-              author: {
-                name: message.author?.name,
-                channelId: message.author?.channel_id,
-                badges: message.author?.badges?.map(badge => badge.label)
-              },
-              text: message.text?.simpleText || message.text?.runs?.map(run => run.text).join(''),
-              timestamp: message.timestamp,
-              timestampUsec: message.timestamp_usec
-            });
-
-            messageCount++;
-          }
-        } catch (chatError) {
-          console.log('Error reading chat messages:', chatError.message);
-        }
-
-        return {
-          isEnabled: true,
-          messageCount: messages.length,
-          recentMessages: messages,
-          chatId: liveChat.continuation || null
-        };
+      if (!videoInfo.livechat) {
+        console.log(`Live chat not available for video: ${videoId}`);
+        return null;
       }
 
-      return null;
+      return {
+        isEnabled: true,
+        isReplay: Boolean(videoInfo.livechat.is_replay)
+      };
     } catch (error) {
       console.log(`Failed to get live chat for ${videoId}:`, error.message);
       return null;
     }
   }
 
-  async getLiveStats(videoId) {
+  /**
+   * LiveChat subscription for a live video, not started yet (see youtubei.js
+   * LiveChat: start(), stop(), 'chat-update', 'error' and 'end' events).
+   * Only the video lookup follows signal; the chat polls until stop().
+   */
+  async openLiveChat(videoId, { signal } = {}) {
+    let info;
+    try {
+      info = await activeSignal.run(signal, async () => {
+        await this.init();
+        return await this.withDeadline(() => this.client.getInfo(videoId), 5000, 'Video info timeout');
+      });
+    } catch (error) {
+      throw classifyError(error);
+    }
+
+    const playabilityError = errorFromPlayability(info.playability_status);
+    if (playabilityError) {
+      throw playabilityError;
+    }
+    if (!info.basic_info.is_live) {
+      throw new OfflineError(`Video ${videoId} is not live`);
+    }
+    if (!info.livechat) {
+      throw new NotFoundError(`Live chat is not available for video ${videoId}`);
+    }
+    return info.getLiveChat();
+  }
+
+  /**
+   * Chat item (LiveChatTextMessage, LiveChatPaidMessage...) -> plain message,
+   * or null for items that aren't messages (placeholders, banners...)
+   */
+  formatChatItem(item) {
+    const kinds = {
+      LiveChatTextMessage: 'text',
+      LiveChatPaidMessage: 'paid',
+      LiveChatPaidSticker: 'sticker',
+      LiveChatMembershipItem: 'membership'
+    };
+    const kind = kinds[item?.type];
+    if (!kind) {
+      return null;
+    }
+
+    return {
+      id: item.id,
+      kind,
+      author: {
+        name: item.author?.name || null,
+        channelId: item.author?.id || null,
+        badges: (item.author?.badges || []).map(badge => badge.tooltip || badge.label).filter(Boolean),
+        isModerator: Boolean(item.author?.is_moderator),
+        isVerified: Boolean(item.author?.is_verified)
+      },
+      text: item.message?.toString() || item.header_subtext?.toString() || null,
+      amount: item.purchase_amount || null,
+      timestamp: item.timestamp || null,
+      timestampUsec: item.timestamp_usec ? String(item.timestamp_usec) : null
+    };
+  }
+
+  async getLiveStats(videoId, { signal } = {}) {
+    return await activeSignal.run(signal ?? activeSignal.getStore(), () => this.fetchLiveStats(videoId));
+  }
+
+  async fetchLiveStats(videoId) {
     try {
       console.log(`Getting live stats for video: ${videoId}`);
+      await this.init();
 
       const info = await this.client.getInfo(videoId);
 
@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * JSON Store - one JSON document persisted to a file
+ * Writes go to a temporary file and are renamed into place, and they are
+ * queued so an older write never lands after a newer one.
+ */
+export class JsonStore {
+  constructor(file) {
+    this.file = file;
+    this.queue = Promise.resolve();
+  }
+
+  // fallback is returned when the file doesn't exist yet
+  async load(fallback = null) {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fallback;
+      }
+      throw error;
+    }
+  }
+
+  save(data) {
+    const json = JSON.stringify(data, null, 2);
+    const write = this.queue.then(() => this.write(json));
+    // Keep the queue going after a failed write; the caller still sees the error
+    this.queue = write.catch(() => {});
+    return write;
+  }
+
+  async write(json) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmpFile = `${this.file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpFile, json);
+    await fs.rename(tmpFile, this.file);
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Live Status Diff - events between two consecutive live-status results of a
+ * channel (the shape returned by youtubeService.getChannelLiveStatus)
+ *
+ *   stream.started  the channel went live, or switched to another live video
+ *   stream.ended    the live video stopped being live
+ *   stream.updated  same live or scheduled video, but its title or liveStatus changed
+ *
+ * Without a previous result there is nothing to compare, so no events: a
+ * channel that is already live when first seen doesn't "start".
+ */
+
+// Fields reported as changes on stream.updated
+const UPDATE_FIELDS = ['title', 'liveStatus', 'scheduledStartTime'];
+
+export const STREAM_EVENTS = ['stream.started', 'stream.ended', 'stream.updated'];
+
+/**
+ * { field: { from, to } } for the fields that differ, or null when none do.
+ * A field we couldn't read this time (null/undefined) is not a change.
+ */
+export const diffFields = (previous, current, fields) => {
+  const changes = {};
+  for (const field of fields) {
+    if (current[field] !== null && current[field] !== undefined && current[field] !== previous[field]) {
+      changes[field] = { from: previous[field] ?? null, to: current[field] };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+export const diffLiveStatus = (previous, current) => {
+  if (!previous || !current) {
+    return [];
+  }
+
+  const events = [];
+  const sameVideo = Boolean(previous.liveVideoId) && previous.liveVideoId === current.liveVideoId;
+
+  if (previous.isLive && (!current.isLive || !sameVideo)) {
+    events.push({ type: 'stream.ended', videoId: previous.liveVideoId });
+  }
+  if (current.isLive && (!previous.isLive || !sameVideo)) {
+    events.push({ type: 'stream.started', videoId: current.liveVideoId });
+  }
+
+  if (sameVideo && previous.isLive === current.isLive) {
+    const changes = diffFields(previous, current, UPDATE_FIELDS);
+    if (changes) {
+      events.push({ type: 'stream.updated', videoId: current.liveVideoId, changes });
+    }
+  }
+
+  return events;
+};
@@ -0,0 +1,90 @@
+import { normalizeMetadata } from './metadataNormalizer.js';
+
+/**
+ * Field-level merge of normalized metadata from several extractors
+ *
+ * The first conclusive result is the primary source; missing fields (null or
+ * empty arrays) are filled from the other results in chain order. The merged
+ * object records where every field came from in fieldSources and lists
+ * disagreements on the live flag or viewer counts in conflicts.
+ */
+
+// Viewer counts further apart than this (relative to the largest) are a conflict
+const VIEWER_CONFLICT_TOLERANCE = 0.1;
+
+// Derived or provenance fields that are not merged
+const SKIPPED_FIELDS = ['schemaVersion', 'source', 'method', 'liveDuration', 'liveDurationSeconds'];
+
+const isPresent = (value) => {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  return !Array.isArray(value) || value.length > 0;
+};
+
+const findLiveConflict = (candidates) => {
+  const values = Object.fromEntries(candidates.map(({ result }) => [result.source, result.isLiveNow]));
+  return new Set(Object.values(values)).size > 1 ? { field: 'isLiveNow', values } : null;
+};
+
+const findViewerConflict = (candidates) => {
+  const counted = candidates.filter(({ result }) => result.concurrentViewers !== null);
+  if (counted.length < 2) {
+    return null;
+  }
+
+  const counts = counted.map(({ result }) => result.concurrentViewers);
+  const highest = Math.max(...counts);
+  const lowest = Math.min(...counts);
+  if (highest === 0 || (highest - lowest) / highest <= VIEWER_CONFLICT_TOLERANCE) {
+    return null;
+  }
+
+  return {
+    field: 'concurrentViewers',
+    values: Object.fromEntries(counted.map(({ result }) => [result.source, result.concurrentViewers]))
+  };
+};
+
+/**
+ * @param {Array<{ result: object, conclusive: boolean }>} candidates normalized results in chain order
+ */
+export const mergeMetadata = (candidates) => {
+  const primaryIndex = Math.max(candidates.findIndex(candidate => candidate.conclusive), 0);
+  const ordered = [candidates[primaryIndex], ...candidates.filter((_, index) => index !== primaryIndex)];
+  const primary = ordered[0].result;
+
+  const merged = {};
+  const fieldSources = {};
+
+  for (const field of Object.keys(primary)) {
+    // viewerCountType travels with concurrentViewers below
+    if (SKIPPED_FIELDS.includes(field) || field === 'viewerCountType') {
+      continue;
+    }
+
+    // The live flag is never filled in: the primary source decides it
+    const donor = field === 'isLiveNow'
+      ? primary
+      : ordered.find(({ result }) => isPresent(result[field]))?.result;
+
+    merged[field] = donor ? donor[field] : primary[field];
+    fieldSources[field] = donor ? donor.source : null;
+
+    // Viewer counts only make sense together with their count type
+    if (field === 'concurrentViewers') {
+      merged.viewerCountType = (donor || primary).viewerCountType;
+      fieldSources.viewerCountType = fieldSources.concurrentViewers;
+    }
+  }
+
+  // Recompute derived fields (liveDuration) from the merged values
+  const result = normalizeMetadata({ ...merged, method: 'merged' }, 'merged');
+
+  return {
+    ...result,
+    sources: ordered.map(({ result }) => result.source),
+    fieldSources,
+    conflicts: [findLiveConflict(ordered), findViewerConflict(ordered)].filter(Boolean)
+  };
+};
@@ -0,0 +1,253 @@
+/**
+ * Canonical Metadata Schema
+ * Every extractor's raw output is passed through normalizeMetadata() so clients
+ * always get the same fields with the same types, whichever method answered:
+ *
+ *   schemaVersion        number, bumped on breaking changes
+ *   source               extractor that produced the data (method is kept as an alias)
+ *   videoId, channelId   string | null
+ *   title, channelName   string | null
+ *   description          string | null, first 300 characters
+ *   liveStatus           'none' | 'upcoming' | 'live' | 'post_live' | 'was_live' | 'premiere'
+ *   isLiveNow            boolean, true only while a stream (or premiere) is actually playing
+ *   isLiveContent        boolean
+ *   concurrentViewers    integer | null
+ *   viewerCountType      'concurrent_viewers' | 'total_views' | 'not_live' | 'unknown'
+ *   thumbnails           [{ url, width, height }]
+ *   tags                 string[], at most 20
+ *   scheduledStartTime   ISO 8601 string | null, for upcoming streams and premieres
+ *   actualStartTime      ISO 8601 string | null
+ *   duration             integer seconds | null (video length)
+ *   liveDuration         'H:MM:SS' / 'M:SS' elapsed since actualStartTime while live
+ *   liveDurationSeconds  integer | null
+ *   liveChatEnabled      boolean | null
+ *   liveChat             object | null
+ *
+ * Results of the merge strategy (source 'merged') additionally carry
+ * sources, fieldSources and conflicts - see metadataMerger.js.
+ *
+ * Uploads lookups answer with a video list instead, see normalizeVideoList():
+ *   schemaVersion, source, method
+ *   channelId, channelName   string | null
+ *   videos                   newest first: [{ videoId, channelId, title,
+ *                            description, publishedAt, updatedAt, thumbnails, viewCount }]
+ */
+
+export const METADATA_SCHEMA_VERSION = 2;
+
+export const LIVE_STATUSES = ['none', 'upcoming', 'live', 'post_live', 'was_live', 'premiere'];
+
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_TAGS = 20;
+
+export const formatDuration = (totalSeconds) => {
+  if (!Number.isFinite(totalSeconds) || totalSeconds < 0) {
+    return null;
+  }
+
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Accepts seconds as a number, "123", "123s", "1:02:03" or ISO 8601 "PT1H2M3S"
+ */
+export const parseDurationSeconds = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  }
+
+  const text = String(value).trim();
+
+  if (/^\d+s?$/.test(text)) {
+    return parseInt(text);
+  }
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+  }
+
+  const iso = text.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (iso && text !== 'P' && text !== 'PT') {
+    const [, days, hours, minutes, seconds] = iso.map(part => parseInt(part) || 0);
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  }
+
+  return null;
+};
+
+/**
+ * Accepts Date, ISO strings, epoch seconds or epoch milliseconds
+ */
+export const toIsoDate = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let date;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const epoch = Number(value);
+    // Anything below 1e12 is epoch seconds (1e12 ms is September 2001)
+    date = new Date(epoch < 1e12 ? epoch * 1000 : epoch);
+  } else {
+    date = new Date(value);
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Accepts numbers and text such as "1,234" or "1.234 watching now"
+ */
+export const toCount = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.floor(value) : null;
+  }
+
+  const digits = String(value?.text ?? value).replace(/[^\d]/g, '');
+  return digits ? parseInt(digits) : null;
+};
+
+/**
+ * Map the flags every extractor can read from YouTube onto one live status
+ * A premiere is video content (not live content) that is scheduled or playing;
+ * only explicit isLiveContent === false counts, since not every source reports it.
+ */
+export const deriveLiveStatus = ({ isLive, isUpcoming, isPostLive, isLiveContent, hasEnded }) => {
+  if (isLiveContent === false && (isLive || isUpcoming)) {
+    return 'premiere';
+  }
+  if (isUpcoming) {
+    return 'upcoming';
+  }
+  if (isLive) {
+    return 'live';
+  }
+  if (isPostLive) {
+    return 'post_live';
+  }
+  if (isLiveContent || hasEnded) {
+    return 'was_live';
+  }
+  return 'none';
+};
+
+const resolveLiveStatus = (raw) => {
+  if (LIVE_STATUSES.includes(raw.liveStatus)) {
+    return raw.liveStatus;
+  }
+  return raw.isLiveNow === true ? 'live' : 'none';
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value?.text ?? value).trim();
+  return text || null;
+};
+
+const normalizeThumbnails = (thumbnails) => (Array.isArray(thumbnails) ? thumbnails : [])
+  .filter(thumbnail => thumbnail?.url)
+  .map(thumbnail => ({
+    url: thumbnail.url,
+    width: toCount(thumbnail.width),
+    height: toCount(thumbnail.height)
+  }));
+
+export const normalizeMetadata = (raw, source = null) => {
+  if (!raw) {
+    return null;
+  }
+
+  const liveStatus = resolveLiveStatus(raw);
+  // Upcoming streams are never live, whatever an extractor's flags said
+  const isLiveNow = liveStatus === 'live' || (liveStatus === 'premiere' && raw.isLiveNow === true);
+  const actualStartTime = liveStatus === 'upcoming' ? null : toIsoDate(raw.actualStartTime);
+  const concurrentViewers = toCount(raw.concurrentViewers);
+
+  let liveDurationSeconds = null;
+  if (isLiveNow && actualStartTime) {
+    liveDurationSeconds = Math.max(0, Math.floor((Date.now() - Date.parse(actualStartTime)) / 1000));
+  }
+
+  const description = toText(raw.description);
+
+  return {
+    schemaVersion: METADATA_SCHEMA_VERSION,
+    source: source || raw.source || raw.method || null,
+    method: raw.method || source || null,
+    videoId: raw.videoId || null,
+    channelId: raw.channelId || null,
+    title: toText(raw.title),
+    channelName: toText(raw.channelName),
+    description: description ? description.substring(0, MAX_DESCRIPTION_LENGTH) : null,
+    liveStatus,
+    isLiveNow,
+    isLiveContent: raw.isLiveContent === true || ['live', 'upcoming', 'post_live', 'was_live'].includes(liveStatus),
+    concurrentViewers,
+    viewerCountType: raw.viewerCountType ||
+      (concurrentViewers === null ? 'unknown' : isLiveNow ? 'concurrent_viewers' : 'total_views'),
+    thumbnails: normalizeThumbnails(raw.thumbnails),
+    tags: (Array.isArray(raw.tags) ? raw.tags : []).map(String).slice(0, MAX_TAGS),
+    scheduledStartTime: ['upcoming', 'premiere'].includes(liveStatus) ? toIsoDate(raw.scheduledStartTime) : null,
+    actualStartTime,
+    duration: parseDurationSeconds(raw.duration),
+    liveDuration: formatDuration(liveDurationSeconds),
+    liveDurationSeconds,
+    liveChatEnabled: typeof raw.liveChatEnabled === 'boolean' ? raw.liveChatEnabled : null,
+    liveChat: raw.liveChat || null
+  };
+};
+
+/**
+ * Raw { channelId, channelName, videos } -> video list in the schema above.
+ * Videos without an ID are dropped; a video's channelId defaults to the list's.
+ */
+export const normalizeVideoList = (raw, source = null) => {
+  if (!raw || !Array.isArray(raw.videos)) {
+    return null;
+  }
+
+  const videos = raw.videos
+    .filter(video => video?.videoId)
+    .map(video => {
+      const description = toText(video.description);
+      return {
+        videoId: video.videoId,
+        channelId: video.channelId || raw.channelId || null,
+        title: toText(video.title),
+        description: description ? description.substring(0, MAX_DESCRIPTION_LENGTH) : null,
+        publishedAt: toIsoDate(video.publishedAt),
+        updatedAt: toIsoDate(video.updatedAt),
+        thumbnails: normalizeThumbnails(video.thumbnails),
+        viewCount: toCount(video.viewCount)
+      };
+    })
+    .sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+
+  return {
+    schemaVersion: METADATA_SCHEMA_VERSION,
+    source: source || raw.source || raw.method || null,
+    method: raw.method || source || null,
+    channelId: raw.channelId || null,
+    channelName: toText(raw.channelName),
+    videos
+  };
+};
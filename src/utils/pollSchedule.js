@@ -0,0 +1,76 @@
+/**
+ * Poll Schedule - how long to wait before checking a watched channel again,
+ * from its current state and the weekly pattern of its past stream starts
+ */
+
+const MINUTE = 60 * 1000;
+const WEEK = 7 * 24 * 60 * MINUTE;
+
+// Scheduled streams are polled fast from a little before their start until well after it (streams start late)
+const SCHEDULED_LEAD = 10 * MINUTE;
+const SCHEDULED_GRACE = 60 * MINUTE;
+
+// Fewer past starts than this is not a pattern yet
+const MIN_PATTERN_STARTS = 3;
+
+// Milliseconds since the start of a (UTC) week, so starts on the same weekday and time line up
+const timeOfWeek = (timestamp) => ((timestamp % WEEK) + WEEK) % WEEK;
+
+// How long from `from` until `to` comes around next, both times of week
+const untilTimeOfWeek = (from, to) => ((to - from) % WEEK + WEEK) % WEEK;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Pick the next poll interval for a channel.
+ *   state       latest live status (null before the first check)
+ *   startTimes  past stream start times (ms) of the channel
+ *   limits      { interval, minInterval, maxInterval, window } in seconds
+ * Resolves to { interval (seconds), reason }; the shortest applicable rule wins:
+ *   live         interval      the end of the stream shows up within one regular poll
+ *   scheduled    minInterval   from SCHEDULED_LEAD before a scheduled start until SCHEDULED_GRACE after it
+ *   usual-start  minInterval   within `window` of the weekday and time a past stream started at
+ *   quiet        up to maxInterval, waking up before the next scheduled or usual start
+ *   default      interval      not enough history to tell
+ */
+export const chooseInterval = ({ state, startTimes = [], now = Date.now(), limits }) => {
+  const { interval, minInterval, maxInterval, window } = limits;
+  const candidates = [];
+
+  if (!state) {
+    candidates.push({ interval, reason: 'default' });
+  } else if (state.isLive) {
+    candidates.push({ interval, reason: 'live' });
+  }
+
+  const scheduledAt = state?.scheduledStartTime ? Date.parse(state.scheduledStartTime) : NaN;
+  if (!state?.isLive && !Number.isNaN(scheduledAt)) {
+    const untilStart = scheduledAt - now;
+    if (untilStart <= SCHEDULED_LEAD && untilStart >= -SCHEDULED_GRACE) {
+      candidates.push({ interval: minInterval, reason: 'scheduled' });
+    } else if (untilStart > SCHEDULED_LEAD) {
+      candidates.push({ interval: clamp((untilStart - SCHEDULED_LEAD) / 1000, minInterval, maxInterval), reason: 'quiet' });
+    }
+  }
+
+  if (startTimes.length >= MIN_PATTERN_STARTS) {
+    const current = timeOfWeek(now);
+    const windowMs = window * 1000;
+    // A past start up to `window` ahead of or behind the current time of week
+    const inWindow = startTimes.some(start => {
+      const distance = untilTimeOfWeek(current, timeOfWeek(start));
+      return distance <= windowMs || WEEK - distance <= windowMs;
+    });
+    if (inWindow) {
+      candidates.push({ interval: minInterval, reason: 'usual-start' });
+    } else {
+      const untilWindow = Math.min(...startTimes.map(start => untilTimeOfWeek(current, timeOfWeek(start)) - windowMs));
+      candidates.push({ interval: clamp(untilWindow / 1000, minInterval, maxInterval), reason: 'quiet' });
+    }
+  } else if (candidates.length === 0) {
+    candidates.push({ interval, reason: 'default' });
+  }
+
+  const chosen = candidates.reduce((best, candidate) => candidate.interval < best.interval ? candidate : best);
+  return { interval: Math.round(chosen.interval), reason: chosen.reason };
+};
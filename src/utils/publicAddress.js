@@ -0,0 +1,118 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+/**
+ * Public address checks for URLs the server sends requests to on a client's
+ * behalf (webhook receivers), so they can't be pointed at the server itself,
+ * its private network or a cloud metadata service.
+ */
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  // Carrier-grade NAT, also home to some cloud metadata services (100.100.100.200)
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  // Link-local, including the 169.254.169.254 metadata service
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // Unique local (fd00:ec2::254 is a metadata service), link-local, multicast
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+// ::ffff:a.b.c.d, which URL parsing turns into ::ffff:xxxx:xxxx
+const MAPPED_IPV4 = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i;
+
+const unmapIpv4 = (address) => {
+  const match = address.match(MAPPED_IPV4);
+  if (!match) {
+    return null;
+  }
+  if (match[1]) {
+    return match[1];
+  }
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+export const isPublicAddress = (address) => {
+  const mapped = unmapIpv4(address);
+  if (mapped) {
+    return isPublicAddress(mapped);
+  }
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const addressError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Rejects unless url is http(s) and its host, or every address its name
+ * resolves to, is public, and resolves to those addresses. The error's code is
+ * NON_PUBLIC_ADDRESS, or UNRESOLVABLE_HOST when the name didn't resolve
+ * (possibly for now only).
+ */
+export const assertPublicUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw addressError(`Unsupported protocol ${protocol}`, 'NON_PUBLIC_ADDRESS');
+  }
+
+  // IPv6 hosts keep their brackets in URL.hostname
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true, verbatim: true })).map(({ address }) => address);
+    } catch {
+      throw addressError(`Host ${host} could not be resolved`, 'UNRESOLVABLE_HOST');
+    }
+  }
+
+  const internal = addresses.find(address => !isPublicAddress(address));
+  if (internal === host) {
+    throw addressError(`${host} is not a public address`, 'NON_PUBLIC_ADDRESS');
+  }
+  if (internal) {
+    throw addressError(`Host ${host} resolves to a non-public address (${internal})`, 'NON_PUBLIC_ADDRESS');
+  }
+  return addresses;
+};
+
+/**
+ * dns.lookup replacement for http(s).request answering with addresses that
+ * were already checked, so the connection goes where assertPublicUrl looked
+ * even if the name resolves elsewhere by now (DNS rebinding). The URL's host
+ * is still sent as Host header and TLS server name.
+ */
+export const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  const candidates = addresses
+    .map(address => ({ address, family: net.isIP(address) }))
+    .filter(({ family }) => !options.family || family === options.family);
+  if (candidates.length === 0) {
+    const error = Object.assign(new Error(`No checked IPv${options.family} address for ${hostname}`), { code: 'ENOTFOUND' });
+    return callback(error);
+  }
+  if (options.all) {
+    return callback(null, candidates);
+  }
+  callback(null, candidates[0].address, candidates[0].family);
+};
@@ -0,0 +1,80 @@
+/**
+ * Single-flight - concurrent calls for the same key share one pending promise
+ * The entry is dropped as soon as the promise settles, so nothing is cached here.
+ *
+ * fn receives an AbortSignal that aborts only once every caller waiting on the
+ * key has aborted its own signal; callers without a signal keep the work alive.
+ * A caller whose signal aborts stops waiting straight away.
+ */
+export class SingleFlight {
+  constructor() {
+    this.inflight = new Map();
+    this.stats = { started: 0, coalesced: 0, cancelled: 0 };
+  }
+
+  run(key, fn, signal = null) {
+    let entry = this.inflight.get(key);
+    if (entry) {
+      this.stats.coalesced++;
+    } else {
+      this.stats.started++;
+      entry = { controller: new AbortController(), waiters: 0, promise: null };
+      const { controller } = entry;
+      entry.promise = Promise.resolve()
+        .then(() => fn(controller.signal))
+        .finally(() => this.release(key, entry));
+      this.inflight.set(key, entry);
+    }
+
+    return this.wait(key, entry, signal);
+  }
+
+  wait(key, entry, signal) {
+    entry.waiters++;
+    if (!signal) {
+      return entry.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.waiters--;
+        if (entry.waiters === 0) {
+          // Nobody is left to use the result: stop the work, and don't let new callers join it
+          this.stats.cancelled++;
+          entry.controller.abort(signal.reason);
+          this.release(key, entry);
+        }
+        reject(signal.reason);
+      };
+
+      if (signal.aborted) {
+        // The shared work may still reject later with nobody listening
+        entry.promise.catch(() => {});
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  release(key, entry) {
+    if (this.inflight.get(key) === entry) {
+      this.inflight.delete(key);
+    }
+  }
+
+  has(key) {
+    return this.inflight.has(key);
+  }
+
+  getStats() {
+    return {
+      inflight: this.inflight.size,
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Time Series - helpers for [timestampMs, value] samples in time order
+ */
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * '30s', '1m', '6h', '1d' -> milliseconds (null when not a duration)
+ */
+export const parseDuration = (value) => {
+  const match = /^(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * UNITS[match[2]];
+};
+
+// Samples with from <= timestamp <= to; either bound may be null
+export const sliceRange = (samples, from = null, to = null) =>
+  samples.filter(([timestamp]) => (from === null || timestamp >= from) && (to === null || timestamp <= to));
+
+/**
+ * Aggregate samples into fixed buckets aligned to the epoch. Buckets without
+ * samples are left out rather than filled in, so gaps show as gaps.
+ */
+export const downsample = (samples, resolution) => {
+  const buckets = [];
+  let current = null;
+  for (const [timestamp, value] of samples) {
+    const start = Math.floor(timestamp / resolution) * resolution;
+    if (!current || current.start !== start) {
+      current = { start, sum: 0, min: value, max: value, count: 0 };
+      buckets.push(current);
+    }
+    current.sum += value;
+    current.min = Math.min(current.min, value);
+    current.max = Math.max(current.max, value);
+    current.count++;
+  }
+
+  return buckets.map(({ start, sum, min, max, count }) => ({
+    timestamp: new Date(start).toISOString(),
+    value: Math.round(sum / count),
+    min,
+    max,
+    samples: count
+  }));
+};
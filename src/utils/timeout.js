@@ -0,0 +1,61 @@
+import { TimeoutError } from './errors.js';
+
+/**
+ * Race a promise against a timer (and optionally an AbortSignal)
+ * Unlike a bare Promise.race with setTimeout, the timer and abort listener are
+ * always released once the race settles. Timing out rejects with a TimeoutError.
+ */
+export const withTimeout = (promise, ms, message, signal = null) => {
+  let timer = null;
+  let onAbort = null;
+
+  const guard = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message)), ms);
+
+    if (signal) {
+      onAbort = () => reject(signal.reason instanceof Error ? signal.reason : new Error('Operation aborted'));
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+  });
+
+  return Promise.race([promise, guard]).finally(() => {
+    clearTimeout(timer);
+    if (onAbort) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  });
+};
+
+/**
+ * Run fn(signal) under a deadline
+ * The signal handed to fn aborts when the deadline passes, when parentSignal
+ * aborts, or once the call settles - so work that loses the race is actually
+ * stopped instead of left running in the background.
+ */
+export const withDeadline = async (fn, ms, message, parentSignal = null) => {
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+
+  if (parentSignal) {
+    if (parentSignal.aborted) {
+      onParentAbort();
+    } else {
+      parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    }
+  }
+
+  try {
+    return await withTimeout(fn(controller.signal), ms, message, controller.signal);
+  } catch (error) {
+    // Stop the work with the same reason the caller sees
+    controller.abort(error);
+    throw error;
+  } finally {
+    parentSignal?.removeEventListener('abort', onParentAbort);
+    controller.abort();
+  }
+};
@@ -1,4 +1,13 @@
+import { setTimeout as sleep } from 'timers/promises';
 import * as cheerio from 'cheerio';
+import { deriveLiveStatus } from './metadataNormalizer.js';
+import feedHelper from './feedHelper.js';
+import { withDeadline } from './timeout.js';
+import { classifyError, errorFromPlayability, YouTubeError } from './errors.js';
+
+// The feed and the newest video's page together get this long, so the
+// /videos page fallback still fits in the webscraping timeout
+const FEED_PROBE_TIMEOUT = 2000;
 
 /**
  * Web Scraping Helper for YouTube Live Detection
@@ -6,6 +15,8 @@ import * as cheerio from 'cheerio';
  */
 class WebScrapingHelper {
   constructor() {
+    this.name = 'webscraping';
+    this.lookupTypes = ['video', 'channel'];
     this.userAgents = [
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
@@ -55,28 +66,40 @@ class WebScrapingHelper {
         return response;
       } catch (error) {
         console.log(`Attempt ${attempt} failed:`, error.message);
-        if (attempt === maxRetries) {
+        // Retrying won't bring back a removed video
+        if (attempt === maxRetries || options.signal?.aborted || classifyError(error).definitive) {
           throw error;
         }
-        // Wait before retry (exponential backoff)
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        // Wait before retry (exponential backoff), unless the lookup is cancelled meanwhile
+        await sleep(1000 * attempt, null, options.signal ? { signal: options.signal } : undefined);
       }
     }
   }
 
-  async getLiveInfo(channelId, videoId = null) {
+  /**
+   * Extractor interface - see services/extractorRegistry.js
+   */
+  async extract({ channelId, videoId }, { signal } = {}) {
+    return await this.getLiveInfo(channelId, videoId, signal);
+  }
+
+  isConclusive() {
+    return true;
+  }
+
+  async getLiveInfo(channelId, videoId = null, signal = null) {
     if (videoId) {
-      return await this.getVideoInfo(videoId);
+      return await this.getVideoInfo(videoId, signal);
     }
 
     if (channelId) {
-      return await this.getChannelLiveInfo(channelId);
+      return await this.getChannelLiveInfo(channelId, signal);
     }
 
     return null;
   }
 
-  async getChannelLiveInfo(channelId) {
+  async getChannelLiveInfo(channelId, signal = null) {
     try {
       console.log(`Getting live info for channel: ${channelId}`);
 
@@ -85,7 +108,7 @@ class WebScrapingHelper {
         const livePageUrl = `https://www.youtube.com/channel/${channelId}/live`;
         console.log(`Checking live page: ${livePageUrl}`);
 
-        const response = await this.fetchWithRetry(livePageUrl, { timeout: 15000 });
+        const response = await this.fetchWithRetry(livePageUrl, { timeout: 15000, signal });
         const html = await response.text();
 
         // Check if redirected to a video (indicates live stream)
@@ -93,7 +116,7 @@ class WebScrapingHelper {
           const videoId = new URL(response.url).searchParams.get('v');
           console.log(`Live page redirected to video: ${videoId}`);
 
-          const videoInfo = await this.getVideoInfo(videoId);
+          const videoInfo = await this.getVideoInfo(videoId, signal);
           return {
             ...videoInfo,
             channelId: channelId
@@ -117,7 +140,7 @@ class WebScrapingHelper {
             const foundVideoId = videoIdMatch[1];
             console.log(`Found potential live video ID in script: ${foundVideoId}`);
 
-            const videoInfo = await this.getVideoInfo(foundVideoId);
+            const videoInfo = await this.getCandidateVideoInfo(foundVideoId, signal);
             if (videoInfo && videoInfo.isLiveNow) {
               return {
                 ...videoInfo,
@@ -132,12 +155,32 @@ class WebScrapingHelper {
         console.log('Live page method failed:', livePageError.message);
       }
 
-      // Method 2: Check channel videos page
+      // Method 2: Check the newest video from the channel feed
+      try {
+        const videoInfo = await withDeadline(async probeSignal => {
+          const [videoId] = await feedHelper.getCandidateVideoIds(channelId, { signal: probeSignal, limit: 1 });
+          console.log(`Checking newest video from channel feed: ${videoId || 'none'}`);
+          return videoId ? await this.getCandidateVideoInfo(videoId, probeSignal) : null;
+        }, FEED_PROBE_TIMEOUT, `Channel feed probe did not finish within ${FEED_PROBE_TIMEOUT}ms`, signal);
+
+        if (videoInfo && videoInfo.isLiveNow) {
+          return {
+            ...videoInfo,
+            channelId: channelId
+          };
+        }
+
+        console.log('No live stream found in channel feed');
+      } catch (feedError) {
+        console.log('Channel feed method failed:', feedError.message);
+      }
+
+      // Method 3: Check channel videos page
       try {
         const channelUrl = `https://www.youtube.com/channel/${channelId}/videos`;
         console.log(`Checking channel videos: ${channelUrl}`);
 
-        const response = await this.fetchWithRetry(channelUrl, { timeout: 15000 });
+        const response = await this.fetchWithRetry(channelUrl, { timeout: 15000, signal });
         const html = await response.text();
         const $ = cheerio.load(html);
 
@@ -166,7 +209,7 @@ class WebScrapingHelper {
               const videoId = match.match(/"videoId":"([a-zA-Z0-9_-]{11})"/)[1];
               console.log(`Checking video ID from channel page: ${videoId}`);
 
-              const videoInfo = await this.getVideoInfo(videoId);
+              const videoInfo = await this.getCandidateVideoInfo(videoId, signal);
               if (videoInfo && videoInfo.isLiveNow) {
                 return {
                   ...videoInfo,
@@ -189,12 +232,21 @@ class WebScrapingHelper {
     }
   }
 
-  async getVideoInfo(videoId) {
+  // Candidate videos found on channel pages: a private or removed one is just skipped
+  async getCandidateVideoInfo(videoId, signal = null) {
+    try {
+      return await this.getVideoInfo(videoId, signal);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getVideoInfo(videoId, signal = null) {
     try {
       console.log(`Getting video info for: ${videoId}`);
       const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
 
-      const response = await this.fetchWithRetry(videoUrl, { timeout: 15000 });
+      const response = await this.fetchWithRetry(videoUrl, { timeout: 15000, signal });
       const html = await response.text();
       const $ = cheerio.load(html);
 
@@ -202,8 +254,11 @@ class WebScrapingHelper {
       const scriptTags = $('script').toArray();
       let videoData = null;
       let isLive = false;
+      // Only set from structured data; the text heuristics below can't tell upcoming or ended streams apart
+      let liveStatus = null;
       let title = null;
       let channelName = null;
+      let videoChannelId = null;
       let viewCount = null;
 
       // Search for video data in scripts
@@ -243,30 +298,43 @@ class WebScrapingHelper {
               const data = JSON.parse(jsonStr);
               console.log(`Video ${videoId}: Successfully parsed JSON data`);
 
+              const playabilityError = errorFromPlayability(data.playabilityStatus);
+              if (playabilityError) {
+                throw playabilityError;
+              }
+
               // Check videoDetails first
               if (data.videoDetails) {
-                isLive = data.videoDetails.isLive || data.videoDetails.isLiveContent || false;
+                const broadcast = data.microformat?.playerMicroformatRenderer?.liveBroadcastDetails;
+                liveStatus = deriveLiveStatus({
+                  isLive: data.videoDetails.isLive || broadcast?.isLiveNow,
+                  isUpcoming: data.videoDetails.isUpcoming,
+                  isLiveContent: data.videoDetails.isLiveContent,
+                  hasEnded: !!broadcast?.endTimestamp
+                });
+                isLive = liveStatus === 'live' || (liveStatus === 'premiere' && !data.videoDetails.isUpcoming);
                 title = data.videoDetails.title;
                 channelName = data.videoDetails.author;
+                videoChannelId = data.videoDetails.channelId || null;
                 viewCount = data.videoDetails.viewCount;
 
-                console.log(`Video ${videoId}: live=${isLive}, title="${title}", method=videoDetails`);
+                console.log(`Video ${videoId}: live=${isLive}, status=${liveStatus}, title="${title}", method=videoDetails`);
               }
 
               // Check streaming data for live indicators
-              if (data.streamingData && !isLive) {
+              if (data.streamingData && !isLive && !liveStatus) {
                 isLive = !!(data.streamingData.hlsManifestUrl || data.streamingData.dashManifestUrl);
                 console.log(`Video ${videoId}: checking streaming data, live=${isLive}`);
               }
 
               // Check microformat
-              if (data.microformat && data.microformat.playerMicroformatRenderer && !isLive) {
+              if (data.microformat && data.microformat.playerMicroformatRenderer && !isLive && !liveStatus) {
                 const microformat = data.microformat.playerMicroformatRenderer;
                 isLive = microformat.isLiveContent || microformat.liveBroadcastDetails?.isLiveNow || false;
                 console.log(`Video ${videoId}: checking microformat, live=${isLive}`);
               }
 
-              if (isLive) {
+              if (isLive || liveStatus === 'upcoming' || liveStatus === 'premiere') {
                 // Extract additional metadata from the same data object
                 let thumbnails = [];
                 let description = null;
@@ -275,74 +343,55 @@ class WebScrapingHelper {
 
                 // Extract thumbnails
                 if (data.videoDetails && data.videoDetails.thumbnail && data.videoDetails.thumbnail.thumbnails) {
-                  thumbnails = data.videoDetails.thumbnail.thumbnails.map(t => ({
-                    url: t.url,
-                    width: t.width,
-                    height: t.height
-                  }));
+                  thumbnails = data.videoDetails.thumbnail.thumbnails;
                 }
 
                 // Extract description
                 if (data.videoDetails && data.videoDetails.shortDescription) {
-                  description = data.videoDetails.shortDescription.substring(0, 300);
+                  description = data.videoDetails.shortDescription;
                 }
 
                 // Extract tags/keywords
                 if (data.videoDetails && data.videoDetails.keywords) {
-                  tags = data.videoDetails.keywords.slice(0, 20);
+                  tags = data.videoDetails.keywords;
                 }
 
-                // Calculate live duration if start time is available
-                let liveDuration = null;
-                let liveDurationSeconds = null;
-                if (data.microformat && data.microformat.playerMicroformatRenderer) {
-                  const microformat = data.microformat.playerMicroformatRenderer;
-                  const startTime = microformat.liveBroadcastDetails?.startTimestamp;
-                  if (startTime) {
-                    const startDate = new Date(startTime);
-                    const now = new Date();
-                    liveDurationSeconds = Math.floor((now - startDate) / 1000);
-
-                    const hours = Math.floor(liveDurationSeconds / 3600);
-                    const minutes = Math.floor((liveDurationSeconds % 3600) / 60);
-                    const seconds = liveDurationSeconds % 60;
-
-                    if (hours > 0) {
-                      liveDuration = `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-                    } else {
-                      liveDuration = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-                    }
-                  }
+                // Extract duration
+                if (data.videoDetails && data.videoDetails.lengthSeconds) {
+                  duration = data.videoDetails.lengthSeconds;
                 }
 
                 return {
                   method: 'webscraping',
                   videoId: videoId,
+                  channelId: videoChannelId,
                   title: title,
                   channelName: channelName,
-                  isLiveNow: true,
-                  concurrentViewers: viewCount ? parseInt(viewCount) : null,
+                  isLiveNow: isLive,
+                  liveStatus: liveStatus || 'live',
+                  concurrentViewers: viewCount,
                   viewerCountType: 'concurrent_viewers',
                   thumbnails: thumbnails,
                   description: description,
                   isLiveContent: true,
                   duration: duration,
-                  liveDuration: liveDuration,
-                  liveDurationSeconds: liveDurationSeconds,
                   tags: tags,
-                  actualStartTime: data.microformat?.playerMicroformatRenderer?.liveBroadcastDetails?.startTimestamp || null
+                  actualStartTime: data.microformat?.playerMicroformatRenderer?.liveBroadcastDetails?.startTimestamp || null,
+                  scheduledStartTime: data.playabilityStatus?.liveStreamability?.liveStreamabilityRenderer?.offlineSlate
+                    ?.liveStreamOfflineSlateRenderer?.scheduledStartTime ||
+                    data.microformat?.playerMicroformatRenderer?.liveBroadcastDetails?.startTimestamp || null
                 };
               }
             }
 
             // Also check for direct isLive mentions in the script
-            if (!isLive && scriptContent.includes('"isLive":true')) {
+            if (!isLive && !liveStatus && scriptContent.includes('"isLive":true')) {
               console.log(`Video ${videoId}: found direct isLive:true in script`);
               isLive = true;
             }
 
             // Additional live indicators for robust detection
-            if (!isLive) {
+            if (!isLive && !liveStatus) {
               const livePatterns = [
                 /"isLiveNow"\s*:\s*true/,
                 /"isLive"\s*:\s*true/,
@@ -363,6 +412,9 @@ class WebScrapingHelper {
             console.log(`Video ${videoId}: Final live status: ${isLive}`);
 
           } catch (parseError) {
+            if (parseError instanceof YouTubeError) {
+              throw parseError;
+            }
             console.log(`Failed to parse video data JSON for ${videoId}:`, parseError.message);
             console.log(`Video ${videoId}: Will try fallback detection methods`);
             // Continue to fallback methods
@@ -380,7 +432,7 @@ class WebScrapingHelper {
       const pageTitle = $('title').text();
       const titleHasLive = /live/i.test(pageTitle);
 
-      if (hasLiveIndicator || titleHasLive) {
+      if (!liveStatus && (hasLiveIndicator || titleHasLive)) {
         console.log(`Video ${videoId} appears to be live based on HTML indicators`);
         isLive = true;
       }
@@ -388,24 +440,19 @@ class WebScrapingHelper {
       return {
         method: 'webscraping',
         videoId: videoId,
+        channelId: videoChannelId,
         title: title || $('title').text().replace(' - YouTube', ''),
         channelName: channelName,
         isLiveNow: isLive,
-        concurrentViewers: viewCount ? parseInt(viewCount) : null,
+        liveStatus: liveStatus || (isLive ? 'live' : 'none'),
+        concurrentViewers: viewCount,
         viewerCountType: isLive ? 'concurrent_viewers' : 'total_views',
-        thumbnails: [],
-        description: null,
-        isLiveContent: isLive,
-        duration: null,
-        liveDuration: null,
-        liveDurationSeconds: null,
-        tags: [],
-        actualStartTime: null
+        isLiveContent: isLive
       };
 
     } catch (error) {
       console.error(`Failed to get video info for ${videoId}:`, error.message);
-      return null;
+      throw classifyError(error);
     }
   }
 }
@@ -1,4 +1,10 @@
 import ytdl from 'ytdl-core';
+import { deriveLiveStatus } from './metadataNormalizer.js';
+import { classifyError, UpstreamBlockedError } from './errors.js';
+import { withDeadline } from './timeout.js';
+
+// ytdl-core hands requestOptions to http.request, which aborts on the signal
+const requestOptions = (signal) => (signal ? { requestOptions: { signal } } : {});
 
 /**
  * YTDL-Core Helper - Fast status checking
@@ -7,9 +13,23 @@ import ytdl from 'ytdl-core';
 class YTDLHelper {
   constructor() {
     // No client initialization needed
+    this.name = 'ytdl-core';
+    this.lookupTypes = ['channel'];
+  }
+
+  /**
+   * Extractor interface - see services/extractorRegistry.js
+   */
+  async extract({ channelId }, { signal } = {}) {
+    return await this.getQuickLiveInfo(channelId, { signal });
+  }
+
+  isConclusive(result) {
+    // Only trusted for positive live detection, "not live" falls through
+    return result.isLiveNow === true;
   }
 
-  async isChannelLive(channelId) {
+  async isChannelLive(channelId, { signal } = {}) {
     try {
       console.log(`YTDL: Checking if channel ${channelId} is live...`);
 
@@ -17,28 +37,29 @@ class YTDLHelper {
       const liveUrl = `https://www.youtube.com/channel/${channelId}/live`;
 
       // Use ytdl to check if the live URL redirects to a video
-      const isLive = await Promise.race([
-        this.checkLiveUrl(liveUrl),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('YTDL timeout')), 3000)
-        )
-      ]);
+      const isLive = await withDeadline(
+        deadlineSignal => this.checkLiveUrl(liveUrl, deadlineSignal),
+        3000,
+        'YTDL timeout',
+        signal
+      );
 
       console.log(`YTDL: Channel ${channelId} live status: ${isLive}`);
       return isLive;
     } catch (error) {
       console.log(`YTDL: Failed to check channel ${channelId}:`, error.message);
-      return false;
+      // Timeouts and bot checks mean we don't know, not that the channel is offline
+      throw classifyError(error);
     }
   }
 
-  async checkLiveUrl(liveUrl) {
+  async checkLiveUrl(liveUrl, signal = null) {
     try {
       // Try to validate the live URL - if it's live, it should redirect to a video
       const isValid = await ytdl.validateURL(liveUrl);
       if (isValid) {
         // If the live URL is valid, try to get basic info
-        const info = await ytdl.getBasicInfo(liveUrl);
+        const info = await ytdl.getBasicInfo(liveUrl, requestOptions(signal));
 
         // Check if it's actually live
         const isLive = info?.videoDetails?.isLiveContent &&
@@ -50,14 +71,17 @@ class YTDLHelper {
       return false;
     } catch (error) {
       // If we can't get info, try alternative approach
-      return await this.checkLiveByVideoId(liveUrl);
+      if (signal?.aborted) {
+        throw error;
+      }
+      return await this.checkLiveByVideoId(liveUrl, signal);
     }
   }
 
-  async checkLiveByVideoId(liveUrl) {
+  async checkLiveByVideoId(liveUrl, signal = null) {
     try {
       // Extract video ID if the live URL redirected to a video
-      const videoInfo = await ytdl.getInfo(liveUrl);
+      const videoInfo = await ytdl.getInfo(liveUrl, requestOptions(signal));
 
       if (videoInfo?.videoDetails) {
         const isLive = videoInfo.videoDetails.isLiveContent &&
@@ -69,23 +93,27 @@ class YTDLHelper {
       return false;
     } catch (error) {
       console.log('YTDL: Video check failed:', error.message);
+      const typed = classifyError(error);
+      if (typed instanceof UpstreamBlockedError || signal?.aborted) {
+        throw typed;
+      }
       return false;
     }
   }
 
-  async getLiveVideoId(channelId) {
+  async getLiveVideoId(channelId, signal = null) {
     try {
       console.log(`YTDL: Getting live video ID for channel ${channelId}`);
 
       const liveUrl = `https://www.youtube.com/channel/${channelId}/live`;
 
       // Try to get the video info from live URL
-      const videoInfo = await Promise.race([
-        ytdl.getInfo(liveUrl),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('YTDL getInfo timeout')), 2000)
-        )
-      ]);
+      const videoInfo = await withDeadline(
+        deadlineSignal => ytdl.getInfo(liveUrl, requestOptions(deadlineSignal)),
+        2000,
+        'YTDL getInfo timeout',
+        signal
+      );
 
       if (videoInfo?.videoDetails?.videoId) {
         const videoId = videoInfo.videoDetails.videoId;
@@ -102,29 +130,36 @@ class YTDLHelper {
       return null;
     } catch (error) {
       console.log(`YTDL: Failed to get live video ID:`, error.message);
+      // A missing /live page just means offline, a bot check means we don't know
+      const typed = classifyError(error);
+      if (typed instanceof UpstreamBlockedError) {
+        throw typed;
+      }
       return null;
     }
   }
 
-  async getQuickLiveInfo(channelId) {
+  async getQuickLiveInfo(channelId, { signal } = {}) {
     try {
       console.log(`YTDL: Getting quick live info for channel ${channelId}`);
 
-      const videoId = await this.getLiveVideoId(channelId);
+      const videoId = await this.getLiveVideoId(channelId, signal);
       if (!videoId) {
         return null;
       }
 
       // Get basic video info
-      const info = await Promise.race([
-        ytdl.getBasicInfo(videoId),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('YTDL basic info timeout')), 2000)
-        )
-      ]);
+      const info = await withDeadline(
+        deadlineSignal => ytdl.getBasicInfo(videoId, requestOptions(deadlineSignal)),
+        2000,
+        'YTDL basic info timeout',
+        signal
+      );
 
       if (info?.videoDetails) {
         const details = info.videoDetails;
+        const broadcast = details.liveBroadcastDetails || {};
+        const isLive = !details.isUpcoming && !!broadcast.isLiveNow;
 
         return {
           method: 'ytdl-core',
@@ -132,20 +167,30 @@ class YTDLHelper {
           channelId: channelId,
           title: details.title,
           channelName: details.author,
-          isLiveNow: details.isLiveContent && !details.isUpcoming &&
-                    details.liveBroadcastDetails?.isLiveNow,
-          concurrentViewers: details.viewCount ? parseInt(details.viewCount) : null,
+          isLiveNow: isLive,
+          liveStatus: deriveLiveStatus({
+            isLive,
+            isUpcoming: details.isUpcoming,
+            isLiveContent: details.isLiveContent,
+            hasEnded: !!broadcast.endTimestamp
+          }),
+          concurrentViewers: details.viewCount || null,
           viewerCountType: 'concurrent_viewers',
           thumbnails: details.thumbnails || [],
-          description: details.description ? details.description.substring(0, 300) : null,
+          description: details.description || null,
           isLiveContent: details.isLiveContent || false,
-          duration: details.lengthSeconds ? `${details.lengthSeconds}s` : null
+          actualStartTime: details.isUpcoming ? null : broadcast.startTimestamp || null,
+          scheduledStartTime: details.isUpcoming ? broadcast.startTimestamp || null : null,
+          duration: details.lengthSeconds || null
         };
       }
 
       return null;
     } catch (error) {
       console.log(`YTDL: Failed to get quick live info:`, error.message);
+      if (error instanceof UpstreamBlockedError) {
+        throw error;
+      }
       return null;
     }
   }
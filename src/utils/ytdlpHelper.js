@@ -1,12 +1,27 @@
-import { execSync } from 'child_process';
+import { execFile } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import { promisify } from 'util';
+import { classifyError } from './errors.js';
+
+// yt-dlp live_status values mapped onto our liveStatus enum
+const YT_DLP_LIVE_STATUSES = {
+  is_live: 'live',
+  is_upcoming: 'upcoming',
+  post_live: 'post_live',
+  was_live: 'was_live',
+  not_live: 'none'
+};
+
+const execFileAsync = promisify(execFile);
 
 /**
  * YT-DLP Helper - Alternative extraction method for bypassing restrictions
  */
 class YtDlpHelper {
   constructor() {
+    this.name = 'yt-dlp';
+    this.lookupTypes = ['video'];
     this.cookieFile = '/tmp/youtube_cookies.txt';
     this.setupCookies();
   }
@@ -46,102 +61,85 @@ class YtDlpHelper {
     }
   }
 
-  async getVideoInfo(videoId) {
+  /**
+   * Extractor interface - see services/extractorRegistry.js
+   */
+  async extract({ videoId }, { signal } = {}) {
+    return await this.getVideoInfo(videoId, signal);
+  }
+
+  isConclusive() {
+    return true;
+  }
+
+  async getVideoInfo(videoId, signal = null) {
     try {
       console.log(`YT-DLP: Getting video info for ${videoId}`);
 
       const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
-      const command = [
-        'yt-dlp',
+      const args = [
         '--dump-json',
         '--no-download',
         '--cookies', this.cookieFile,
-        '--user-agent', '"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36"',
-        '--referer', '"https://www.youtube.com/"',
+        '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        '--referer', 'https://www.youtube.com/',
         '--extractor-args', 'youtube:player_client=web',
         videoUrl
-      ].join(' ');
+      ];
 
       console.log(`YT-DLP: Executing command for ${videoId}`);
 
-      const result = execSync(command, {
+      // Async so the event loop keeps serving requests; the signal kills the child process
+      const { stdout } = await execFileAsync('yt-dlp', args, {
         encoding: 'utf8',
         timeout: 15000, // 15 second timeout
-        maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+        maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+        ...(signal && { signal })
       });
 
-      const videoData = JSON.parse(result);
+      const videoData = JSON.parse(stdout);
       console.log(`YT-DLP: Successfully extracted data for ${videoId}`);
 
-      // Check if it's live
-      const isLive = videoData.is_live ||
-                    videoData.live_status === 'is_live' ||
-                    videoData.live_status === 'is_upcoming' ||
-                    !!videoData.hls_manifest_url ||
-                    !!videoData.dash_manifest_url;
+      // Upcoming streams are not live; manifests are only a hint when live_status is missing
+      const liveStatus = YT_DLP_LIVE_STATUSES[videoData.live_status] ||
+        (videoData.is_live || videoData.hls_manifest_url ? 'live' : 'none');
+      const isLive = liveStatus === 'live';
+      const isUpcoming = liveStatus === 'upcoming';
 
       // Extract thumbnails
-      const thumbnails = (videoData.thumbnails || []).map(thumb => ({
-        url: thumb.url,
-        width: thumb.width || 0,
-        height: thumb.height || 0
-      }));
-
-      // Calculate live duration if applicable
-      let liveDuration = null;
-      let liveDurationSeconds = null;
-      if (isLive && videoData.release_timestamp) {
-        const startTime = new Date(videoData.release_timestamp * 1000);
-        const now = new Date();
-        liveDurationSeconds = Math.floor((now - startTime) / 1000);
-
-        const hours = Math.floor(liveDurationSeconds / 3600);
-        const minutes = Math.floor((liveDurationSeconds % 3600) / 60);
-        const seconds = liveDurationSeconds % 60;
-
-        if (hours > 0) {
-          liveDuration = `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-        } else {
-          liveDuration = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-        }
-      }
+      const thumbnails = videoData.thumbnails || [];
 
       return {
         method: 'yt-dlp',
         videoId: videoId,
+        channelId: videoData.channel_id || null,
         title: videoData.title || null,
         channelName: videoData.uploader || videoData.channel || null,
         isLiveNow: isLive,
+        liveStatus: liveStatus,
         concurrentViewers: videoData.concurrent_viewer_count || videoData.view_count || null,
         viewerCountType: isLive ? 'concurrent_viewers' : 'total_views',
         thumbnails: thumbnails,
-        description: videoData.description ? videoData.description.substring(0, 300) : null,
-        actualStartTime: videoData.release_timestamp ? new Date(videoData.release_timestamp * 1000).toISOString() : null,
-        isLiveContent: isLive,
-        duration: videoData.duration_string || null,
-        liveDuration: liveDuration,
-        liveDurationSeconds: liveDurationSeconds,
-        tags: videoData.tags ? videoData.tags.slice(0, 20) : []
+        description: videoData.description || null,
+        // release_timestamp is the scheduled start for upcoming streams
+        actualStartTime: isUpcoming ? null : videoData.release_timestamp || null,
+        scheduledStartTime: isUpcoming ? videoData.release_timestamp || null : null,
+        isLiveContent: liveStatus !== 'none',
+        duration: videoData.duration ?? videoData.duration_string ?? null,
+        tags: videoData.tags || []
       };
 
     } catch (error) {
       console.error(`YT-DLP: Failed to get video info for ${videoId}:`, error.message);
 
-      // Check if it's a permission/bot detection error
-      if (error.message.includes('Sign in to confirm') ||
-          error.message.includes('not a bot') ||
-          error.message.includes('This video is unavailable')) {
-        console.log(`YT-DLP: Video ${videoId} blocked or unavailable`);
-        return null;
-      }
-
-      throw error;
+      // yt-dlp reports bot checks, private/removed videos and geo blocks on stderr
+      throw classifyError(error);
     }
   }
 
-  async getLiveInfo(channelId, videoId = null) {
+  async getLiveInfo(channelId, videoId = null, signal = null) {
     if (videoId) {
-      return await this.getVideoInfo(videoId);
+      return await this.getVideoInfo(videoId, signal);
     }
 
     // For channel detection, we'll rely on other methods
@@ -0,0 +1,51 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config/environment.js';
+import { requireAdmin } from '../src/middleware/adminAuth.js';
+
+const originalToken = config.ADMIN_TOKEN;
+afterEach(() => {
+  config.ADMIN_TOKEN = originalToken;
+});
+
+// Just enough of req/res for the guard
+const call = (headers = {}) => {
+  const req = { get: (name) => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  requireAdmin(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+};
+
+test('admin routes are disabled without ADMIN_TOKEN', () => {
+  config.ADMIN_TOKEN = null;
+  const { passed, res } = call({ authorization: 'Bearer anything' });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.error.code, 'ADMIN_DISABLED');
+});
+
+test('a wrong or missing token is rejected', () => {
+  config.ADMIN_TOKEN = 'secret-token';
+  assert.equal(call().res.statusCode, 401);
+  assert.equal(call({ authorization: 'Bearer wrong' }).res.body.error.code, 'UNAUTHORIZED');
+});
+
+test('the token is accepted as a bearer token or X-Admin-Token', () => {
+  config.ADMIN_TOKEN = 'secret-token';
+  assert.equal(call({ authorization: 'Bearer secret-token' }).passed, true);
+  assert.equal(call({ 'x-admin-token': 'secret-token' }).passed, true);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAtomFeed } from '../src/utils/atomFeed.js';
+
+const FEED_NAMESPACES = 'xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns:media="http://search.yahoo.com/mrss/" ' +
+  'xmlns:at="http://purl.org/atompub/tombstones/1.0" xmlns="http://www.w3.org/2005/Atom"';
+
+test('reads a fetched channel feed with its media:group', () => {
+  const feed = parseAtomFeed(`<?xml version="1.0" encoding="UTF-8"?>
+<feed ${FEED_NAMESPACES}>
+  <link rel="hub" href="https://pubsubhubbub.appspot.com/"/>
+  <yt:channelId>UCaaaaaaaaaaaaaaaaaaaaaa</yt:channelId>
+  <title>Channel</title>
+  <author><name>Channel</name></author>
+  <entry>
+    <id>yt:video:abcdefghijk</id>
+    <yt:videoId>abcdefghijk</yt:videoId>
+    <yt:channelId>UCaaaaaaaaaaaaaaaaaaaaaa</yt:channelId>
+    <title>First &amp; best</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=abcdefghijk"/>
+    <author><name>Channel</name></author>
+    <published>2026-01-01T10:00:00+00:00</published>
+    <updated>2026-01-02T10:00:00+00:00</updated>
+    <media:group>
+      <media:description>About it</media:description>
+      <media:thumbnail url="https://i.ytimg.com/vi/abcdefghijk/hqdefault.jpg" width="480" height="360"/>
+      <media:community><media:statistics views="1234"/></media:community>
+    </media:group>
+  </entry>
+  <entry><title>No video ID</title></entry>
+</feed>`);
+
+  assert.equal(feed.channelId, 'UCaaaaaaaaaaaaaaaaaaaaaa');
+  assert.equal(feed.title, 'Channel');
+  assert.equal(feed.author, 'Channel');
+  assert.equal(feed.hub, 'https://pubsubhubbub.appspot.com/');
+  assert.deepEqual(feed.entries, [{
+    videoId: 'abcdefghijk',
+    channelId: 'UCaaaaaaaaaaaaaaaaaaaaaa',
+    title: 'First & best',
+    link: 'https://www.youtube.com/watch?v=abcdefghijk',
+    author: 'Channel',
+    published: '2026-01-01T10:00:00+00:00',
+    updated: '2026-01-02T10:00:00+00:00',
+    description: 'About it',
+    thumbnails: [{ url: 'https://i.ytimg.com/vi/abcdefghijk/hqdefault.jpg', width: 480, height: 360 }],
+    views: 1234
+  }]);
+  assert.deepEqual(feed.deleted, []);
+});
+
+test('reads a pushed deleted-entry', () => {
+  const feed = parseAtomFeed(`<feed ${FEED_NAMESPACES}>
+  <at:deleted-entry ref="yt:video:abcdefghijk" when="2026-01-03T10:00:00+00:00">
+    <link href="https://www.youtube.com/watch?v=abcdefghijk"/>
+  </at:deleted-entry>
+  <at:deleted-entry ref="yt:playlist:other" when="2026-01-03T10:00:00+00:00"/>
+</feed>`);
+
+  assert.deepEqual(feed.entries, []);
+  assert.deepEqual(feed.deleted, [{ videoId: 'abcdefghijk', deletedAt: '2026-01-03T10:00:00+00:00' }]);
+});
+
+test('a document that is not a feed has no entries', () => {
+  const feed = parseAtomFeed('<html><body>nope</body></html>');
+  assert.deepEqual(feed.entries, []);
+  assert.deepEqual(feed.deleted, []);
+  assert.equal(feed.channelId, null);
+});
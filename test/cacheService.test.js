@@ -0,0 +1,199 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import cacheService from '../src/services/cacheService.js';
+import { cacheConfig } from '../src/config/cache.js';
+import { NotFoundError, OfflineError, TimeoutError, UpstreamBlockedError, UpstreamError } from '../src/utils/errors.js';
+
+let now;
+let keyCount = 0;
+
+// Every test gets its own key and a clock that only moves when told to
+beforeEach((t) => {
+  now = Date.parse('2026-01-01T00:00:00Z') + keyCount * 24 * 60 * 60 * 1000;
+  t.mock.method(Date, 'now', () => now);
+});
+
+const newKey = () => cacheService.generateKey('test', `key${++keyCount}`);
+const advance = (seconds) => {
+  now += seconds * 1000;
+};
+// Lets a background revalidation run to completion
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const window = { softTtl: 10, hardTtl: 60 };
+
+test('fresh entries are served from the cache', async (t) => {
+  const key = newKey();
+  const fetch = t.mock.fn(async () => 'v1');
+
+  const first = await cacheService.getOrSetEntry(key, fetch, window);
+  assert.equal(first.value, 'v1');
+  assert.equal(first.cached, false);
+  assert.equal(first.freshUntil, now + 10 * 1000);
+  assert.equal(first.expiresAt, now + 60 * 1000);
+
+  advance(9);
+  const second = await cacheService.getOrSetEntry(key, fetch, window);
+  assert.equal(second.value, 'v1');
+  assert.equal(second.cached, true);
+  assert.equal(second.stale, false);
+  assert.equal(fetch.mock.calls.length, 1);
+});
+
+test('past the soft TTL the stale value is served and refreshed in the background', async (t) => {
+  const key = newKey();
+  let version = 0;
+  const fetch = t.mock.fn(async () => `v${++version}`);
+  await cacheService.getOrSetEntry(key, fetch, window);
+
+  advance(15);
+  const [stale, concurrent] = await Promise.all([
+    cacheService.getOrSetEntry(key, fetch, window),
+    cacheService.getOrSetEntry(key, fetch, window)
+  ]);
+  assert.equal(stale.value, 'v1');
+  assert.equal(stale.stale, true);
+  assert.equal(stale.cached, true);
+  assert.equal(concurrent.value, 'v1');
+
+  await settle();
+  // One refresh for both stale hits
+  assert.equal(fetch.mock.calls.length, 2);
+  const refreshed = await cacheService.getOrSetEntry(key, fetch, window);
+  assert.equal(refreshed.value, 'v2');
+  assert.equal(refreshed.stale, false);
+  assert.equal(refreshed.storedAt, now);
+});
+
+test('past the hard TTL the caller waits for a new value', async (t) => {
+  const key = newKey();
+  let version = 0;
+  const fetch = t.mock.fn(async () => `v${++version}`);
+  await cacheService.getOrSetEntry(key, fetch, window);
+
+  advance(61);
+  const entry = await cacheService.getOrSetEntry(key, fetch, window);
+  assert.equal(entry.value, 'v2');
+  assert.equal(entry.cached, false);
+});
+
+test('maxAge forces a refetch of entries older than it, even fresh ones', async (t) => {
+  const key = newKey();
+  let version = 0;
+  const fetch = t.mock.fn(async () => `v${++version}`);
+  await cacheService.getOrSetEntry(key, fetch, window);
+
+  advance(5);
+  assert.equal((await cacheService.getOrSetEntry(key, fetch, window, { maxAge: 10 })).value, 'v1');
+  const refetched = await cacheService.getOrSetEntry(key, fetch, window, { maxAge: 2 });
+  assert.equal(refetched.value, 'v2');
+  assert.equal(refetched.cached, false);
+  advance(1);
+  assert.equal((await cacheService.getOrSetEntry(key, fetch, window, { maxAge: 0 })).value, 'v3');
+});
+
+test('a failed revalidation keeps serving the stale value', async (t) => {
+  const key = newKey();
+  await cacheService.getOrSetEntry(key, async () => 'v1', window);
+  const failing = t.mock.fn(async () => {
+    throw new Error('socket hang up');
+  });
+
+  advance(15);
+  assert.equal((await cacheService.getOrSetEntry(key, failing, window)).value, 'v1');
+  await settle();
+
+  const again = await cacheService.getOrSetEntry(key, failing, window);
+  assert.equal(again.value, 'v1');
+  assert.equal(again.stale, true);
+  await settle();
+  assert.equal(failing.mock.calls.length, 2);
+});
+
+test('a number TTL has no stale window', async (t) => {
+  const key = newKey();
+  let version = 0;
+  const fetch = t.mock.fn(async () => `v${++version}`);
+  await cacheService.getOrSetEntry(key, fetch, 30);
+
+  advance(29);
+  assert.equal((await cacheService.getOrSetEntry(key, fetch, 30)).stale, false);
+  advance(2);
+  assert.equal((await cacheService.getOrSetEntry(key, fetch, 30)).value, 'v2');
+});
+
+const failWith = (t, error) => t.mock.fn(async () => {
+  throw error;
+});
+
+test('offline results are cached for their own TTL and rethrown marked as cached', async (t) => {
+  const key = newKey();
+  const fetch = failWith(t, new OfflineError('Channel is not live'));
+
+  await assert.rejects(cacheService.getOrSetEntry(key, fetch, 300), error => error instanceof OfflineError && !error.cached);
+  await assert.rejects(cacheService.getOrSetEntry(key, fetch, 300), error =>
+    error instanceof OfflineError && error.cached === true && error.message === 'Channel is not live');
+  assert.equal(fetch.mock.calls.length, 1);
+
+  const entry = await cacheService.inspect(key);
+  assert.deepEqual(entry.negative, { code: 'OFFLINE', message: 'Channel is not live' });
+  assert.equal(entry.ttlRemaining, cacheConfig.negativeTtl.offline);
+
+  advance(cacheConfig.negativeTtl.offline + 1);
+  await assert.rejects(cacheService.getOrSetEntry(key, fetch, 300), error => !error.cached);
+  assert.equal(fetch.mock.calls.length, 2);
+});
+
+test('not-found results use their own TTL, capped at the entry\'s hard TTL', async (t) => {
+  const key = newKey();
+  const fetch = failWith(t, new NotFoundError('Video not found'));
+
+  await assert.rejects(cacheService.getOrSetEntry(key, fetch, 24 * 60 * 60), NotFoundError);
+  assert.equal((await cacheService.inspect(key)).ttlRemaining, cacheConfig.negativeTtl.notFound);
+  advance(cacheConfig.negativeTtl.notFound - 1);
+  await assert.rejects(cacheService.getOrSetEntry(key, fetch, 24 * 60 * 60), error => error.cached === true);
+  assert.equal(fetch.mock.calls.length, 1);
+
+  const shortKey = newKey();
+  await assert.rejects(cacheService.getOrSetEntry(shortKey, fetch, 20), NotFoundError);
+  assert.equal((await cacheService.inspect(shortKey)).ttlRemaining, 20);
+});
+
+test('negative results are not served stale', async (t) => {
+  const key = newKey();
+  const fetch = failWith(t, new OfflineError());
+  await assert.rejects(cacheService.getOrSetEntry(key, fetch, { softTtl: 5, hardTtl: 300 }), OfflineError);
+
+  advance(cacheConfig.negativeTtl.offline - 1);
+  await assert.rejects(cacheService.getOrSetEntry(key, fetch, { softTtl: 5, hardTtl: 300 }), error => error.cached === true);
+  await settle();
+  // No background refresh was started for it
+  assert.equal(fetch.mock.calls.length, 1);
+});
+
+for (const error of [
+  new TimeoutError('Extractors timed out before YouTube answered'),
+  new UpstreamBlockedError(),
+  new UpstreamError('Every extractor that ran failed'),
+  new Error('socket hang up')
+]) {
+  test(`${error.code || 'an untyped error'} is never negative-cached`, async (t) => {
+    const key = newKey();
+    const fetch = failWith(t, error);
+
+    await assert.rejects(cacheService.getOrSetEntry(key, fetch, 300));
+    assert.equal(await cacheService.inspect(key), null);
+    await assert.rejects(cacheService.getOrSetEntry(key, fetch, 300), rejected => !rejected.cached);
+    assert.equal(fetch.mock.calls.length, 2);
+  });
+}
+
+test('a failed revalidation does not replace a live value with a negative one it can\'t cache', async (t) => {
+  const key = newKey();
+  await cacheService.getOrSetEntry(key, async () => ({ isLiveNow: true }), window);
+
+  advance(15);
+  await cacheService.getOrSetEntry(key, failWith(t, new TimeoutError()), window);
+  await settle();
+  assert.deepEqual((await cacheService.getOrSetEntry(key, async () => null, window)).value, { isLiveNow: true });
+});
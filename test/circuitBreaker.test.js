@@ -0,0 +1,85 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../src/utils/circuitBreaker.js';
+
+beforeEach(() => {
+  // open()/close() announce themselves on the console
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'log', () => {});
+});
+
+const options = { windowSize: 10, failureThreshold: 3, minSuccessRate: 0.5, minSamples: 6, cooldown: 1000, slowLatency: 1000 };
+
+test('opens after failureThreshold consecutive failures', () => {
+  const breaker = new CircuitBreaker('test', options);
+  breaker.recordFailure(10, new Error('one'));
+  breaker.recordFailure(10, new Error('two'));
+  assert.equal(breaker.state, 'closed');
+  breaker.recordFailure(10, new Error('three'));
+
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.canRequest(), false);
+  assert.equal(breaker.getStatus().lastError, 'three');
+  assert.equal(breaker.getStatus().totals.skipped, 1);
+  assert.equal(breaker.getHealthScore(), 0);
+});
+
+test('opens when the success rate drops below minSuccessRate', () => {
+  const breaker = new CircuitBreaker('test', options);
+  for (let i = 0; i < 6; i++) {
+    if (i % 3 === 0) {
+      breaker.recordSuccess(10);
+    } else {
+      breaker.recordFailure(10);
+    }
+  }
+  assert.equal(breaker.state, 'open');
+});
+
+test('lets one probe through after the cooldown; success closes it', () => {
+  const breaker = new CircuitBreaker('test', options);
+  for (let i = 0; i < 3; i++) {
+    breaker.recordFailure(10);
+  }
+  breaker.openedAt -= options.cooldown;
+
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.state, 'half_open');
+  // Only one probe at a time
+  assert.equal(breaker.canRequest(), false);
+
+  breaker.recordSuccess(10);
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.getStatus().samples, 0);
+});
+
+test('a failed probe re-opens it, a cancelled one frees the slot', () => {
+  const breaker = new CircuitBreaker('test', options);
+  for (let i = 0; i < 3; i++) {
+    breaker.recordFailure(10);
+  }
+  breaker.openedAt -= options.cooldown;
+
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordCancelled();
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure(10);
+  assert.equal(breaker.state, 'open');
+});
+
+test('health score discounts slow extractors by up to half', () => {
+  const breaker = new CircuitBreaker('test', options);
+  breaker.recordSuccess(500);
+  assert.equal(breaker.getHealthScore(), 0.75);
+  breaker.recordSuccess(5000);
+  assert.equal(breaker.getHealthScore(), 0.5);
+});
+
+test('the window keeps only the last windowSize outcomes', () => {
+  const breaker = new CircuitBreaker('test', { ...options, minSamples: 100 });
+  for (let i = 0; i < 15; i++) {
+    breaker.recordSuccess(10);
+  }
+  assert.equal(breaker.getStatus().samples, 10);
+  assert.equal(breaker.getStatus().totals.requests, 15);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyError,
+  errorFromPlayability,
+  YouTubeError,
+  NotFoundError,
+  PrivateError,
+  AgeRestrictedError,
+  RegionBlockedError,
+  UpstreamError,
+  UpstreamBlockedError,
+  TimeoutError,
+  OfflineError,
+  CancelledError
+} from '../src/utils/errors.js';
+
+// [error class, code, HTTP status, definitive]
+const TAXONOMY = [
+  [NotFoundError, 'NOT_FOUND', 404, true],
+  [PrivateError, 'PRIVATE', 403, true],
+  [AgeRestrictedError, 'AGE_RESTRICTED', 403, true],
+  [RegionBlockedError, 'REGION_BLOCKED', 451, true],
+  [UpstreamError, 'UPSTREAM_ERROR', 502, false],
+  [UpstreamBlockedError, 'UPSTREAM_BLOCKED', 502, false],
+  [TimeoutError, 'TIMEOUT', 504, false],
+  [OfflineError, 'OFFLINE', 404, false],
+  [CancelledError, 'CANCELLED', 499, false]
+];
+
+for (const [ErrorClass, code, statusCode, definitive] of TAXONOMY) {
+  test(`${ErrorClass.name} is ${code} / ${statusCode}${definitive ? ', definitive' : ''}`, () => {
+    const error = new ErrorClass();
+    assert.ok(error instanceof YouTubeError);
+    assert.equal(error.name, ErrorClass.name);
+    assert.equal(error.code, code);
+    assert.equal(error.statusCode, statusCode);
+    assert.equal(error.definitive, definitive);
+  });
+}
+
+// Upstream messages as the helpers and libraries report them
+const MESSAGES = [
+  ['Sign in to confirm your age', AgeRestrictedError],
+  ['This video may be inappropriate for some users.', AgeRestrictedError],
+  ['Private video', PrivateError],
+  ['This video is private', PrivateError],
+  ['The uploader has not made this video available in your country', RegionBlockedError],
+  ["Sign in to confirm you're not a bot", UpstreamBlockedError],
+  ['Status code: 429 HTTP 429 Too Many Requests', UpstreamBlockedError],
+  ['Please solve this captcha', UpstreamBlockedError],
+  ['Video unavailable', NotFoundError],
+  ['This video has been removed by the uploader', NotFoundError],
+  ['HTTP 404: Not Found', NotFoundError],
+  ['innertube timeout after 8000ms', TimeoutError],
+  ['Request timed out', TimeoutError]
+];
+
+for (const [message, ErrorClass] of MESSAGES) {
+  test(`classifyError: "${message}" -> ${ErrorClass.name}`, () => {
+    const error = classifyError(new Error(message));
+    assert.equal(error.constructor, ErrorClass);
+    assert.equal(error.message, message);
+  });
+}
+
+test('classifyError keeps typed errors and the first line of messages', () => {
+  const typed = new OfflineError('Channel is not live');
+  assert.equal(classifyError(typed), typed);
+  assert.equal(classifyError(new Error('Video unavailable\n    at stack')).message, 'Video unavailable');
+});
+
+test('classifyError turns AbortSignal timeouts into TimeoutError', () => {
+  const error = classifyError(Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' }));
+  assert.ok(error instanceof TimeoutError);
+});
+
+test('classifyError never reports an unknown failure as offline or missing', () => {
+  const original = new Error('socket hang up');
+  assert.equal(classifyError(original), original);
+  assert.ok(!(classifyError(new Error('ECONNRESET')) instanceof YouTubeError));
+});
+
+// [playabilityStatus, reason, expected class (null when playable)]
+const PLAYABILITY = [
+  ['OK', null, null],
+  ['LIVE_STREAM_OFFLINE', 'This live event will begin in 2 hours', null],
+  ['ERROR', 'Video unavailable', NotFoundError],
+  ['AGE_CHECK_REQUIRED', 'Sign in to confirm your age', AgeRestrictedError],
+  ['AGE_VERIFICATION_REQUIRED', null, AgeRestrictedError],
+  ['CONTENT_CHECK_REQUIRED', null, AgeRestrictedError],
+  ['LOGIN_REQUIRED', "Sign in to confirm you're not a bot", UpstreamBlockedError],
+  ['LOGIN_REQUIRED', 'This video is private', PrivateError],
+  ['LOGIN_REQUIRED', 'Sign in to see this video', PrivateError],
+  ['UNPLAYABLE', 'The uploader has not made this video available in your country', RegionBlockedError],
+  ['UNPLAYABLE', 'Playback timed out', PrivateError],
+  ['SOMETHING_NEW', 'Whatever', null]
+];
+
+for (const [status, reason, ErrorClass] of PLAYABILITY) {
+  test(`errorFromPlayability: ${status}${reason ? ` "${reason}"` : ''} -> ${ErrorClass?.name ?? 'playable'}`, () => {
+    const error = errorFromPlayability({ status, reason });
+    if (!ErrorClass) {
+      assert.equal(error, null);
+      return;
+    }
+    assert.equal(error.constructor, ErrorClass);
+    assert.deepEqual(error.details, { playabilityStatus: status });
+  });
+}
+
+test('errorFromPlayability reads youtubei.js messages and a missing status', () => {
+  assert.equal(errorFromPlayability(null), null);
+  const error = errorFromPlayability({ status: 'ERROR', reason: { text: 'Video unavailable' }, messages: ['This video has been removed'] });
+  assert.equal(error.message, 'Video unavailable This video has been removed');
+  assert.equal(errorFromPlayability({ status: 'ERROR' }).message, 'ERROR');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExtractorRegistry } from '../src/services/extractorRegistry.js';
+
+const config = (overrides = {}) => ({
+  disabled: [],
+  timeouts: { fast: 1000, slow: 5000 },
+  breaker: { windowSize: 10, failureThreshold: 3, minSuccessRate: 0.5, minSamples: 5, cooldown: 1000 },
+  chains: {
+    video: [{ name: 'slow', timeout: 5000 }, { name: 'fast', timeout: 1000 }],
+    channel: [{ name: 'fast', timeout: 1000 }, { name: 'missing', timeout: 1000 }]
+  },
+  ...overrides
+});
+
+const extractor = (name, lookupTypes) => ({ name, lookupTypes, extract: async () => null, isConclusive: () => true });
+
+test('register rejects extractors without a name or extract()', () => {
+  const registry = new ExtractorRegistry(config());
+  assert.throws(() => registry.register({ name: 'broken' }), /extract\(\) method/);
+  assert.throws(() => registry.register({ extract: async () => null }), /name/);
+});
+
+test('getChain keeps the configured order and timeouts', () => {
+  const registry = new ExtractorRegistry(config())
+    .register(extractor('fast', ['video', 'channel']))
+    .register(extractor('slow', ['video']));
+
+  const chain = registry.getChain('video');
+  assert.deepEqual(chain.map(step => [step.extractor.name, step.timeout]), [['slow', 5000], ['fast', 1000]]);
+});
+
+test('getChain skips unknown, disabled and unsupporting extractors', () => {
+  const registry = new ExtractorRegistry(config({ disabled: ['slow'] }))
+    .register(extractor('fast', ['video']))
+    .register(extractor('slow', ['video']));
+
+  assert.deepEqual(registry.getChain('video').map(step => step.extractor.name), ['fast']);
+  // fast doesn't handle channels and missing was never registered
+  assert.deepEqual(registry.getChain('channel'), []);
+  assert.deepEqual(registry.getChain('handle'), []);
+});
+
+test('every extractor gets its own breaker, reported by describe()', () => {
+  const registry = new ExtractorRegistry(config({ disabled: ['slow'] }))
+    .register(extractor('fast', ['video']))
+    .register(extractor('slow', ['video']));
+
+  assert.notEqual(registry.getBreaker('fast'), registry.getBreaker('slow'));
+  assert.equal(registry.getBreaker('unknown'), null);
+
+  const description = registry.describe();
+  assert.deepEqual(description.extractors.map(({ name, enabled }) => [name, enabled]), [['fast', true], ['slow', false]]);
+  assert.ok(description.extractors[0].breaker);
+  assert.deepEqual(description.chains.video, [{ name: 'fast', timeout: 1000 }]);
+});
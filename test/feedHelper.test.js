@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import feedHelper from '../src/utils/feedHelper.js';
+
+const entry = (videoId, published) => `<entry>
+    <yt:videoId>${videoId}</yt:videoId>
+    <yt:channelId>UCaaaaaaaaaaaaaaaaaaaaaa</yt:channelId>
+    <title>Video ${videoId}</title>
+    <published>${published}</published>
+  </entry>`;
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <author><name>Channel</name></author>
+  ${entry('older000000', '2026-01-01T10:00:00+00:00')}
+  ${entry('newest00000', '2026-01-03T10:00:00+00:00')}
+  ${entry('middle00000', '2026-01-02T10:00:00+00:00')}
+</feed>`;
+
+test('reads the channel feed into a raw video list', async (t) => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(FEED, { status: 200 }));
+
+  const feed = await feedHelper.getChannelFeed('UCaaaaaaaaaaaaaaaaaaaaaa');
+  assert.equal(fetch.mock.calls[0].arguments[0], 'https://www.youtube.com/feeds/videos.xml?channel_id=UCaaaaaaaaaaaaaaaaaaaaaa');
+  assert.equal(feed.channelName, 'Channel');
+  assert.deepEqual(feed.videos.map(video => video.videoId), ['older000000', 'newest00000', 'middle00000']);
+  assert.equal(feed.videos[0].title, 'Video older000000');
+  assert.equal(feedHelper.isConclusive(feed), true);
+});
+
+test('candidate IDs are the newest videos', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response(FEED, { status: 200 }));
+  assert.deepEqual(await feedHelper.getCandidateVideoIds('UCaaaaaaaaaaaaaaaaaaaaaa', { limit: 2 }), ['newest00000', 'middle00000']);
+});
+
+test('an unknown channel rejects with its HTTP status', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('Not Found', { status: 404, statusText: 'Not Found' }));
+  await assert.rejects(feedHelper.getChannelFeed('UCzzzzzzzzzzzzzzzzzzzzzz'), { message: 'HTTP 404: Not Found' });
+});
@@ -0,0 +1,38 @@
+import { spawn } from 'child_process';
+import { once } from 'events';
+
+/**
+ * Start one of the scripts/*-standin.js servers on port and resolve with the
+ * child process once it is listening
+ */
+export const startStandin = async (script, env) => {
+  const child = spawn(process.execPath, [new URL(`../../scripts/${script}`, import.meta.url).pathname], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  child.stdout.setEncoding('utf8');
+
+  let output = '';
+  while (!output.includes('listening')) {
+    const [chunk] = await Promise.race([
+      once(child.stdout, 'data'),
+      once(child, 'exit').then(() => {
+        throw new Error(`${script} exited before listening`);
+      })
+    ]);
+    output += chunk;
+  }
+  // Keep draining so the child never blocks on a full pipe
+  child.stdout.resume();
+  return child;
+};
+
+export const stopStandin = async (child) => {
+  if (child.exitCode === null) {
+    child.kill();
+    await once(child, 'exit');
+  }
+};
+
+// A port in the dynamic range, different for every test file
+export const randomPort = () => 20000 + Math.floor(Math.random() * 20000);
@@ -0,0 +1,92 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import { httpCache } from '../src/middleware/httpCache.js';
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+let server;
+let baseUrl;
+// What the route answers with, set by each test
+let payload;
+let cacheEntry;
+
+before(async () => {
+  const app = express();
+  app.get('/value', httpCache, (req, res) => {
+    res.locals.cacheEntry = cacheEntry;
+    res.json({ ...payload, cached: Boolean(cacheEntry), timestamp: new Date().toISOString() });
+  });
+  app.post('/value', httpCache, (req, res) => res.json(payload));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach((t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  payload = { success: true, isLive: true, title: 'Stream' };
+  cacheEntry = null;
+});
+
+const get = (headers = {}) => fetch(`${baseUrl}/value`, { headers });
+
+// fetch() adds Cache-Control: no-cache to conditional requests, which always gets a full answer
+const conditionalGet = (etag) => new Promise((resolve, reject) => {
+  http.get(`${baseUrl}/value`, { headers: { 'If-None-Match': etag } }, response => {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => { body += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+  }).on('error', reject);
+});
+
+test('the same payload gets the same weak ETag, whatever its timestamp and cache flags', async () => {
+  const first = await get();
+  cacheEntry = { freshUntil: NOW + 30 * 1000, expiresAt: NOW + 90 * 1000 };
+  const second = await get();
+
+  assert.match(first.headers.get('etag'), /^W\/"[\w-]+"$/);
+  assert.equal(second.headers.get('etag'), first.headers.get('etag'));
+});
+
+test('a matching If-None-Match answers 304 without a body', async () => {
+  const etag = (await get()).headers.get('etag');
+  const response = await conditionalGet(etag);
+
+  assert.equal(response.status, 304);
+  assert.equal(response.body, '');
+});
+
+test('a changed value changes the ETag and is sent in full', async () => {
+  const etag = (await get()).headers.get('etag');
+  payload = { ...payload, title: 'Renamed' };
+  const response = await conditionalGet(etag);
+
+  assert.equal(response.status, 200);
+  assert.notEqual(response.headers.etag, etag);
+  assert.equal(JSON.parse(response.body).title, 'Renamed');
+});
+
+test('fresh entries may be reused until their soft TTL, then served stale until the hard TTL', async () => {
+  cacheEntry = { freshUntil: NOW + 30 * 1000, expiresAt: NOW + 90 * 1000 };
+  assert.equal((await get()).headers.get('cache-control'), 'public, max-age=30, stale-while-revalidate=60');
+});
+
+test('a stale entry may not be reused without revalidating', async () => {
+  cacheEntry = { freshUntil: NOW - 10 * 1000, expiresAt: NOW + 50 * 1000, stale: true };
+  assert.equal((await get()).headers.get('cache-control'), 'public, max-age=0, stale-while-revalidate=50');
+});
+
+test('responses without a cache entry must be revalidated', async () => {
+  assert.equal((await get()).headers.get('cache-control'), 'no-cache');
+});
+
+test('other methods get no Cache-Control', async () => {
+  const response = await fetch(`${baseUrl}/value`, { method: 'POST' });
+  assert.equal(response.headers.get('cache-control'), null);
+});
@@ -0,0 +1,48 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import innertubeHelper from '../src/utils/innertubeHelper.js';
+
+const CHANNEL_ID = 'UCaaaaaaaaaaaaaaaaaaaaaa';
+const VIDEO_ID = 'vvvvvvvvvvv';
+
+const liveInfo = { videoId: VIDEO_ID, title: 'Stream', channelName: 'Channel', isLiveNow: true, liveStatus: 'live' };
+
+beforeEach((t) => {
+  mock.method(console, 'log', () => {});
+  // A client that is already initialized; chat lookups go through getInfo
+  const client = { getInfo: t.mock.fn(async () => ({ basic_info: { is_live: true }, livechat: { is_replay: false } })) };
+  innertubeHelper.client = client;
+  t.after(() => {
+    innertubeHelper.client = null;
+  });
+  t.mock.method(innertubeHelper, 'getLivePageVideoId', async () => VIDEO_ID);
+});
+
+test('a channel lookup checks the live video\'s chat', async (t) => {
+  t.mock.method(innertubeHelper, 'getCandidateVideoInfo', async () => liveInfo);
+
+  const result = await innertubeHelper.extract({ channelId: CHANNEL_ID }, { signal: new AbortController().signal });
+  assert.equal(result.liveChatEnabled, true);
+  assert.deepEqual(innertubeHelper.client.getInfo.mock.calls.map(call => call.arguments[0]), [VIDEO_ID]);
+});
+
+test('an aborted channel lookup does not continue into the chat fetch', async (t) => {
+  const controller = new AbortController();
+  // The lookup is cancelled while the live video is being looked up
+  t.mock.method(innertubeHelper, 'getCandidateVideoInfo', async () => {
+    controller.abort();
+    return liveInfo;
+  });
+
+  await innertubeHelper.extract({ channelId: CHANNEL_ID }, { signal: controller.signal }).catch(() => {});
+  assert.equal(innertubeHelper.client.getInfo.mock.calls.length, 0);
+});
+
+test('the chat fetch follows the signal it is given', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  assert.equal(await innertubeHelper.getLiveChatData(VIDEO_ID, { signal: controller.signal }), null);
+  assert.equal(innertubeHelper.client.getInfo.mock.calls.length, 0);
+
+  assert.deepEqual(await innertubeHelper.getLiveChatData(VIDEO_ID), { isEnabled: true, isReplay: false });
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { patternToRegExp } from '../src/services/cache/keyPattern.js';
+
+test('* matches any run of characters, ? exactly one', () => {
+  const pattern = patternToRegExp('youtube:video:*');
+  assert.ok(pattern.test('youtube:video:abcdefghijk'));
+  assert.ok(pattern.test('youtube:video:'));
+  assert.ok(!pattern.test('youtube:channel:UC1'));
+
+  const single = patternToRegExp('youtube:?:x');
+  assert.ok(single.test('youtube:a:x'));
+  assert.ok(!single.test('youtube:ab:x'));
+});
+
+test('other characters match literally', () => {
+  const pattern = patternToRegExp('youtube:lookup.(video)+[1]');
+  assert.ok(pattern.test('youtube:lookup.(video)+[1]'));
+  assert.ok(!pattern.test('youtube:lookupX(video)+[1]'));
+});
+
+test('the default pattern matches everything', () => {
+  assert.ok(patternToRegExp().test('anything at all'));
+});
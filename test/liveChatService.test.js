@@ -0,0 +1,142 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+import liveChatService from '../src/services/liveChatService.js';
+import youtubeService from '../src/services/youtubeService.js';
+import innertubeHelper from '../src/utils/innertubeHelper.js';
+import { OfflineError, TimeoutError } from '../src/utils/errors.js';
+
+// Stands in for a youtubei.js LiveChat: start() answers with the messages already in the chat
+class FakeChat extends EventEmitter {
+  constructor(initial = []) {
+    super();
+    this.initial = initial;
+    this.stopped = false;
+  }
+
+  start() {
+    setImmediate(() => this.emit('start', { actions: this.initial }));
+  }
+
+  stop() {
+    this.stopped = true;
+  }
+}
+
+const addAction = (id, text) => ({ type: 'AddChatItemAction', item: { id, text, timestamp: Date.now() } });
+
+// Emits 'close' like a ws socket when the test says the client went away
+const fakeSocket = () => Object.assign(new EventEmitter(), {
+  readyState: WebSocket.OPEN,
+  bufferedAmount: 0,
+  frames: [],
+  closedWith: null,
+  send(data) {
+    this.frames.push(JSON.parse(data));
+  },
+  close(code) {
+    this.closedWith = code;
+  }
+});
+
+beforeEach((t) => {
+  t.mock.method(innertubeHelper, 'formatChatItem', item => item);
+});
+
+afterEach(() => {
+  liveChatService.stop();
+  liveChatService.failures.clear();
+});
+
+test('polls return buffered messages and resume from their continuation', async (t) => {
+  const chat = new FakeChat([addAction('m1', 'hello'), addAction('m2', 'there')]);
+  t.mock.method(youtubeService, 'openLiveChat', async () => chat);
+
+  const first = await liveChatService.poll('aaaaaaaaaaa');
+  assert.deepEqual(first.messages.map(message => message.id), ['m1', 'm2']);
+  assert.equal(first.resumed, false);
+
+  chat.emit('chat-update', addAction('m3', 'again'));
+  chat.emit('chat-update', { type: 'MarkChatItemAsDeletedAction', target_item_id: 'm1' });
+  const next = await liveChatService.poll('aaaaaaaaaaa', { continuation: first.continuation });
+  assert.deepEqual(next.messages.map(message => message.id), ['m3']);
+  assert.deepEqual(next.deleted, ['m1']);
+  assert.equal(next.resumed, true);
+  assert.equal(youtubeService.openLiveChat.mock.calls.length, 1);
+});
+
+test('a chat that fails to open answers with a typed error', async (t) => {
+  t.mock.method(youtubeService, 'openLiveChat', async () => {
+    throw Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' });
+  });
+
+  await assert.rejects(liveChatService.poll('bbbbbbbbbbb'), error => error instanceof TimeoutError && error.statusCode === 504);
+  assert.equal(liveChatService.streams.has('bbbbbbbbbbb'), false);
+});
+
+test('a failed open is reused until LIVE_CHAT_RETRY_DELAY has passed', async (t) => {
+  t.mock.method(youtubeService, 'openLiveChat', async () => {
+    throw new OfflineError('This live stream is offline');
+  });
+
+  await assert.rejects(liveChatService.poll('ccccccccccc'), OfflineError);
+  await assert.rejects(liveChatService.poll('ccccccccccc'), OfflineError);
+  assert.equal(youtubeService.openLiveChat.mock.calls.length, 1);
+  assert.equal(liveChatService.hasStreamCapacity('ccccccccccc'), true);
+
+  const socket = fakeSocket();
+  liveChatService.subscribe('ccccccccccc', socket);
+  assert.deepEqual(socket.frames, [{ type: 'error', videoId: 'ccccccccccc', code: 'OFFLINE', message: 'This live stream is offline' }]);
+  assert.equal(socket.closedWith, 4404);
+  assert.equal(youtubeService.openLiveChat.mock.calls.length, 1);
+
+  liveChatService.failures.get('ccccccccccc').until = Date.now();
+  await assert.rejects(liveChatService.poll('ccccccccccc'), OfflineError);
+  assert.equal(youtubeService.openLiveChat.mock.calls.length, 2);
+});
+
+test('sockets get ready, then new messages, and the upstream stops with the last one', async (t) => {
+  const chat = new FakeChat();
+  t.mock.method(youtubeService, 'openLiveChat', async () => chat);
+
+  const socket = fakeSocket();
+  liveChatService.subscribe('ddddddddddd', socket);
+  await liveChatService.streams.get('ddddddddddd').opening;
+  chat.emit('chat-update', addAction('m1', 'hello'));
+  assert.deepEqual(socket.frames.map(frame => frame.type), ['ready', 'message']);
+
+  liveChatService.unsubscribe('ddddddddddd', socket);
+  assert.equal(chat.stopped, true);
+  assert.equal(liveChatService.streams.has('ddddddddddd'), false);
+});
+
+test('sockets on the same video share one upstream, torn down when the last one closes', async (t) => {
+  const chat = new FakeChat();
+  t.mock.method(youtubeService, 'openLiveChat', async () => chat);
+
+  const first = fakeSocket();
+  const second = fakeSocket();
+  liveChatService.subscribe('eeeeeeeeeee', first);
+  liveChatService.subscribe('eeeeeeeeeee', second);
+  await liveChatService.streams.get('eeeeeeeeeee').opening;
+  chat.emit('chat-update', addAction('m1', 'hello'));
+
+  assert.equal(youtubeService.openLiveChat.mock.calls.length, 1);
+  for (const socket of [first, second]) {
+    assert.deepEqual(socket.frames.map(frame => frame.type), ['ready', 'message']);
+  }
+
+  first.emit('close');
+  assert.equal(chat.stopped, false);
+  assert.equal(liveChatService.streams.get('eeeeeeeeeee').sockets.size, 1);
+
+  second.emit('close');
+  assert.equal(chat.stopped, true);
+  assert.equal(liveChatService.streams.has('eeeeeeeeeee'), false);
+
+  // The next subscriber opens a new upstream
+  liveChatService.subscribe('eeeeeeeeeee', fakeSocket());
+  await liveChatService.streams.get('eeeeeeeeeee').opening;
+  assert.equal(youtubeService.openLiveChat.mock.calls.length, 2);
+});
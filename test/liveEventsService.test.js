@@ -0,0 +1,190 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import { setImmediate as flush, setTimeout as sleep } from 'timers/promises';
+import { sseConfig } from '../src/config/sse.js';
+import eventRoutes from '../src/routes/events.js';
+import liveEventsService from '../src/services/liveEventsService.js';
+import youtubeService from '../src/services/youtubeService.js';
+
+const VIDEO_ID = 'vvvvvvvvvvv';
+const OTHER_VIDEO_ID = 'wwwwwwwwwww';
+
+const originalConfig = { ...sseConfig };
+// videoId -> viewers the next check sees
+let viewers;
+let clients;
+
+beforeEach((t) => {
+  viewers = { [VIDEO_ID]: 100, [OTHER_VIDEO_ID]: 5 };
+  clients = [];
+  t.mock.method(youtubeService, 'getLiveMetadata', async (channelId, videoId) => ({
+    videoId,
+    channelId: 'UCaaaaaaaaaaaaaaaaaaaaaa',
+    isLiveNow: true,
+    liveStatus: 'live',
+    title: 'Stream',
+    concurrentViewers: viewers[videoId],
+    method: 'stub'
+  }));
+});
+
+afterEach(() => {
+  for (const client of clients) {
+    liveEventsService.disconnect(client);
+  }
+  Object.assign(sseConfig, originalConfig);
+});
+
+// Just enough of a response to write an event stream to
+const fakeResponse = () => ({
+  chunks: [],
+  write(chunk) {
+    this.chunks.push(chunk);
+  },
+  end() {}
+});
+
+const parseEvents = (chunks) => chunks.join('')
+  .split('\n\n')
+  .filter(block => block.includes('event: '))
+  .map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+    return { id: fields.id || null, type: fields.event, data: JSON.parse(fields.data) };
+  });
+
+const connect = (targets, lastEventId = null) => {
+  const res = fakeResponse();
+  const client = liveEventsService.connect(res, targets, lastEventId);
+  clients.push(client);
+  return { client, events: () => parseEvents(res.chunks) };
+};
+
+// Check every subscribed target again with the current viewer counts
+const poll = async (...counts) => {
+  for (const count of counts) {
+    viewers[VIDEO_ID] = count;
+    await liveEventsService.poll();
+  }
+};
+
+test('a new client gets ready, then the status once its targets are checked', async () => {
+  const { events } = connect({ videos: [VIDEO_ID] });
+  await flush();
+
+  const [ready, status] = events();
+  assert.equal(ready.type, 'ready');
+  assert.equal(ready.data.resumed, false);
+  assert.deepEqual(ready.data.targets, [`video:${VIDEO_ID}`]);
+  assert.equal(status.type, 'status');
+  assert.match(status.id, new RegExp(`^${liveEventsService.epoch}-\\d+$`));
+  assert.equal(status.data.state.concurrentViewers, 100);
+});
+
+test('resuming replays the missed events of its own targets, in order', async () => {
+  const first = connect({ videos: [VIDEO_ID, OTHER_VIDEO_ID] });
+  await flush();
+  const lastSeen = first.events().at(-1).id;
+
+  await poll(200, 300);
+  viewers[OTHER_VIDEO_ID] = 6;
+  await liveEventsService.poll();
+
+  const resumed = connect({ videos: [VIDEO_ID] }, lastSeen);
+  const [ready, ...replayed] = resumed.events();
+  assert.equal(ready.data.resumed, true);
+  assert.deepEqual(replayed.map(event => event.type), ['change', 'change']);
+  assert.deepEqual(replayed.map(event => event.data.state.concurrentViewers), [200, 300]);
+  assert.deepEqual(replayed.map(event => event.data.changes.concurrentViewers), [
+    { from: 100, to: 200 },
+    { from: 200, to: 300 }
+  ]);
+  assert.ok(Number(replayed[0].id.split('-')[1]) < Number(replayed[1].id.split('-')[1]));
+});
+
+test('resuming from the latest event replays nothing', async () => {
+  const first = connect({ videos: [VIDEO_ID] });
+  await flush();
+
+  const resumed = connect({ videos: [VIDEO_ID] }, first.events().at(-1).id);
+  const events = resumed.events();
+  assert.equal(events.length, 1);
+  assert.equal(events[0].data.resumed, true);
+});
+
+test('an ID older than the buffer gets the current status instead of a replay with a gap', async () => {
+  sseConfig.bufferSize = 2;
+  liveEventsService.buffer.splice(0);
+  const first = connect({ videos: [VIDEO_ID] });
+  await flush();
+  const lastSeen = first.events().at(-1).id;
+
+  await poll(200, 300, 400);
+
+  const resumed = connect({ videos: [VIDEO_ID] }, lastSeen);
+  const [ready, ...rest] = resumed.events();
+  assert.equal(ready.data.resumed, false);
+  assert.equal(rest.length, 1);
+  assert.equal(rest[0].type, 'status');
+  assert.equal(rest[0].data.state.concurrentViewers, 400);
+  // Tagged with the latest ID, so the next reconnect can resume from here
+  assert.equal(rest[0].id, liveEventsService.buffer.at(-1).id);
+});
+
+test('IDs that were never handed out by this process are not resumed from', async () => {
+  connect({ videos: [VIDEO_ID] });
+  await flush();
+  const { epoch, seq } = liveEventsService;
+
+  assert.equal(liveEventsService.eventsSince(null), null);
+  assert.equal(liveEventsService.eventsSince(`previousrun-${seq}`), null);
+  assert.equal(liveEventsService.eventsSince(`${epoch}-${seq + 1}`), null);
+  assert.equal(liveEventsService.eventsSince(`${epoch}-abc`), null);
+  assert.deepEqual(liveEventsService.eventsSince(`${epoch}-${seq}`), []);
+});
+
+test('heartbeats run while clients are connected and stop with the last one', async () => {
+  sseConfig.heartbeatInterval = 0.05;
+  const first = connect({ videos: [VIDEO_ID] });
+  const second = connect({ videos: [VIDEO_ID] });
+  await sleep(130);
+
+  const heartbeats = (client) => client.events().filter(event => event.type === 'heartbeat').length;
+  assert.ok(heartbeats(first) >= 2);
+  assert.equal(heartbeats(second), heartbeats(first));
+
+  liveEventsService.disconnect(first.client);
+  assert.ok(liveEventsService.heartbeatTimer);
+  assert.equal(liveEventsService.targets.get(`video:${VIDEO_ID}`).clients, 1);
+
+  liveEventsService.disconnect(second.client);
+  assert.equal(liveEventsService.heartbeatTimer, null);
+  assert.equal(liveEventsService.timer, null);
+  assert.equal(liveEventsService.targets.size, 0);
+
+  const sent = heartbeats(second);
+  await sleep(100);
+  assert.equal(heartbeats(second), sent);
+});
+
+test('closing the connection disconnects the client', async (t) => {
+  const app = express();
+  app.use('/api/events', eventRoutes);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const request = http.get(`http://127.0.0.1:${server.address().port}/api/events/live?videos=${VIDEO_ID}`);
+  t.after(() => request.destroy());
+  const response = await new Promise(resolve => request.once('response', resolve));
+  assert.match(response.headers['content-type'], /^text\/event-stream/);
+  await new Promise(resolve => response.once('data', resolve));
+  assert.equal(liveEventsService.clients.size, 1);
+
+  request.destroy();
+  await sleep(50);
+  assert.equal(liveEventsService.clients.size, 0);
+  assert.equal(liveEventsService.targets.size, 0);
+  assert.equal(liveEventsService.heartbeatTimer, null);
+});
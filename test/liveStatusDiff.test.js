@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLiveStatus, diffFields } from '../src/utils/liveStatusDiff.js';
+
+const offline = { isLive: false, liveVideoId: null, title: null, liveStatus: 'none' };
+const live = (liveVideoId, fields = {}) => ({ isLive: true, liveVideoId, title: 'Stream', liveStatus: 'live', ...fields });
+
+test('no events without a previous result', () => {
+  assert.deepEqual(diffLiveStatus(null, live('a')), []);
+  assert.deepEqual(diffLiveStatus(live('a'), null), []);
+});
+
+test('going live and going offline', () => {
+  assert.deepEqual(diffLiveStatus(offline, live('a')), [{ type: 'stream.started', videoId: 'a' }]);
+  assert.deepEqual(diffLiveStatus(live('a'), offline), [{ type: 'stream.ended', videoId: 'a' }]);
+});
+
+test('switching to another live video ends the old one and starts the new one', () => {
+  assert.deepEqual(diffLiveStatus(live('a'), live('b')), [
+    { type: 'stream.ended', videoId: 'a' },
+    { type: 'stream.started', videoId: 'b' }
+  ]);
+});
+
+test('changes to the same video are updates', () => {
+  assert.deepEqual(diffLiveStatus(live('a'), live('a', { title: 'Renamed' })), [
+    { type: 'stream.updated', videoId: 'a', changes: { title: { from: 'Stream', to: 'Renamed' } } }
+  ]);
+  assert.deepEqual(diffLiveStatus(live('a'), live('a')), []);
+});
+
+test('a scheduled video that moves its start time is updated', () => {
+  const scheduled = { isLive: false, liveVideoId: 'a', liveStatus: 'upcoming', scheduledStartTime: '2026-01-01T10:00:00Z' };
+  const events = diffLiveStatus(scheduled, { ...scheduled, scheduledStartTime: '2026-01-01T11:00:00Z' });
+  assert.deepEqual(events.map(event => event.type), ['stream.updated']);
+  assert.deepEqual(Object.keys(events[0].changes), ['scheduledStartTime']);
+});
+
+test('fields missing from the current result are not changes', () => {
+  assert.equal(diffFields({ title: 'A' }, { title: null }, ['title']), null);
+  assert.deepEqual(diffFields({}, { title: 'B' }, ['title']), { title: { from: null, to: 'B' } });
+});
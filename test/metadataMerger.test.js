@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeMetadata } from '../src/utils/metadataMerger.js';
+import { normalizeMetadata } from '../src/utils/metadataNormalizer.js';
+
+const candidate = (source, raw, conclusive = true) => ({ result: normalizeMetadata(raw, source), conclusive });
+
+test('the first conclusive result is primary and the others fill its gaps', () => {
+  const merged = mergeMetadata([
+    candidate('webscraping', { videoId: 'abcdefghijk', title: 'Scraped', tags: ['a'] }, false),
+    candidate('innertube', { videoId: 'abcdefghijk', title: 'Innertube', isLiveNow: true, channelId: null }),
+    candidate('ytdl-core', { videoId: 'abcdefghijk', channelId: 'UCxxxxxxxxxxxxxxxxxxxxxx', title: 'Ytdl' })
+  ]);
+
+  assert.equal(merged.source, 'merged');
+  assert.deepEqual(merged.sources, ['innertube', 'webscraping', 'ytdl-core']);
+  assert.equal(merged.title, 'Innertube');
+  assert.equal(merged.fieldSources.title, 'innertube');
+  assert.equal(merged.channelId, 'UCxxxxxxxxxxxxxxxxxxxxxx');
+  assert.equal(merged.fieldSources.channelId, 'ytdl-core');
+  assert.deepEqual(merged.tags, ['a']);
+  assert.equal(merged.fieldSources.tags, 'webscraping');
+});
+
+test('the live flag comes from the primary source and disagreements are reported', () => {
+  const merged = mergeMetadata([
+    candidate('innertube', { isLiveNow: false }),
+    candidate('ytdl-core', { isLiveNow: true })
+  ]);
+
+  assert.equal(merged.isLiveNow, false);
+  assert.equal(merged.fieldSources.isLiveNow, 'innertube');
+  assert.deepEqual(merged.conflicts, [{ field: 'isLiveNow', values: { innertube: false, 'ytdl-core': true } }]);
+});
+
+test('viewer counts conflict only when more than 10% apart', () => {
+  const close = mergeMetadata([
+    candidate('innertube', { isLiveNow: true, concurrentViewers: 1000 }),
+    candidate('ytdl-core', { isLiveNow: true, concurrentViewers: 950 })
+  ]);
+  assert.deepEqual(close.conflicts, []);
+
+  const apart = mergeMetadata([
+    candidate('innertube', { isLiveNow: true, concurrentViewers: 1000 }),
+    candidate('ytdl-core', { isLiveNow: true, concurrentViewers: 500 })
+  ]);
+  assert.deepEqual(apart.conflicts, [{ field: 'concurrentViewers', values: { innertube: 1000, 'ytdl-core': 500 } }]);
+});
+
+test('the viewer count type travels with the viewer count', () => {
+  const merged = mergeMetadata([
+    candidate('innertube', { isLiveNow: true }),
+    candidate('ytdl-core', { isLiveNow: true, concurrentViewers: 42 })
+  ]);
+  assert.equal(merged.concurrentViewers, 42);
+  assert.equal(merged.viewerCountType, 'concurrent_viewers');
+  assert.equal(merged.fieldSources.viewerCountType, 'ytdl-core');
+});
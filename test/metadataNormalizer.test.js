@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  METADATA_SCHEMA_VERSION,
+  normalizeMetadata,
+  parseDurationSeconds,
+  toIsoDate,
+  toCount,
+  formatDuration,
+  deriveLiveStatus,
+  normalizeVideoList
+} from '../src/utils/metadataNormalizer.js';
+
+test('parseDurationSeconds accepts seconds, clock and ISO 8601 durations', () => {
+  assert.equal(parseDurationSeconds(90), 90);
+  assert.equal(parseDurationSeconds('90'), 90);
+  assert.equal(parseDurationSeconds('90s'), 90);
+  assert.equal(parseDurationSeconds('1:02:03'), 3723);
+  assert.equal(parseDurationSeconds('PT1H2M3S'), 3723);
+  assert.equal(parseDurationSeconds('P1DT1S'), 86401);
+  assert.equal(parseDurationSeconds('PT'), null);
+  assert.equal(parseDurationSeconds('soon'), null);
+  assert.equal(parseDurationSeconds(-5), null);
+  assert.equal(parseDurationSeconds(null), null);
+});
+
+test('toIsoDate tells epoch seconds from milliseconds', () => {
+  assert.equal(toIsoDate(1700000000), '2023-11-14T22:13:20.000Z');
+  assert.equal(toIsoDate('1700000000000'), '2023-11-14T22:13:20.000Z');
+  assert.equal(toIsoDate('2024-01-02T03:04:05Z'), '2024-01-02T03:04:05.000Z');
+  assert.equal(toIsoDate('not a date'), null);
+  assert.equal(toIsoDate(''), null);
+});
+
+test('toCount reads counts out of text', () => {
+  assert.equal(toCount(12.7), 12);
+  assert.equal(toCount('1,234 watching now'), 1234);
+  assert.equal(toCount({ text: '5.678 views' }), 5678);
+  assert.equal(toCount('no views'), null);
+});
+
+test('formatDuration pads minutes and seconds', () => {
+  assert.equal(formatDuration(59), '0:59');
+  assert.equal(formatDuration(3723), '1:02:03');
+  assert.equal(formatDuration(-1), null);
+});
+
+test('normalizeMetadata returns every schema field with its type', () => {
+  const metadata = normalizeMetadata({
+    videoId: 'abcdefghijk',
+    title: '  Title  ',
+    description: 'x'.repeat(400),
+    concurrentViewers: '1,200',
+    isLiveNow: true,
+    thumbnails: [{ url: 'https://i.ytimg.com/a.jpg', width: '120', height: 90 }, { width: 1 }],
+    tags: Array.from({ length: 25 }, (_, i) => i),
+    duration: 'PT10M'
+  }, 'innertube');
+
+  assert.equal(metadata.schemaVersion, METADATA_SCHEMA_VERSION);
+  assert.equal(metadata.source, 'innertube');
+  assert.equal(metadata.method, 'innertube');
+  assert.equal(metadata.title, 'Title');
+  assert.equal(metadata.channelId, null);
+  assert.equal(metadata.description.length, 300);
+  assert.equal(metadata.concurrentViewers, 1200);
+  assert.equal(metadata.viewerCountType, 'concurrent_viewers');
+  assert.deepEqual(metadata.thumbnails, [{ url: 'https://i.ytimg.com/a.jpg', width: 120, height: 90 }]);
+  assert.equal(metadata.tags.length, 20);
+  assert.equal(metadata.tags[0], '0');
+  assert.equal(metadata.duration, 600);
+  assert.equal(metadata.liveChatEnabled, null);
+});
+
+test('normalizeMetadata computes the live duration from actualStartTime', () => {
+  const startedAt = new Date(Date.now() - 65 * 1000).toISOString();
+  const metadata = normalizeMetadata({ isLiveNow: true, actualStartTime: startedAt });
+  assert.ok(metadata.liveDurationSeconds >= 65 && metadata.liveDurationSeconds < 70);
+  assert.match(metadata.liveDuration, /^1:0\d$/);
+});
+
+test('normalizeMetadata passes null through', () => {
+  assert.equal(normalizeMetadata(null), null);
+});
+
+test('deriveLiveStatus maps extractor flags onto one status', () => {
+  assert.equal(deriveLiveStatus({ isLive: true, isLiveContent: true }), 'live');
+  assert.equal(deriveLiveStatus({ isUpcoming: true }), 'upcoming');
+  assert.equal(deriveLiveStatus({ isLive: true, isLiveContent: false }), 'premiere');
+  assert.equal(deriveLiveStatus({ isPostLive: true, isLiveContent: true }), 'post_live');
+  assert.equal(deriveLiveStatus({ isLiveContent: true }), 'was_live');
+  assert.equal(deriveLiveStatus({}), 'none');
+});
+
+test('upcoming streams are never live now and keep their schedule', () => {
+  const metadata = normalizeMetadata({
+    liveStatus: 'upcoming',
+    isLiveNow: true,
+    scheduledStartTime: 1700000000,
+    actualStartTime: 1700000000
+  });
+  assert.equal(metadata.isLiveNow, false);
+  assert.equal(metadata.scheduledStartTime, '2023-11-14T22:13:20.000Z');
+  assert.equal(metadata.actualStartTime, null);
+  assert.equal(metadata.isLiveContent, true);
+});
+
+test('a premiere is only live while it plays', () => {
+  assert.equal(normalizeMetadata({ liveStatus: 'premiere', isLiveNow: true }).isLiveNow, true);
+  assert.equal(normalizeMetadata({ liveStatus: 'premiere' }).isLiveNow, false);
+  assert.equal(normalizeMetadata({ liveStatus: 'bogus', isLiveNow: true }).liveStatus, 'live');
+});
+
+test('normalizeVideoList sorts newest first and fills in the channel', () => {
+  const list = normalizeVideoList({
+    channelId: 'UCaaaaaaaaaaaaaaaaaaaaaa',
+    channelName: 'Channel',
+    videos: [
+      { videoId: 'older000000', title: 'Older', publishedAt: '2026-01-01T10:00:00+00:00', viewCount: '1,234' },
+      { title: 'No ID' },
+      { videoId: 'newer000000', channelId: 'UCbbbbbbbbbbbbbbbbbbbbbb', title: 'Newer', description: 'x'.repeat(400), publishedAt: '2026-01-02T10:00:00+00:00' }
+    ]
+  }, 'feed');
+
+  assert.equal(list.schemaVersion, METADATA_SCHEMA_VERSION);
+  assert.equal(list.source, 'feed');
+  assert.equal(list.channelName, 'Channel');
+  assert.deepEqual(list.videos.map(video => video.videoId), ['newer000000', 'older000000']);
+  assert.equal(list.videos[0].channelId, 'UCbbbbbbbbbbbbbbbbbbbbbb');
+  assert.equal(list.videos[0].description.length, 300);
+  assert.equal(list.videos[1].channelId, 'UCaaaaaaaaaaaaaaaaaaaaaa');
+  assert.equal(list.videos[1].publishedAt, '2026-01-01T10:00:00.000Z');
+  assert.equal(list.videos[1].viewCount, 1234);
+  assert.equal(list.videos[1].description, null);
+});
+
+test('normalizeVideoList keeps an empty list and rejects anything else', () => {
+  assert.deepEqual(normalizeVideoList({ channelId: 'UCaaaaaaaaaaaaaaaaaaaaaa', videos: [] }, 'feed').videos, []);
+  assert.equal(normalizeVideoList({ channelId: 'UCaaaaaaaaaaaaaaaaaaaaaa' }), null);
+  assert.equal(normalizeVideoList(null), null);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseInterval } from '../src/utils/pollSchedule.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const WEEK = 7 * 24 * HOUR;
+
+const limits = { interval: 300, minInterval: 60, maxInterval: 3600, window: 1800 };
+const now = Date.parse('2026-03-02T12:00:00Z');
+const offline = { isLive: false, liveVideoId: null, scheduledStartTime: null };
+
+// Streams that started `offset` from now's time of week, in each of the last three weeks
+const weeklyStarts = (offset) => [1, 2, 3].map(weeks => now - weeks * WEEK + offset);
+
+test('default before the first check and without history', () => {
+  assert.deepEqual(chooseInterval({ state: null, now, limits }), { interval: 300, reason: 'default' });
+  assert.deepEqual(chooseInterval({ state: offline, now, limits }), { interval: 300, reason: 'default' });
+});
+
+test('live channels are polled at the regular interval', () => {
+  const state = { isLive: true, liveVideoId: 'a' };
+  assert.deepEqual(chooseInterval({ state, startTimes: weeklyStarts(5 * HOUR), now, limits }), { interval: 300, reason: 'live' });
+});
+
+test('polls fast around a scheduled start', () => {
+  const soon = { ...offline, scheduledStartTime: new Date(now + 5 * MINUTE).toISOString() };
+  assert.deepEqual(chooseInterval({ state: soon, now, limits }), { interval: 60, reason: 'scheduled' });
+
+  const late = { ...offline, scheduledStartTime: new Date(now - 30 * MINUTE).toISOString() };
+  assert.deepEqual(chooseInterval({ state: late, now, limits }), { interval: 60, reason: 'scheduled' });
+});
+
+test('waits until shortly before a later scheduled start', () => {
+  const later = { ...offline, scheduledStartTime: new Date(now + 40 * MINUTE).toISOString() };
+  assert.deepEqual(chooseInterval({ state: later, now, limits }), { interval: 1800, reason: 'quiet' });
+
+  const muchLater = { ...offline, scheduledStartTime: new Date(now + 2 * WEEK).toISOString() };
+  assert.deepEqual(chooseInterval({ state: muchLater, now, limits }), { interval: 3600, reason: 'quiet' });
+});
+
+test('a scheduled start long past is no longer a reason to poll fast', () => {
+  const stale = { ...offline, scheduledStartTime: new Date(now - 2 * HOUR).toISOString() };
+  assert.deepEqual(chooseInterval({ state: stale, now, limits }), { interval: 300, reason: 'default' });
+});
+
+test('polls fast within the window of a usual start, on either side', () => {
+  assert.deepEqual(chooseInterval({ state: offline, startTimes: weeklyStarts(20 * MINUTE), now, limits }), { interval: 60, reason: 'usual-start' });
+  assert.deepEqual(chooseInterval({ state: offline, startTimes: weeklyStarts(-20 * MINUTE), now, limits }), { interval: 60, reason: 'usual-start' });
+});
+
+test('between usual starts waits until the next window opens, within maxInterval', () => {
+  assert.deepEqual(chooseInterval({ state: offline, startTimes: weeklyStarts(HOUR), now, limits }), { interval: 1800, reason: 'quiet' });
+  assert.deepEqual(chooseInterval({ state: offline, startTimes: weeklyStarts(5 * HOUR), now, limits }), { interval: 3600, reason: 'quiet' });
+  assert.deepEqual(chooseInterval({ state: offline, startTimes: weeklyStarts(31 * MINUTE), now, limits }), { interval: 60, reason: 'quiet' });
+});
+
+test('fewer than three past starts are not a pattern', () => {
+  const startTimes = weeklyStarts(20 * MINUTE).slice(0, 2);
+  assert.deepEqual(chooseInterval({ state: offline, startTimes, now, limits }), { interval: 300, reason: 'default' });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { isPublicAddress, assertPublicUrl, pinnedLookup } from '../src/utils/publicAddress.js';
+
+test('loopback, private, link-local and reserved addresses are not public', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.100.100.200', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00:ec2::254', 'fe80::1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('IPv4-mapped IPv6 addresses are checked as IPv4', () => {
+  assert.equal(isPublicAddress('::ffff:127.0.0.1'), false);
+  assert.equal(isPublicAddress('::ffff:a9fe:a9fe'), false);
+  assert.equal(isPublicAddress('::ffff:8.8.8.8'), true);
+});
+
+test('public addresses pass; anything that is not an address does not', () => {
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+  assert.equal(isPublicAddress('2001:4860:4860::8888'), true);
+  assert.equal(isPublicAddress('example.com'), false);
+});
+
+test('assertPublicUrl checks literal hosts, including bracketed IPv6', async () => {
+  assert.deepEqual(await assertPublicUrl('https://8.8.8.8/hook'), ['8.8.8.8']);
+  await assert.rejects(assertPublicUrl('http://169.254.169.254/latest/meta-data'), { code: 'NON_PUBLIC_ADDRESS' });
+  await assert.rejects(assertPublicUrl('http://[::1]:3000/'), { code: 'NON_PUBLIC_ADDRESS' });
+  await assert.rejects(assertPublicUrl('http://[::ffff:10.0.0.1]/'), { code: 'NON_PUBLIC_ADDRESS' });
+});
+
+test('assertPublicUrl checks what a name resolves to', async () => {
+  await assert.rejects(assertPublicUrl('http://localhost:3000/hook'), {
+    code: 'NON_PUBLIC_ADDRESS',
+    message: /localhost resolves to a non-public address/
+  });
+  await assert.rejects(assertPublicUrl('http://unresolvable.invalid/'), { code: 'UNRESOLVABLE_HOST' });
+});
+
+test('assertPublicUrl refuses other protocols', async () => {
+  await assert.rejects(assertPublicUrl('file:///etc/passwd'), { code: 'NON_PUBLIC_ADDRESS' });
+});
+
+test('pinnedLookup answers with the checked addresses, filtered by family', () => {
+  const lookup = pinnedLookup(['8.8.8.8', '2001:4860:4860::8888']);
+  const answer = (options) => {
+    let result;
+    lookup('receiver.example', options, (...args) => { result = args; });
+    return result;
+  };
+
+  assert.deepEqual(answer({}), [null, '8.8.8.8', 4]);
+  assert.deepEqual(answer({ family: 6 }), [null, '2001:4860:4860::8888', 6]);
+  assert.deepEqual(answer({ all: true }), [null, [{ address: '8.8.8.8', family: 4 }, { address: '2001:4860:4860::8888', family: 6 }]]);
+  assert.equal(pinnedLookup(['8.8.8.8'])('receiver.example', { family: 6 }, error => error).code, 'ENOTFOUND');
+});
+
+test('requests with a pinned lookup connect to its address and keep the Host header', async (t) => {
+  const server = http.createServer((req, res) => res.end(req.headers.host));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const { port } = server.address();
+
+  // .invalid never resolves: only the pinned address can be connected to
+  const host = await new Promise((resolve, reject) => {
+    http.get(`http://receiver.invalid:${port}/`, { lookup: pinnedLookup(['127.0.0.1']), agent: false }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve(body));
+    }).on('error', reject);
+  });
+  assert.equal(host, `receiver.invalid:${port}`);
+});
@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReply, encodeCommand, RespError } from '../src/services/cache/respClient.js';
+import { RedisBackend } from '../src/services/cache/redisBackend.js';
+import { startStandin, stopStandin, randomPort } from './helpers/standin.js';
+
+const reply = (text) => parseReply(Buffer.from(text));
+
+test('encodeCommand writes RESP arrays of bulk strings', () => {
+  assert.equal(encodeCommand(['SET', 'key', 'välue']), '*3\r\n$3\r\nSET\r\n$3\r\nkey\r\n$6\r\nvälue\r\n');
+});
+
+test('parseReply reads every RESP2 type', () => {
+  assert.deepEqual(reply('+OK\r\n'), { value: 'OK', offset: 5 });
+  assert.deepEqual(reply(':42\r\n'), { value: 42, offset: 5 });
+  assert.deepEqual(reply('$5\r\nhello\r\n'), { value: 'hello', offset: 11 });
+  assert.deepEqual(reply('$-1\r\n'), { value: null, offset: 5 });
+  assert.deepEqual(reply('*2\r\n$1\r\n0\r\n*1\r\n$3\r\nkey\r\n'), { value: ['0', ['key']], offset: 24 });
+
+  const error = reply('-ERR wrong type\r\n');
+  assert.ok(error.value instanceof RespError);
+  assert.equal(error.value.message, 'ERR wrong type');
+});
+
+test('parseReply waits for incomplete replies', () => {
+  assert.equal(reply('+OK'), null);
+  assert.equal(reply('$5\r\nhel'), null);
+  assert.equal(reply('*2\r\n:1\r\n'), null);
+});
+
+test('parseReply reads pipelined replies from an offset', () => {
+  const buffer = Buffer.from('+OK\r\n:7\r\n');
+  const first = parseReply(buffer);
+  assert.deepEqual(parseReply(buffer, first.offset), { value: 7, offset: buffer.length });
+});
+
+test('parseReply rejects unknown reply types', () => {
+  assert.throws(() => reply('!oops\r\n'), RespError);
+});
+
+test('redis backend against the stand-in', async (t) => {
+  const port = randomPort();
+  const standin = await startStandin('redis-standin.js', { REDIS_STANDIN_PORT: String(port) });
+  const backend = new RedisBackend({ url: `redis://127.0.0.1:${port}`, timeout: 2000, keyPrefix: 'test:' });
+  t.after(async () => {
+    await backend.close();
+    await stopStandin(standin);
+  });
+
+  assert.equal(await backend.set('test:a', { n: 1 }, 60), true);
+  await backend.set('test:b', 'two');
+  assert.deepEqual((await backend.get('test:a')).value, { n: 1 });
+  assert.equal(await backend.get('test:missing'), null);
+  assert.deepEqual((await backend.keys('test:*')).sort(), ['test:a', 'test:b']);
+  assert.equal(await backend.del('test:b'), true);
+  assert.equal(await backend.size(), 1);
+
+  // Values that aren't our JSON entries are misses, not errors
+  await backend.client.command('SET', 'test:foreign', '{not json');
+  assert.equal(await backend.get('test:foreign'), null);
+
+  await backend.flush();
+  assert.equal(await backend.size(), 0);
+});
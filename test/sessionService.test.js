@@ -0,0 +1,153 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sessionService from '../src/services/sessionService.js';
+import watchlistService from '../src/services/watchlistService.js';
+import viewerHistoryService from '../src/services/viewerHistoryService.js';
+
+const CHANNEL_ID = 'UCsessionsessionsession1';
+const HOUR = 60 * 60 * 1000;
+
+before(async () => {
+  // Sessions stay in memory: nothing is read from or written to SESSION_STORE_PATH
+  sessionService.store = { load: async (fallback) => fallback, save: async () => {} };
+  await sessionService.start();
+});
+
+after(async () => {
+  await sessionService.stop();
+});
+
+beforeEach(() => {
+  sessionService.sessions = [];
+  sessionService.stats = { opened: 0, closed: 0, resumed: 0 };
+});
+
+// A finished watchlist check of the channel, as watchlistService emits it
+const checked = (state, { error = null } = {}) => {
+  const entry = { id: CHANNEL_ID, channelId: CHANNEL_ID, handle: null, state, error };
+  watchlistService.emit('checked', entry, null);
+};
+
+const live = (videoId, fields = {}) => ({
+  channelId: CHANNEL_ID,
+  isLive: true,
+  liveStatus: 'live',
+  liveVideoId: videoId,
+  title: 'Stream',
+  ...fields
+});
+
+const offline = { channelId: CHANNEL_ID, isLive: false, liveStatus: 'none', liveVideoId: null };
+
+const sample = (videoId, viewers) => {
+  viewerHistoryService.emit('sample', { videoId, channelId: CHANNEL_ID }, viewers, Date.now());
+};
+
+test('a stream seen live opens a session and one found gone closes it', () => {
+  checked(live('aaaaaaaaaaa', { actualStartTime: '2026-03-02T12:00:00.000Z' }));
+  const [session] = sessionService.sessions;
+  assert.equal(session.videoId, 'aaaaaaaaaaa');
+  assert.equal(session.startedAt, '2026-03-02T12:00:00.000Z');
+  assert.equal(session.endedAt, null);
+
+  checked(live('aaaaaaaaaaa', { title: 'Renamed' }));
+  assert.equal(sessionService.sessions.length, 1);
+  assert.equal(session.title, 'Renamed');
+
+  checked(offline);
+  assert.ok(session.endedAt);
+  assert.equal(sessionService.findOpen(CHANNEL_ID), null);
+  assert.deepEqual(sessionService.stats, { opened: 1, closed: 1, resumed: 0 });
+});
+
+test('a channel switching streams closes the old session and opens a new one', () => {
+  checked(live('aaaaaaaaaaa'));
+  checked(live('bbbbbbbbbbb'));
+
+  const [first, second] = sessionService.sessions;
+  assert.ok(first.endedAt);
+  assert.equal(second.videoId, 'bbbbbbbbbbb');
+  assert.equal(sessionService.findOpen(CHANNEL_ID), second);
+});
+
+test('the same video live again after a check missed it continues its session', () => {
+  checked(live('aaaaaaaaaaa'));
+  checked(offline);
+  checked(live('aaaaaaaaaaa'));
+
+  assert.equal(sessionService.sessions.length, 1);
+  assert.equal(sessionService.sessions[0].endedAt, null);
+  assert.equal(sessionService.stats.resumed, 1);
+});
+
+test('failed checks neither open nor close sessions', () => {
+  checked(live('aaaaaaaaaaa'), { error: { code: 'UPSTREAM_ERROR' } });
+  assert.equal(sessionService.sessions.length, 0);
+
+  checked(live('aaaaaaaaaaa'));
+  checked(offline, { error: { code: 'UPSTREAM_ERROR' } });
+  assert.equal(sessionService.sessions[0].endedAt, null);
+});
+
+test('viewer samples give peak, average and final viewers; final only once ended', () => {
+  checked(live('aaaaaaaaaaa'));
+  for (const viewers of [100, 300, 200]) {
+    sample('aaaaaaaaaaa', viewers);
+  }
+  // Another video's samples don't count
+  sample('zzzzzzzzzzz', 5000);
+
+  const [session] = sessionService.sessions;
+  assert.equal(session.peakViewers, 300);
+  assert.equal(session.averageViewers, 200);
+  assert.equal(sessionService.publicView(session).finalViewers, null);
+  assert.equal(sessionService.publicView(session).live, true);
+
+  checked(offline);
+  // Samples after the end don't change it
+  sample('aaaaaaaaaaa', 50);
+  const view = sessionService.publicView(session);
+  assert.equal(view.live, false);
+  assert.equal(view.finalViewers, 200);
+  assert.equal(view.viewerSum, undefined);
+});
+
+test('summaries weight the average by session length and count live sessions up to now', (t) => {
+  const now = Date.parse('2026-03-10T12:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const session = (startOffset, hours, fields) => ({
+    startedAt: new Date(now - startOffset).toISOString(),
+    endedAt: hours === null ? null : new Date(now - startOffset + hours * HOUR).toISOString(),
+    peakViewers: null,
+    averageViewers: null,
+    ...fields
+  });
+
+  const summary = sessionService.summarize([
+    session(48 * HOUR, 1, { peakViewers: 150, averageViewers: 100 }),
+    session(24 * HOUR, 3, { peakViewers: 900, averageViewers: 500 }),
+    // Without viewer stats: counts towards the hours only
+    session(12 * HOUR, 2, {}),
+    // Live for the last 30 minutes
+    session(HOUR / 2, null, { peakViewers: 400, averageViewers: 300 })
+  ]);
+
+  assert.deepEqual(summary, {
+    sessions: 4,
+    totalHoursStreamed: 6.5,
+    medianPeakViewers: 400,
+    highestPeakViewers: 900,
+    // (100 * 1h + 500 * 3h + 300 * 0.5h) / 4.5h, not the plain mean of 300
+    averageViewers: 389
+  });
+});
+
+test('summaries of no sessions have no viewer figures', () => {
+  assert.deepEqual(sessionService.summarize([]), {
+    sessions: 0,
+    totalHoursStreamed: 0,
+    medianPeakViewers: null,
+    highestPeakViewers: null,
+    averageViewers: null
+  });
+});
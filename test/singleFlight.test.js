@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SingleFlight } from '../src/utils/singleFlight.js';
+
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+test('concurrent calls for a key share one run', async () => {
+  const flight = new SingleFlight();
+  const pending = deferred();
+  let runs = 0;
+  const fn = () => {
+    runs++;
+    return pending.promise;
+  };
+
+  const first = flight.run('key', fn);
+  const second = flight.run('key', fn);
+  pending.resolve('value');
+
+  assert.deepEqual(await Promise.all([first, second]), ['value', 'value']);
+  assert.equal(runs, 1);
+  assert.deepEqual(flight.getStats(), { inflight: 0, started: 1, coalesced: 1, cancelled: 0 });
+});
+
+test('nothing is kept once the run settles, errors included', async () => {
+  const flight = new SingleFlight();
+  await assert.rejects(flight.run('key', async () => {
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(flight.has('key'), false);
+
+  assert.equal(await flight.run('key', async () => 'again'), 'again');
+  assert.equal(flight.getStats().started, 2);
+});
+
+test('the work is aborted only once every waiter has aborted', async () => {
+  const flight = new SingleFlight();
+  let workSignal;
+  const fn = (signal) => {
+    workSignal = signal;
+    return new Promise(() => {});
+  };
+  const first = new AbortController();
+  const second = new AbortController();
+
+  const a = flight.run('key', fn, first.signal);
+  const b = flight.run('key', fn, second.signal);
+  await Promise.resolve();
+
+  first.abort(new Error('first left'));
+  await assert.rejects(a, /first left/);
+  assert.equal(workSignal.aborted, false);
+
+  second.abort(new Error('second left'));
+  await assert.rejects(b, /second left/);
+  assert.equal(workSignal.aborted, true);
+  assert.equal(flight.has('key'), false);
+  assert.equal(flight.getStats().cancelled, 1);
+});
+
+test('callers without a signal keep the work alive', async () => {
+  const flight = new SingleFlight();
+  const pending = deferred();
+  let workSignal;
+  const fn = (signal) => {
+    workSignal = signal;
+    return pending.promise;
+  };
+  const controller = new AbortController();
+
+  const withSignal = flight.run('key', fn, controller.signal);
+  const withoutSignal = flight.run('key', fn);
+  controller.abort(new Error('left'));
+  await assert.rejects(withSignal, /left/);
+  assert.equal(workSignal.aborted, false);
+
+  pending.resolve('done');
+  assert.equal(await withoutSignal, 'done');
+});
+
+test('an already aborted signal rejects right away', async () => {
+  const flight = new SingleFlight();
+  const controller = new AbortController();
+  controller.abort(new Error('gone'));
+  await assert.rejects(flight.run('key', () => new Promise(() => {}), controller.signal), /gone/);
+  assert.equal(flight.has('key'), false);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeSnapshot, readSnapshot } from '../src/services/cache/snapshot.js';
+import { MemoryBackend } from '../src/services/cache/memoryBackend.js';
+
+const tempDir = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-snapshot-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('a written snapshot restores into an empty backend', async (t) => {
+  const file = path.join(await tempDir(t), 'nested', 'snapshot.json');
+  const source = new MemoryBackend();
+  await source.set('youtube:video:a', { title: 'A' }, 60);
+  await source.set('youtube:video:b', { title: 'B' });
+  await source.set('other:key', 'not ours', 60);
+
+  assert.deepEqual(await writeSnapshot(source, file, 'youtube:*'), { entries: 2 });
+  const files = await fs.readdir(path.dirname(file));
+  assert.deepEqual(files, ['snapshot.json']);
+
+  const target = new MemoryBackend();
+  const result = await readSnapshot(target, file);
+  assert.equal(result.restored, 2);
+  assert.deepEqual((await target.get('youtube:video:a')).value, { title: 'A' });
+  assert.ok((await target.get('youtube:video:a')).expiresAt > Date.now());
+  assert.equal((await target.get('youtube:video:b')).expiresAt, null);
+  assert.equal(await target.get('other:key'), null);
+});
+
+test('expired entries and keys the backend already holds are skipped', async (t) => {
+  const file = path.join(await tempDir(t), 'snapshot.json');
+  await fs.writeFile(file, JSON.stringify({
+    version: 1,
+    savedAt: Date.now() - 120000,
+    entries: [
+      { key: 'expired', value: 1, expiresAt: Date.now() - 1000 },
+      { key: 'held', value: 'old', expiresAt: null },
+      { key: 'fresh', value: 3, expiresAt: Date.now() + 60000 }
+    ]
+  }));
+
+  const backend = new MemoryBackend();
+  await backend.set('held', 'new');
+  const result = await readSnapshot(backend, file);
+
+  assert.deepEqual({ ...result, savedAt: undefined }, { restored: 1, expired: 1, skipped: 1, savedAt: undefined });
+  assert.equal((await backend.get('held')).value, 'new');
+  assert.equal((await backend.get('fresh')).value, 3);
+});
+
+test('a missing file restores nothing, an unknown format throws', async (t) => {
+  const dir = await tempDir(t);
+  assert.deepEqual(await readSnapshot(new MemoryBackend(), path.join(dir, 'missing.json')), { restored: 0, expired: 0, skipped: 0 });
+
+  const file = path.join(dir, 'future.json');
+  await fs.writeFile(file, JSON.stringify({ version: 99, entries: [] }));
+  await assert.rejects(readSnapshot(new MemoryBackend(), file), /Unsupported cache snapshot format/);
+});
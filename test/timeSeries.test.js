@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, sliceRange, downsample } from '../src/utils/timeSeries.js';
+
+test('parseDuration reads s, m, h and d', () => {
+  assert.equal(parseDuration('30s'), 30 * 1000);
+  assert.equal(parseDuration('1m'), 60 * 1000);
+  assert.equal(parseDuration(' 6h '), 6 * 60 * 60 * 1000);
+  assert.equal(parseDuration('1d'), 24 * 60 * 60 * 1000);
+});
+
+test('parseDuration rejects zero, bare numbers and unknown units', () => {
+  for (const value of ['0s', '10', '5w', '-1m', '1.5h', '', null]) {
+    assert.equal(parseDuration(value), null, String(value));
+  }
+});
+
+test('sliceRange keeps samples within inclusive bounds', () => {
+  const samples = [[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']];
+  assert.deepEqual(sliceRange(samples, 2, 3), [[2, 'b'], [3, 'c']]);
+  assert.deepEqual(sliceRange(samples, null, 2), [[1, 'a'], [2, 'b']]);
+  assert.deepEqual(sliceRange(samples, 4), [[4, 'd']]);
+  assert.deepEqual(sliceRange(samples), samples);
+});
+
+test('downsample averages epoch-aligned buckets and leaves gaps out', () => {
+  const minute = 60 * 1000;
+  const samples = [[0, 10], [20 * 1000, 20], [50 * 1000, 31], [3 * minute + 5000, 7]];
+
+  assert.deepEqual(downsample(samples, minute), [
+    { timestamp: new Date(0).toISOString(), value: 20, min: 10, max: 31, samples: 3 },
+    { timestamp: new Date(3 * minute).toISOString(), value: 7, min: 7, max: 7, samples: 1 }
+  ]);
+  assert.deepEqual(downsample([], minute), []);
+});
@@ -0,0 +1,129 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { config } from '../src/config/environment.js';
+import { watchlistConfig } from '../src/config/watchlist.js';
+import logger from '../src/config/logger.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import watchlistRoutes from '../src/routes/watchlist.js';
+import watchlistService from '../src/services/watchlistService.js';
+import youtubeService from '../src/services/youtubeService.js';
+import { UpstreamError } from '../src/utils/errors.js';
+
+const CHANNEL_ID = 'UCwatchwatchwatchwatchwa';
+const NOW = Date.parse('2026-03-02T12:00:00Z');
+
+const originalToken = config.ADMIN_TOKEN;
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/watchlist', watchlistRoutes);
+  app.use(errorHandler);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+  config.ADMIN_TOKEN = originalToken;
+  watchlistService.entries.clear();
+  watchlistService.demand.clear();
+});
+
+const watch = (state = { channelId: CHANNEL_ID, isLive: false, liveStatus: 'none', liveVideoId: null }) => {
+  const entry = { ...watchlistService.createEntry(CHANNEL_ID), state, checkedAt: new Date(NOW).toISOString() };
+  watchlistService.entries.set(CHANNEL_ID, entry);
+  return entry;
+};
+
+test('a watched state answers reads for up to two intervals after its check', (t) => {
+  let now = NOW;
+  t.mock.method(Date, 'now', () => now);
+  watch();
+
+  now = NOW + 2 * watchlistConfig.interval * 1000 - 1000;
+  const fresh = watchlistService.getFreshState(CHANNEL_ID);
+  assert.equal(fresh.watched, true);
+  assert.equal(fresh.value.liveStatus, 'none');
+  assert.equal(fresh.freshUntil, NOW + watchlistConfig.interval * 1000);
+
+  now = NOW + 2 * watchlistConfig.interval * 1000 + 1000;
+  assert.equal(watchlistService.getFreshState(CHANNEL_ID), null);
+});
+
+test('channels never checked successfully have no fresh state', () => {
+  watch(null);
+  assert.equal(watchlistService.getFreshState(CHANNEL_ID), null);
+  assert.equal(watchlistService.getFreshState('UCunwatchedunwatchedunwa'), null);
+});
+
+test('a failed check is logged and recorded on the entry instead of rejecting', async (t) => {
+  t.mock.method(youtubeService, 'getChannelLiveStatus', async () => {
+    throw new UpstreamError('YouTube answered 500');
+  });
+  const warn = t.mock.method(logger, 'warn', () => {});
+  const entry = watch();
+  const state = entry.state;
+  const checked = [];
+  const onChecked = (checkedEntry, previous) => checked.push({ checkedEntry, previous });
+  watchlistService.on('checked', onChecked);
+  t.after(() => watchlistService.off('checked', onChecked));
+
+  await watchlistService.check(entry);
+
+  assert.equal(entry.state, state);
+  assert.equal(entry.error.code, 'UPSTREAM_ERROR');
+  assert.equal(entry.consecutiveFailures, 1);
+  assert.ok(entry.nextCheckAt);
+  assert.equal(warn.mock.calls[0].arguments[0].message, 'Watchlist check failed');
+  assert.deepEqual(checked, [{ checkedEntry: entry, previous: state }]);
+});
+
+const send = (method, path, { token, body } = {}) => fetch(`${baseUrl}/api/watchlist${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  },
+  body: body && JSON.stringify(body)
+});
+
+test('adding channels needs the admin token', async (t) => {
+  const lookup = t.mock.method(youtubeService, 'getChannelLiveStatus', async () => {
+    throw new Error('not expected');
+  });
+  config.ADMIN_TOKEN = 'secret-token';
+
+  const missing = await send('POST', '/', { body: { channels: [CHANNEL_ID] } });
+  assert.equal(missing.status, 401);
+  const wrong = await send('POST', '/', { token: 'wrong', body: { channels: [CHANNEL_ID] } });
+  assert.equal(wrong.status, 401);
+
+  config.ADMIN_TOKEN = null;
+  const disabled = await send('POST', '/', { token: 'secret-token', body: { channels: [CHANNEL_ID] } });
+  assert.equal(disabled.status, 503);
+
+  assert.equal(watchlistService.entries.size, 0);
+  assert.equal(lookup.mock.calls.length, 0);
+});
+
+test('removing channels needs the admin token', async () => {
+  watch();
+  config.ADMIN_TOKEN = 'secret-token';
+
+  const missing = await send('DELETE', `/${CHANNEL_ID}`);
+  assert.equal(missing.status, 401);
+  assert.equal((await missing.json()).error.code, 'UNAUTHORIZED');
+  assert.ok(watchlistService.get(CHANNEL_ID));
+
+  const allowed = await send('DELETE', `/${CHANNEL_ID}`, { token: 'secret-token' });
+  assert.equal(allowed.status, 200);
+  assert.equal(watchlistService.get(CHANNEL_ID), null);
+});
@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import dns from 'dns';
+import dnsPromises from 'dns/promises';
+import http from 'http';
+import { webhookConfig } from '../src/config/webhooks.js';
+import webhookService, { signPayload } from '../src/services/webhookService.js';
+
+let server;
+let url;
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(req.url === '/redirect' ? 302 : 204, { Location: 'http://169.254.169.254/' }).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await webhookService.stop();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Lets a test deliver to the local receiver above
+const allowPrivate = (t) => {
+  webhookConfig.allowPrivate = true;
+  t.after(() => { webhookConfig.allowPrivate = false; });
+};
+
+const subscription = (path, overrides = {}) => ({ id: crypto.randomUUID(), url: `${url}${path}`, secret: 'shh', ...overrides });
+
+test('signPayload is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  assert.equal(
+    signPayload('key', '1700000000', '{"a":1}'),
+    crypto.createHmac('sha256', 'key').update('1700000000.{"a":1}').digest('hex')
+  );
+  assert.notEqual(signPayload('key', '1700000000', '{"a":1}'), signPayload('key', '1700000001', '{"a":1}'));
+});
+
+test('a delivery carries a signature the receiver can verify', async (t) => {
+  allowPrivate(t);
+  received.length = 0;
+
+  const delivery = await webhookService.sendTest(subscription('/hook'));
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(received.length, 1);
+
+  const { headers, body } = received[0];
+  assert.equal(headers['x-webhook-event'], 'webhook.test');
+  assert.equal(headers['x-webhook-id'], delivery.id);
+  assert.equal(headers['x-webhook-signature'], `sha256=${signPayload('shh', headers['x-webhook-timestamp'], body)}`);
+  assert.equal(JSON.parse(body).type, 'webhook.test');
+});
+
+test('redirects are not followed', async (t) => {
+  allowPrivate(t);
+  received.length = 0;
+
+  const delivery = await webhookService.sendTest(subscription('/redirect'));
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts[0].statusCode, 302);
+  assert.equal(received.length, 1);
+});
+
+test('receivers on private addresses fail at once, without a request or retry', async () => {
+  received.length = 0;
+
+  const delivery = await webhookService.sendTest(subscription('/hook'));
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 1);
+  assert.match(delivery.attempts[0].error, /not a public address/);
+  assert.equal(received.length, 0);
+});
+
+test('deliveries connect to the address that was checked, not to what the name resolves to next', async (t) => {
+  const { timeout, maxAttempts } = webhookConfig;
+  webhookConfig.timeout = 300;
+  webhookConfig.maxAttempts = 1;
+  t.after(() => Object.assign(webhookConfig, { timeout, maxAttempts }));
+  // The check sees a public address; by the time of the request the name points at the local receiver
+  t.mock.method(dnsPromises, 'lookup', async () => [{ address: '192.0.2.10', family: 4 }]);
+  const rebound = t.mock.method(dns, 'lookup', (hostname, options, callback) => (options.all
+    ? callback(null, [{ address: '127.0.0.1', family: 4 }])
+    : callback(null, '127.0.0.1', 4)));
+  received.length = 0;
+
+  const delivery = await webhookService.sendTest(subscription('/hook', { url: `http://receiver.example:${server.address().port}/hook` }));
+  assert.equal(delivery.status, 'failed');
+  assert.equal(received.length, 0);
+  assert.equal(rebound.mock.calls.length, 0);
+});
@@ -0,0 +1,110 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { setTimeout as sleep } from 'timers/promises';
+import { websubConfig } from '../src/config/websub.js';
+import websubRoutes from '../src/routes/websub.js';
+import websubService from '../src/services/websubService.js';
+import watchlistService from '../src/services/watchlistService.js';
+import { startStandin, stopStandin, randomPort } from './helpers/standin.js';
+
+const CHANNEL_ID = 'UCabcdefghijklmnopqrstuv';
+const hubPort = randomPort();
+let hub;
+let server;
+
+before(async () => {
+  hub = await startStandin('websub-hub-standin.js', { WEBSUB_STANDIN_PORT: String(hubPort) });
+
+  const app = express();
+  app.use('/api/websub', websubRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  Object.assign(websubConfig, {
+    callbackUrl: `http://127.0.0.1:${server.address().port}`,
+    secret: 'test-secret',
+    hubUrl: `http://127.0.0.1:${hubPort}/`
+  });
+});
+
+after(async () => {
+  await stopStandin(hub);
+  await new Promise(resolve => server.close(resolve));
+});
+
+const sign = (algorithm, topic, body) =>
+  `${algorithm}=${crypto.createHmac(algorithm, websubService.secretFor(topic)).update(body).digest('hex')}`;
+
+test('every topic gets its own secret, derived from WEBSUB_SECRET', () => {
+  const topic = websubService.topicFor(CHANNEL_ID);
+  assert.equal(websubService.secretFor(topic), crypto.createHmac('sha256', 'test-secret').update(topic).digest('hex'));
+  assert.notEqual(websubService.secretFor(topic), websubService.secretFor(websubService.topicFor('UCzzzzzzzzzzzzzzzzzzzzzz')));
+});
+
+test('signatures are checked with the algorithm the hub names', () => {
+  const subscription = { topic: websubService.topicFor(CHANNEL_ID) };
+  const body = Buffer.from('<feed/>');
+
+  assert.equal(websubService.hasValidSignature(subscription, body, sign('sha1', subscription.topic, body)), true);
+  assert.equal(websubService.hasValidSignature(subscription, body, sign('sha256', subscription.topic, body)), true);
+  assert.equal(websubService.hasValidSignature(subscription, Buffer.from('<feed></feed>'), sign('sha1', subscription.topic, body)), false);
+  assert.equal(websubService.hasValidSignature(subscription, body, sign('md5', subscription.topic, body)), false);
+  assert.equal(websubService.hasValidSignature(subscription, body, 'sha1=zz'), false);
+  assert.equal(websubService.hasValidSignature(subscription, body, undefined), false);
+});
+
+test('subscribes through the hub and checks the videos it pushes', async (t) => {
+  const checkPushedVideo = t.mock.method(watchlistService, 'checkPushedVideo', async () => true);
+
+  await websubService.request(CHANNEL_ID, 'subscribe');
+  assert.equal(websubService.get(CHANNEL_ID).error, null);
+  // The hub verifies the intent after answering the request
+  for (let i = 0; i < 50 && websubService.get(CHANNEL_ID).status !== 'subscribed'; i++) {
+    await sleep(20);
+  }
+  assert.equal(websubService.get(CHANNEL_ID).status, 'subscribed');
+
+  const response = await fetch(`http://127.0.0.1:${hubPort}/publish?channel_id=${CHANNEL_ID}&video_id=abcdefghijk`, { method: 'POST' });
+  const { deliveries } = await response.json();
+  assert.equal(deliveries[0].status, 202);
+  assert.deepEqual(checkPushedVideo.mock.calls.map(call => call.arguments), [[CHANNEL_ID, 'abcdefghijk']]);
+  assert.ok(websubService.get(CHANNEL_ID).lastNotificationAt);
+
+  await fetch(`http://127.0.0.1:${hubPort}/publish?channel_id=${CHANNEL_ID}&video_id=abcdefghijk&deleted=1`, { method: 'POST' });
+  assert.equal(checkPushedVideo.mock.calls.length, 2);
+});
+
+test('pushes with a wrong signature are accepted by HTTP but ignored', async (t) => {
+  const checkPushedVideo = t.mock.method(watchlistService, 'checkPushedVideo', async () => true);
+  const rejected = websubService.getStats().rejected;
+
+  const response = await fetch(websubService.callbackFor(CHANNEL_ID), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/atom+xml', 'X-Hub-Signature': 'sha1=0000' },
+    body: '<feed/>'
+  });
+  assert.equal(response.status, 202);
+  assert.equal(checkPushedVideo.mock.calls.length, 0);
+  assert.equal(websubService.getStats().rejected, rejected + 1);
+});
+
+test('a failing push check is logged, not left unhandled', async (t) => {
+  t.mock.method(watchlistService, 'checkPushedVideo', async () => {
+    throw new Error('boom');
+  });
+  const unhandled = mock.fn();
+  process.on('unhandledRejection', unhandled);
+  t.after(() => process.off('unhandledRejection', unhandled));
+
+  const topic = websubService.topicFor(CHANNEL_ID);
+  const body = Buffer.from(`<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <entry><yt:videoId>abcdefghijk</yt:videoId><yt:channelId>${CHANNEL_ID}</yt:channelId></entry>
+</feed>`);
+  assert.equal(websubService.notify(CHANNEL_ID, body, sign('sha256', topic, body)), true);
+
+  await sleep(20);
+  assert.equal(unhandled.mock.calls.length, 0);
+  assert.equal(websubService.pushChecks.size, 0);
+});
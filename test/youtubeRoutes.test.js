@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { setTimeout as sleep } from 'timers/promises';
+import { config } from '../src/config/environment.js';
+import { requestSignal } from '../src/middleware/requestSignal.js';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import youtubeRoutes from '../src/routes/youtube.js';
+import cacheService from '../src/services/cacheService.js';
+import youtubeService from '../src/services/youtubeService.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(requestSignal);
+  app.use('/api/youtube', youtubeRoutes);
+  app.use(errorHandler);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('a slow status check answers 504, keeps running and serves the next call from the cache', async (t) => {
+  const channelId = 'UCslowslowslowslowslowsl';
+  const signals = [];
+  const lookup = t.mock.method(youtubeService, 'getLiveMetadata', async (id, videoId, handle, { signal }) => {
+    signals.push(signal);
+    await sleep(1800);
+    return { videoId: 'vvvvvvvvvvv', channelId, isLiveNow: true, liveStatus: 'live', method: 'stub' };
+  });
+
+  const first = await fetch(`${baseUrl}/api/youtube/status/${channelId}`);
+  assert.equal(first.status, 504);
+  assert.equal((await first.json()).error.code, 'TIMEOUT');
+
+  // The lookup was not cancelled with the request's wait
+  await sleep(500);
+  assert.equal(signals[0].aborted, false);
+
+  const second = await fetch(`${baseUrl}/api/youtube/status/${channelId}`);
+  assert.equal(second.status, 200);
+  const body = await second.json();
+  assert.equal(body.isLive, true);
+  assert.equal(body.cached, true);
+  assert.equal(lookup.mock.calls.length, 1);
+});
+
+test('clearing the cache needs no admin token, as before the admin API', async (t) => {
+  const originalToken = config.ADMIN_TOKEN;
+  config.ADMIN_TOKEN = 'secret-token';
+  t.after(() => {
+    config.ADMIN_TOKEN = originalToken;
+  });
+  const flush = t.mock.method(cacheService, 'flush', async () => {});
+
+  const response = await fetch(`${baseUrl}/api/youtube/cache/clear`, { method: 'POST' });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).success, true);
+  assert.equal(flush.mock.calls.length, 1);
+});
@@ -0,0 +1,164 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { extractorConfig } from '../src/config/extractors.js';
+import extractorRegistry from '../src/services/extractorRegistry.js';
+import youtubeService from '../src/services/youtubeService.js';
+import { CircuitBreaker } from '../src/utils/circuitBreaker.js';
+import { NotFoundError, OfflineError, PrivateError, TimeoutError, UpstreamBlockedError, UpstreamError } from '../src/utils/errors.js';
+
+const VIDEO_ID = 'vvvvvvvvvvv';
+const videoLookup = youtubeService.buildLookup(null, VIDEO_ID);
+const channelLookup = youtubeService.buildLookup('UCaaaaaaaaaaaaaaaaaaaaaa');
+
+/**
+ * Extractor answering after delay ms with result (or rejecting with error);
+ * every call records when it started and whether it was aborted while running
+ */
+const stub = (name, { delay = 0, result = null, error = null } = {}) => ({
+  name,
+  lookupTypes: ['video', 'channel'],
+  calls: [],
+  extract(lookup, { signal }) {
+    const call = { startedAt: Date.now(), aborted: false };
+    this.calls.push(call);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        call.done = true;
+        return error ? reject(error) : resolve(result);
+      }, delay);
+      signal.addEventListener('abort', () => {
+        if (!call.done) {
+          call.aborted = true;
+          clearTimeout(timer);
+          reject(signal.reason);
+        }
+      }, { once: true });
+    });
+  },
+  isConclusive: result => Boolean(result?.videoId)
+});
+
+const live = (title) => ({ videoId: VIDEO_ID, isLiveNow: true, title });
+
+let startedAt;
+
+// A chain of the given extractors, each behind a fresh breaker
+const useChain = (t, extractors, timeout = 5000) => {
+  const breakers = new Map(extractors.map(extractor => [extractor.name, new CircuitBreaker(extractor.name)]));
+  t.mock.method(extractorRegistry, 'getChain', () => extractors.map(extractor => ({ extractor, timeout })));
+  t.mock.method(extractorRegistry, 'getBreaker', name => breakers.get(name));
+  startedAt = Date.now();
+};
+
+const startOffset = (extractor) => extractor.calls[0].startedAt - startedAt;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+test('race starts every extractor at once; the first conclusive answer wins and the rest are aborted', async (t) => {
+  const slow = stub('slow', { delay: 1000, result: live('slow') });
+  const fast = stub('fast', { delay: 50, result: live('fast') });
+  useChain(t, [slow, fast]);
+
+  const result = await youtubeService.runExtraction(videoLookup, 'race');
+  assert.equal(result.title, 'fast');
+  assert.equal(result.source, 'fast');
+  assert.ok(startOffset(fast) < 50);
+  assert.equal(slow.calls[0].aborted, true);
+  assert.ok(Date.now() - startedAt < 800);
+});
+
+test('race skips inconclusive answers and waits for a conclusive one', async (t) => {
+  const empty = stub('empty', { delay: 10 });
+  const slower = stub('slower', { delay: 100, result: live('slower') });
+  useChain(t, [empty, slower]);
+
+  assert.equal((await youtubeService.runExtraction(videoLookup, 'race')).title, 'slower');
+});
+
+test('hedge starts the next extractor only after the hedge delay', async (t) => {
+  extractorConfig.hedgeDelay = 200;
+  t.after(() => { extractorConfig.hedgeDelay = 750; });
+
+  const first = stub('first', { delay: 1000, result: live('first') });
+  const second = stub('second', { delay: 50, result: live('second') });
+  useChain(t, [first, second]);
+
+  const result = await youtubeService.runExtraction(videoLookup, 'hedge');
+  assert.equal(result.title, 'second');
+  assert.ok(startOffset(second) >= 190, `second started after ${startOffset(second)}ms`);
+  assert.equal(first.calls[0].aborted, true);
+});
+
+test('hedge never starts the next extractor when the first answers within the delay', async (t) => {
+  const first = stub('first', { delay: 20, result: live('first') });
+  const second = stub('second', { result: live('second') });
+  useChain(t, [first, second]);
+
+  assert.equal((await youtubeService.runExtraction(videoLookup, 'hedge')).title, 'first');
+  await new Promise(resolve => setTimeout(resolve, extractorConfig.hedgeDelay + 50));
+  assert.equal(second.calls.length, 0);
+});
+
+test('hedge starts the next extractor at once when the previous one gives up', async (t) => {
+  const failing = stub('failing', { delay: 20, error: new Error('socket hang up') });
+  const second = stub('second', { delay: 20, result: live('second') });
+  useChain(t, [failing, second]);
+
+  assert.equal((await youtubeService.runExtraction(videoLookup, 'hedge')).title, 'second');
+  assert.ok(startOffset(second) < extractorConfig.hedgeDelay);
+});
+
+test('a definitive error from any attempt ends the race', async (t) => {
+  const privateVideo = stub('private', { delay: 20, error: new Error('This is a private video') });
+  const slow = stub('slow', { delay: 1000, result: live('slow') });
+  useChain(t, [privateVideo, slow]);
+
+  await assert.rejects(youtubeService.runExtraction(videoLookup, 'race'), PrivateError);
+  assert.equal(slow.calls[0].aborted, true);
+});
+
+for (const strategy of ['race', 'hedge']) {
+  test(`${strategy}: nothing conclusive is Offline for channels, NotFound for videos`, async (t) => {
+    useChain(t, [stub('a', { delay: 10 }), stub('b', { delay: 20 })]);
+    await assert.rejects(youtubeService.runExtraction(channelLookup, strategy), OfflineError);
+    await assert.rejects(youtubeService.runExtraction(videoLookup, strategy), NotFoundError);
+  });
+
+  test(`${strategy}: every attempt failing is an upstream error, not a miss`, async (t) => {
+    useChain(t, [
+      stub('broken', { error: new Error('socket hang up') }),
+      stub('blocked', { error: new Error("Sign in to confirm you're not a bot") })
+    ]);
+    await assert.rejects(youtubeService.runExtraction(channelLookup, strategy), UpstreamBlockedError);
+
+    useChain(t, [stub('broken', { error: new Error('socket hang up') }), stub('slow', { delay: 1000 })], 50);
+    await assert.rejects(youtubeService.runExtraction(channelLookup, strategy), TimeoutError);
+
+    useChain(t, [stub('broken', { error: new Error('socket hang up') })]);
+    await assert.rejects(youtubeService.runExtraction(channelLookup, strategy), error =>
+      error instanceof UpstreamError && error.code === 'UPSTREAM_ERROR');
+  });
+}
+
+test('an unknown strategy runs the chain serially', async (t) => {
+  const first = stub('first', { delay: 100 });
+  const second = stub('second', { delay: 10, result: live('second') });
+  useChain(t, [first, second]);
+
+  assert.equal((await youtubeService.runExtraction(videoLookup, 'bogus')).title, 'second');
+  assert.ok(startOffset(second) >= 90);
+});
+
+test('ROUTE_STRATEGIES drops unknown strategies with a warning', () => {
+  const output = execFileSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    "const { extractorConfig } = await import('./src/config/extractors.js'); console.log(JSON.stringify(extractorConfig.routeStrategies));"
+  ], { env: { ...process.env, ROUTE_STRATEGIES: 'status:race,viewers:fastest' }, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+  assert.deepEqual(JSON.parse(output.trim().split('\n').at(-1)), { status: 'race' });
+});